@@ -1,161 +1,176 @@
 import React, { useState, useEffect } from 'react';
+import {
+  calculateKin,
+  toDateParts,
+  supportedLocales,
+  getLocalePack,
+  getDefaultLocale,
+  setDefaultLocale,
+  getOracle,
+  KinError
+} from './kin-calculator.mjs';
+import { createKinCalendar, getCalendarFileName } from './kin-ics.mjs';
+import { loadProfile, saveProfile, clearProfile, getDailyReading } from './kin-profile.mjs';
+import { pickMessage } from './kin-messages.mjs';
 
 /**
  * 13月亮曆封面組件
- * 根據官方講義數據計算並顯示當日 Kin 印記
+ * 根據官方講義數據計算並顯示當日 Kin 印記（計算邏輯由 kin-calculator 提供）
  */
 
-// ==================== 數據常數 ====================
-
-// 月份常數對照表
-const MONTH_CONSTANTS = {
-  1: 0,    // 一月
-  2: 31,   // 二月
-  3: 59,   // 三月
-  4: 90,   // 四月
-  5: 120,  // 五月
-  6: 151,  // 六月
-  7: 181,  // 七月
-  8: 212,  // 八月
-  9: 243,  // 九月
-  10: 13,  // 十月
-  11: 44,  // 十一月
-  12: 74   // 十二月
-};
-
-// 年份常數對照表
-const YEAR_CONSTANTS = {
-  2014: 62,
-  2015: 167,
-  2016: 12,
-  2017: 117,
-  2018: 222,
-  2019: 67,
-  2020: 172,
-  2021: 17,
-  2022: 122,
-  2023: 227,
-  2024: 72,
-  2025: 177,
-  2026: 22,
-  2027: 127,
-  2028: 232,
-  2029: 77,
-  2030: 182,
-  2031: 27,
-  2032: 132,
-  2033: 237,
-  2034: 82,
-  2035: 187
-};
-
-// 圖騰名稱對照表（1-20 循環）
-const SEAL_NAMES = [
-  "紅龍", "白風", "藍夜", "黃種子", "紅蛇",
-  "白世界橋", "藍手", "黃星星", "紅月", "白狗",
-  "藍猴", "黃人", "紅天行者", "白巫師", "藍鷹",
-  "黃戰士", "紅地球", "白鏡", "藍風暴", "黃太陽"
-];
+// ==================== React 組件 ====================
 
-// 調性名稱對照表（1-13 循環）
-const TONE_NAMES = [
-  "磁性的", "月亮的", "電力的", "自我存在的", "超頻的",
-  "韻律的", "共振的", "銀河星系的", "太陽的", "行星的",
-  "光譜的", "水晶的", "宇宙的"
+// 十字排列：引導在上、對立在左、類比在右、隱藏在下
+const ORACLE_LAYOUT = [
+  null, 'guide', null,
+  'antipode', 'destiny', 'analog',
+  null, 'occult', null
 ];
-
-// ==================== 計算函數 ====================
+const ORACLE_ROLES = {
+  guide: '引導', antipode: '對立', destiny: '主印記', analog: '類比', occult: '隱藏'
+};
 
 /**
- * 判斷是否為閏年
+ * 第五力神諭十字
  */
-function isLeapYear(year) {
-  return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
-}
+const OracleCross = ({ kin }) => {
+  const oracle = getOracle(kin);
+  return (
+    <div className="oracle-cross">
+      {ORACLE_LAYOUT.map((role, i) => {
+        if (!role) return <div key={i} />;
+        const item = oracle[role];
+        return (
+          <div key={i} className={`oracle-cell ${role}`}>
+            <span className="oracle-role">{ORACLE_ROLES[role]}</span>
+            <img src={`./images/${item.imageFile}`} alt={item.displayText} />
+            <span className="oracle-name">KIN {item.kin}<br />{item.displayText}</span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
 
-/**
- * 計算 Kin 數字和對應的圖騰、調性
- * @param {number} year - 年份
- * @param {number} month - 月份 (1-12)
- * @param {number} day - 日期
- * @returns {Object} - { kin, seal, tone, isHunabKu, displayText, sealImagePath }
- */
-function calculateKin(year, month, day) {
-  // 特殊處理：2月29日顯示 Hunab Ku
-  if (month === 2 && day === 29) {
-    return {
-      kin: null,
-      seal: null,
-      tone: null,
-      isHunabKu: true,
-      displayText: "Hunab Ku",
-      sealImagePath: "./images/hunab-ku-1.png"
-    };
-  }
+// 個人檔案：生日只存在本機，有生日時顯示今天與主印記的關係
+const ProfileCard = ({ locale }) => {
+  const [profile, setProfile] = useState(() => loadProfile());
+  const [editing, setEditing] = useState(false);
+  const [birthDate, setBirthDate] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    try {
+      setProfile(saveProfile({ birthDate, name }));
+      setEditing(false);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
-  // 檢查年份常數是否存在
-  if (!YEAR_CONSTANTS[year]) {
-    console.warn(`年份 ${year} 的常數尚未定義，請更新 YEAR_CONSTANTS`);
-    return {
-      kin: null,
-      seal: null,
-      tone: null,
-      isHunabKu: false,
-      displayText: "年份數據未定義",
-      sealImagePath: null
-    };
-  }
+  // 修改時先帶入原本的資料，儲存後才覆蓋
+  const handleEdit = () => {
+    setBirthDate(profile.birthDate);
+    setName(profile.name);
+    setEditing(true);
+  };
 
-  // 基本計算：Kin = 年份常數 + 月份常數 + 日期
-  let kin = YEAR_CONSTANTS[year] + MONTH_CONSTANTS[month] + day;
+  const handleClear = () => {
+    clearProfile();
+    setProfile(null);
+  };
 
-  // 閏年特殊規則：3月1日之後需要 +1
-  if (isLeapYear(year) && (month > 2 || (month === 2 && day > 28))) {
-    kin += 1;
+  if (!profile || editing) {
+    return (
+      <section className="profile-card">
+        <form onSubmit={handleSubmit}>
+          <label>
+            生日 <input type="date" value={birthDate} onChange={(e) => setBirthDate(e.target.value)} required />
+          </label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="名字（選填）"
+            maxLength={20}
+          />
+          <button type="submit">儲存</button>
+        </form>
+        {error && <p className="profile-error">{error}</p>}
+      </section>
+    );
   }
 
-  // 將 Kin 限制在 1-260 範圍內
-  while (kin > 260) {
-    kin -= 260;
-  }
-  while (kin < 1) {
-    kin += 260;
+  let reading;
+  try {
+    reading = getDailyReading(profile, { locale });
+  } catch (err) {
+    // 輸入錯誤（KinError）直接顯示原因，其他例外不把程式錯誤訊息丟給使用者
+    if (!(err instanceof KinError)) {
+      console.error(err);
+    }
+    return (
+      <section className="profile-card">
+        <p className="profile-error">
+          {err instanceof KinError ? err.message : '目前無法顯示個人檔案，請重新整理或修改生日'}
+        </p>
+      </section>
+    );
   }
+  const { birth, summary } = reading;
 
-  // 計算圖騰（1-20 循環）
-  const sealIndex = ((kin - 1) % 20);
-  const seal = SEAL_NAMES[sealIndex];
-
-  // 計算調性（1-13 循環）
-  const toneIndex = ((kin - 1) % 13);
-  const tone = TONE_NAMES[toneIndex];
-  
-  // 圖騰編號：1-20（對應圖片檔名）
-  const sealNumber = sealIndex + 1;
-
-  return {
-    kin: kin,
-    seal: seal,
-    tone: tone,
-    sealNumber: sealNumber,
-    isHunabKu: false,
-    displayText: `${tone}${seal}`,
-    sealImagePath: `./images/${String(sealNumber).padStart(2, '0')}.png`
-  };
-}
-
-// ==================== React 組件 ====================
+  return (
+    <section className="profile-card">
+      <p className="profile-title">
+        {profile.name ? `${profile.name}的主印記` : '你的主印記'} KIN {birth.kin} {birth.displayText}（{profile.birthDate}）
+      </p>
+      <ul className="profile-summary">
+        {summary.map((line) => <li key={line}>{line}</li>)}
+      </ul>
+      <div>
+        <a href="./birthday/" className="profile-link">生日年表</a>
+        <button type="button" onClick={handleEdit}>修改生日</button>
+        <button type="button" onClick={handleClear}>清除</button>
+      </div>
+    </section>
+  );
+};
 
 const Cover = () => {
   const [kinData, setKinData] = useState(null);
+  const [error, setError] = useState(null);
   const [currentDate, setCurrentDate] = useState(null);
+  const [locale, setLocale] = useState(getDefaultLocale());
+  const [icsDays, setIcsDays] = useState(260);
+
+  // 語言為全站共用的偏好，切換後重新計算名稱
+  const handleLocaleChange = (event) => {
+    setDefaultLocale(event.target.value);
+    setLocale(event.target.value);
+  };
+
+  // 下載從今天起的每日 Kin 行事曆，內含紅色房間的共時訊息
+  const handleCalendarDownload = () => {
+    const { year, month, day } = currentDate;
+    const to = toDateParts(new Date(year, month - 1, day + icsDays - 1), null);
+    const range = { from: { year, month, day }, to };
+    // 有多則變體時依每一天的日期輪替
+    const ics = createKinCalendar({ ...range, messages: (kin, date) => pickMessage(kin, { date }).message });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([ics], { type: 'text/calendar' }));
+    link.download = getCalendarFileName(range);
+    link.click();
+    // 立即撤銷時部分瀏覽器還沒開始下載，延後到下一輪事件再釋放
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  };
 
   useEffect(() => {
     // 獲取當前日期
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth() + 1; // JavaScript 月份從 0 開始
-    const day = now.getDate();
+    // 依全站預設時區取今天的日曆日
+    const { year, month, day } = toDateParts(new Date());
 
     setCurrentDate({
       year,
@@ -164,23 +179,25 @@ const Cover = () => {
       formatted: `${year}.${String(month).padStart(2, '0')}.${String(day).padStart(2, '0')}`
     });
 
-    // 計算 Kin
-    const result = calculateKin(year, month, day);
+    // 計算 Kin（日期無效時 calculateKin 會拋出 KinError）
+    let result;
+    try {
+      result = calculateKin(year, month, day, { system: 'both' });
+    } catch (err) {
+      console.error(`Kin 計算失敗 (${err.code}): ${err.message}`);
+      setError(err.message);
+      return;
+    }
     setKinData(result);
+  }, [locale]);
 
-    // 控制台輸出計算過程（開發用）
-    console.log('=== Kin 計算 ===');
-    console.log(`日期: ${year}/${month}/${day}`);
-    if (!result.isHunabKu) {
-      console.log(`年份常數: ${YEAR_CONSTANTS[year]}`);
-      console.log(`月份常數: ${MONTH_CONSTANTS[month]}`);
-      console.log(`日期: ${day}`);
-      console.log(`KIN: ${result.kin}`);
-      console.log(`完整名稱: ${result.displayText}`);
-    } else {
-      console.log('今日為 2/29，顯示 Hunab Ku');
-    }
-  }, []);
+  if (error) {
+    return (
+      <div className="cover-loading">
+        <p>{error}</p>
+      </div>
+    );
+  }
 
   if (!kinData || !currentDate) {
     return (
@@ -190,6 +207,8 @@ const Cover = () => {
     );
   }
 
+  const sealImagePath = `./images/${kinData.imageFile}`;
+
   return (
     <div className="cover-container">
       {/* 背景裝飾 */}
@@ -220,7 +239,7 @@ const Cover = () => {
             // Hunab Ku 特殊顯示
             <div className="kin-hunab-ku">
               <img 
-                src={kinData.sealImagePath} 
+                src={sealImagePath} 
                 alt="Hunab Ku" 
                 className="kin-seal-image"
               />
@@ -231,23 +250,38 @@ const Cover = () => {
             <>
               <div className="kin-seal-container">
                 <img 
-                  src={kinData.sealImagePath} 
+                  src={sealImagePath} 
                   alt={`KIN ${kinData.kin} ${kinData.seal}`}
                   className="kin-seal-image"
                   onError={(e) => {
-                    console.warn(`圖片載入失敗: ${kinData.sealImagePath}`);
+                    console.warn(`圖片載入失敗: ${sealImagePath}`);
                     e.target.src = './images/hunab-ku-1.png'; // 備用圖片
                   }}
                 />
               </div>
               <h2 className="kin-name">{kinData.displayText}</h2>
               <p className="kin-number">KIN {kinData.kin}</p>
+              <OracleCross kin={kinData.kin} />
             </>
           )}
           
           <p className="kin-date">{currentDate.formatted}</p>
+
+          {/* 古典馬雅曆對照：連續計日，2/29 也有日名，因此與 13 月亮曆不同 */}
+          <p className="kin-maya">
+            古典馬雅曆 {kinData.maya.mayaName} · KIN {kinData.maya.kin} {kinData.maya.displayText}
+            <small>GMT 584283 連續計日，不跳過 2/29</small>
+          </p>
+
+          <select className="locale-switch" value={locale} onChange={handleLocaleChange} aria-label="語言">
+            {supportedLocales.map((code) => (
+              <option key={code} value={code}>{getLocalePack(code).label}</option>
+            ))}
+          </select>
         </section>
 
+        <ProfileCard locale={locale} />
+
         {/* 進入按鈕 */}
         <div className="cover-action">
           <a href="./index.html" className="enter-button">
@@ -255,6 +289,20 @@ const Cover = () => {
           </a>
         </div>
 
+        {/* 匯出行事曆 */}
+        <div className="calendar-export">
+          <select
+            value={icsDays}
+            onChange={(e) => setIcsDays(Number(e.target.value))}
+            aria-label="匯出天數"
+          >
+            <option value={30}>30 天</option>
+            <option value={260}>260 天</option>
+            <option value={365}>365 天</option>
+          </select>
+          <button type="button" onClick={handleCalendarDownload}>下載行事曆 (.ics)</button>
+        </div>
+
         {/* Footer */}
         <footer className="cover-footer">
           <p>設計 | <span className="kin-badge">KIN 74 太陽的白巫師</span> HIPER</p>
@@ -404,6 +452,48 @@ const Cover = () => {
           letter-spacing: 0.1em;
         }
 
+        .oracle-cross {
+          display: grid;
+          grid-template-columns: repeat(3, 1fr);
+          gap: 12px;
+          justify-items: center;
+          align-items: center;
+          width: 100%;
+        }
+
+        .oracle-cell {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 4px;
+        }
+
+        .oracle-cell img {
+          width: 52px;
+          height: 52px;
+          object-fit: contain;
+          filter: drop-shadow(0 3px 8px rgba(0, 0, 0, 0.15));
+        }
+
+        .oracle-cell.destiny img {
+          width: 68px;
+          height: 68px;
+        }
+
+        .oracle-role {
+          font-size: 12px;
+          font-weight: 600;
+          color: #6a655c;
+          letter-spacing: 0.15em;
+        }
+
+        .oracle-name {
+          font-size: 13px;
+          font-weight: 700;
+          color: #5a5650;
+          text-align: center;
+        }
+
         .kin-date {
           font-size: 14px;
           font-weight: 500;
@@ -411,12 +501,111 @@ const Cover = () => {
           letter-spacing: 0.05em;
         }
 
+        .kin-maya {
+          font-size: 13px;
+          color: #7a756c;
+          letter-spacing: 0.05em;
+          text-align: center;
+        }
+
+        .kin-maya small {
+          display: block;
+          font-size: 11px;
+          opacity: 0.8;
+        }
+
+        .locale-switch {
+          margin-top: 6px;
+          padding: 4px 10px;
+          font-size: 13px;
+          color: #5a5650;
+          background: rgba(255, 255, 255, 0.5);
+          border: 1px solid rgba(0, 0, 0, 0.15);
+          border-radius: 999px;
+        }
+
+        /* 個人檔案：主印記與今日關係 */
+        .profile-card {
+          width: 100%;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 8px;
+          font-size: 13px;
+          color: #5a5650;
+          text-align: center;
+        }
+
+        .profile-card form {
+          display: flex;
+          flex-wrap: wrap;
+          justify-content: center;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .profile-card input,
+        .profile-card button {
+          margin: 0 4px;
+          padding: 4px 10px;
+          font-family: inherit;
+          font-size: 13px;
+          color: #5a5650;
+          background: rgba(255, 255, 255, 0.5);
+          border: 1px solid rgba(0, 0, 0, 0.15);
+          border-radius: 999px;
+        }
+
+        .profile-card button {
+          cursor: pointer;
+        }
+
+        .profile-title {
+          font-weight: 700;
+          color: #2d2a26;
+          letter-spacing: 0.05em;
+        }
+
+        .profile-summary {
+          list-style: none;
+          line-height: 1.8;
+        }
+
+        .profile-error {
+          color: #A84840;
+        }
+
+        .profile-link {
+          margin-right: 8px;
+          color: #5a5650;
+        }
+
         .cover-action {
           width: 100%;
           display: flex;
           justify-content: center;
         }
 
+        .calendar-export {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          gap: 8px;
+          font-size: 13px;
+          color: #7a756c;
+        }
+
+        .calendar-export select,
+        .calendar-export button {
+          padding: 4px 10px;
+          font-size: 13px;
+          color: #5a5650;
+          background: rgba(255, 255, 255, 0.5);
+          border: 1px solid rgba(0, 0, 0, 0.15);
+          border-radius: 999px;
+          cursor: pointer;
+        }
+
         .enter-button {
           display: inline-block;
           padding: 18px 48px;
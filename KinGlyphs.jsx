@@ -0,0 +1,106 @@
+import React from 'react';
+import { getToneLayout, getKinSignatureLayout } from './kin-glyphs.mjs';
+
+/**
+ * 調性與 Kin 簽名的 React 組件
+ * 版面由 kin-glyphs 計算，與 renderToneSvg / renderKinSignatureSvg 的輸出一致
+ */
+
+// 點與槓（不含外層 svg），供 ToneGlyph 與 KinSignature 共用
+const ToneShapes = ({ layout }) => (
+  <g fill={layout.color}>
+    {layout.dots.map((dot, i) => (
+      <circle key={`dot-${i}`} cx={dot.cx} cy={dot.cy} r={dot.r} />
+    ))}
+    {layout.bars.map((bar, i) => (
+      <rect key={`bar-${i}`} x={bar.x} y={bar.y} width={bar.width} height={bar.height} rx={bar.rx} />
+    ))}
+  </g>
+);
+
+/**
+ * 調性（馬雅點槓數字）
+ * @param {number} tone - 調性 (1-13)
+ * @param {number} size - 像素寬度，高度依比例
+ * @param {string} color - red/white/blue/yellow/ink 或任何 CSS 顏色
+ */
+export const ToneGlyph = ({ tone, size = 64, color, title, className }) => {
+  const layout = getToneLayout(tone, { color });
+  const label = title || `調性 ${tone}`;
+
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={`0 0 ${layout.width} ${layout.height}`}
+      width={size}
+      height={size * layout.height / layout.width}
+      role="img"
+      aria-label={label}
+      className={className}
+    >
+      <title>{label}</title>
+      <ToneShapes layout={layout} />
+    </svg>
+  );
+};
+
+/**
+ * Kin 簽名：調性＋圖騰＋ KIN 編號與名稱
+ * @param {number} kin - Kin 編號 (1-260)
+ * @param {number} size - 像素寬度，高度依比例
+ */
+export const KinSignature = ({
+  kin,
+  size = 200,
+  locale,
+  imageBase,
+  glyphHref,
+  background,
+  showLabel,
+  className
+}) => {
+  const layout = getKinSignatureLayout(kin, { locale, imageBase, glyphHref, background, showLabel });
+  const { tone, glyph } = layout;
+  const label = `KIN ${layout.kin} ${layout.info.displayText}`;
+
+  return (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      viewBox={`0 0 ${layout.width} ${layout.height}`}
+      width={size}
+      height={size * layout.height / layout.width}
+      role="img"
+      aria-label={label}
+      className={className}
+    >
+      <title>{label}</title>
+      <rect
+        x="1" y="1" width={layout.width - 2} height={layout.height - 2} rx="18"
+        fill={layout.background} stroke={layout.border} strokeWidth="2"
+      />
+      <svg
+        x={tone.x} y={tone.y} width={tone.width} height={tone.height}
+        viewBox={`0 0 ${tone.layout.width} ${tone.layout.height}`}
+      >
+        <ToneShapes layout={tone.layout} />
+      </svg>
+      <image x={glyph.x} y={glyph.y} width={glyph.width} height={glyph.height} href={glyph.href} />
+      {layout.labels.map((text) => (
+        <text
+          key={text.text}
+          x={text.x}
+          y={text.y}
+          textAnchor="middle"
+          fontFamily={layout.fontFamily}
+          fontSize={text.fontSize}
+          fontWeight={text.fontWeight}
+          fill={layout.labelColor}
+        >
+          {text.text}
+        </text>
+      ))}
+    </svg>
+  );
+};
+
+export default ToneGlyph;
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Menu, X } from 'lucide-react';
-import { KIN_DATA } from './kinData';
+import { getKinInfo } from './kin-calculator.mjs';
+import { ToneGlyph } from './KinGlyphs.jsx';
+import { pickMessage, readMessage, loadSeenVariants, messageFields } from './kin-messages.mjs';
 
 // ========== KIN 訊息資料庫 ==========
 /**
@@ -9,79 +11,19 @@ import { KIN_DATA } from './kinData';
  * @returns {Object} 包含 synchronicMessage, highFrequency, lowFrequency, alignment
  */
 const getKinMessage = (kinNumber) => {
-  // 確保 kinNumber 為有效數字
-  const kinNum = Number(kinNumber);
-  
-  // 邊界檢查：確保在 1-260 範圍內
-  if (isNaN(kinNum) || kinNum < 1 || kinNum > 260) {
-    return {
-      synchronicMessage: "能量讀取中...",
-      highFrequency: "能量讀取中...",
-      lowFrequency: "能量讀取中...",
-      alignment: "能量讀取中..."
-    };
-  }
-  
-  // 從 KIN_DATA 物件中獲取對應的資料
-  const message = KIN_DATA[kinNum];
-  
-  // 如果資料存在，直接返回
-  if (message) {
-    return message;
-  }
-  
+  // 訊息統一由 kin-messages 讀取；有多則變體時依今天的日期與看過的紀錄選一則（只讀取，停下來時才記為看過）
+  // Kin 超出範圍時為 null，尚未撰寫的欄位也是 null
+  const picked = pickMessage(Number(kinNumber), { history: loadSeenVariants() });
+  const message = (picked && picked.message) || {};
+
   // 資料缺失時的預設文字（Fallback）
-  return {
-    synchronicMessage: "能量讀取中...",
-    highFrequency: "能量讀取中...",
-    lowFrequency: "能量讀取中...",
-    alignment: "能量讀取中..."
-  };
+  const result = {};
+  Object.keys(messageFields).forEach((field) => {
+    result[field] = message[field] || "能量讀取中...";
+  });
+  return result;
 };
 
-// ========== KIN 計算引擎數據庫 ==========
-
-// 調性名稱資料庫（1-13）
-const TONE_NAMES = [
-  { id: 1, name: '磁性' },
-  { id: 2, name: '月亮' },
-  { id: 3, name: '電力' },
-  { id: 4, name: '自我存在' },
-  { id: 5, name: '超頻' },
-  { id: 6, name: '韻律' },
-  { id: 7, name: '共鳴' },
-  { id: 8, name: '銀河' },
-  { id: 9, name: '太陽' },
-  { id: 10, name: '行星' },
-  { id: 11, name: '光譜' },
-  { id: 12, name: '水晶' },
-  { id: 13, name: '宇宙' },
-];
-
-// 圖騰名稱資料庫（1-20，線性序列）
-const GLYPH_NAMES = [
-  { id: 1, name: '紅龍', imagePath: '../images/01.png', color: 'red' },
-  { id: 2, name: '白風', imagePath: '../images/02.png', color: 'white' },
-  { id: 3, name: '藍夜', imagePath: '../images/03.png', color: 'blue' },
-  { id: 4, name: '黃種子', imagePath: '../images/04.png', color: 'yellow' },
-  { id: 5, name: '紅蛇', imagePath: '../images/05.png', color: 'red' },
-  { id: 6, name: '白世界橋', imagePath: '../images/06.png', color: 'white' },
-  { id: 7, name: '藍手', imagePath: '../images/07.png', color: 'blue' },
-  { id: 8, name: '黃星星', imagePath: '../images/08.png', color: 'yellow' },
-  { id: 9, name: '紅月', imagePath: '../images/09.png', color: 'red' },
-  { id: 10, name: '白狗', imagePath: '../images/10.png', color: 'white' },
-  { id: 11, name: '藍猴', imagePath: '../images/11.png', color: 'blue' },
-  { id: 12, name: '黃人', imagePath: '../images/12.png', color: 'yellow' },
-  { id: 13, name: '紅天行者', imagePath: '../images/13.png', color: 'red' },
-  { id: 14, name: '白巫師', imagePath: '../images/14.png', color: 'white' },
-  { id: 15, name: '藍鷹', imagePath: '../images/15.png', color: 'blue' },
-  { id: 16, name: '黃戰士', imagePath: '../images/16.png', color: 'yellow' },
-  { id: 17, name: '紅地球', imagePath: '../images/17.png', color: 'red' },
-  { id: 18, name: '白鏡', imagePath: '../images/18.png', color: 'white' },
-  { id: 19, name: '藍風暴', imagePath: '../images/19.png', color: 'blue' },
-  { id: 20, name: '黃太陽', imagePath: '../images/20.png', color: 'yellow' },
-];
-
 // ========== KIN 計算引擎 ==========
 /**
  * 根據 KIN 數字（1-260）計算對應的調性與圖騰
@@ -89,25 +31,27 @@ const GLYPH_NAMES = [
  * @returns {Object} { kinNumber, toneId, toneName, glyphId, glyphName, glyphData, fullName, messages }
  */
 const getKinData = (kinNumber) => {
-  // 調性計算 (Tone)：((kinNumber - 1) % 13) + 1
-  const toneId = ((kinNumber - 1) % 13) + 1;
-  const toneName = TONE_NAMES[toneId - 1].name;
-  
-  // 圖騰計算 (Glyph)：((kinNumber - 1) % 20) + 1
-  const glyphId = ((kinNumber - 1) % 20) + 1;
-  const glyphData = GLYPH_NAMES[glyphId - 1];
-  
+  // 調性、圖騰、顏色統一由 kin-calculator 計算
+  const info = getKinInfo(kinNumber);
+
+  const glyphData = {
+    id: info.sealNumber,
+    name: info.seal,
+    imagePath: `../images/${info.imageFile}`,
+    color: info.color,
+  };
+
   // 取得 KIN 訊息
   const messages = getKinMessage(kinNumber);
-  
+
   return {
     kinNumber,
-    toneId,
-    toneName,
-    glyphId,
-    glyphName: glyphData.name,
+    toneId: info.toneNumber,
+    toneName: info.tone,
+    glyphId: info.sealNumber,
+    glyphName: info.seal,
     glyphData,
-    fullName: `${toneName}的${glyphData.name}`,
+    fullName: info.displayText,
     messages,
   };
 };
@@ -115,97 +59,16 @@ const getKinData = (kinNumber) => {
 // ========== 視覺組件 ==========
 
 // 迷你版調性視覺組件（用於歷史紀錄）
-const MiniToneDisplay = ({ tone, color = 'red', isSelected = false }) => {
-  // 計算點與橫條（標準馬雅計數法）
-  const dots = tone % 5;
-  const bars = Math.floor(tone / 5);
-  
-  // 根據顏色屬性設定對應的 Tailwind 類別
-  const colorMap = {
-    red: isSelected ? 'bg-white' : 'bg-[#A5413F]',
-    white: isSelected ? 'bg-white' : 'bg-[#666666]',
-    blue: isSelected ? 'bg-white' : 'bg-[#3D5A73]',
-    yellow: isSelected ? 'bg-white' : 'bg-[#8C7326]',
-  };
-  
-  const dotBarColor = colorMap[color] || colorMap.red;
-  
-  return (
-    <div className="flex flex-col items-center gap-1.5">
-      {/* 點 (Dots) - 在上方橫向排列 */}
-      {dots > 0 && (
-        <div className="flex gap-1">
-          {[...Array(dots)].map((_, i) => (
-            <div 
-              key={`mini-dot-${i}`} 
-              className={`w-1.5 h-1.5 rounded-full ${dotBarColor}`}
-            />
-          ))}
-        </div>
-      )}
-      
-      {/* 橫條 (Bars) - 在下方垂直堆疊 */}
-      {bars > 0 && (
-        <div className="flex flex-col gap-1">
-          {[...Array(bars)].map((_, i) => (
-            <div 
-              key={`mini-bar-${i}`} 
-              className={`w-10 h-1 rounded-full ${dotBarColor}`}
-            />
-          ))}
-        </div>
-      )}
-    </div>
-  );
-};
+const MiniToneDisplay = ({ tone, color = 'red', isSelected = false }) => (
+  <ToneGlyph tone={tone} size={40} color={isSelected ? '#FFFFFF' : color} />
+);
 
 // 調性視覺組件 - 馬雅數字系統
-const ToneDisplay = ({ tone, isSpinning, color = 'red' }) => {
-  // 計算點與橫條（標準馬雅計數法）
-  const dots = tone % 5;
-  const bars = Math.floor(tone / 5);
-  
-  // 根據顏色屬性設定對應的 Tailwind 類別
-  const colorMap = {
-    red: 'bg-[#A5413F]',
-    white: 'bg-[#666666]',
-    blue: 'bg-[#3D5A73]',
-    yellow: 'bg-[#8C7326]',
-  };
-  
-  const dotBarColor = colorMap[color] || colorMap.red;
-  
-  return (
-    <div className={`flex flex-col items-center justify-center gap-6 transition-all duration-300 ${isSpinning ? 'blur-sm scale-95' : 'blur-0 scale-100'}`}>
-      {/* 馬雅數字視覺區 - 只顯示點與橫條 */}
-      <div className="flex flex-col items-center gap-4">
-        {/* 點 (Dots) - 在上方橫向排列 */}
-        {dots > 0 && (
-          <div className="flex gap-3">
-            {[...Array(dots)].map((_, i) => (
-              <div 
-                key={`dot-${i}`} 
-                className={`w-4 h-4 rounded-full ${dotBarColor}`}
-              />
-            ))}
-          </div>
-        )}
-        
-        {/* 橫條 (Bars) - 在下方垂直堆疊 */}
-        {bars > 0 && (
-          <div className="flex flex-col gap-3">
-            {[...Array(bars)].map((_, i) => (
-              <div 
-                key={`bar-${i}`} 
-                className={`w-24 h-2.5 rounded-full ${dotBarColor}`}
-              />
-            ))}
-          </div>
-        )}
-      </div>
-    </div>
-  );
-};
+const ToneDisplay = ({ tone, isSpinning, color = 'red' }) => (
+  <div className={`flex flex-col items-center justify-center gap-6 transition-all duration-300 ${isSpinning ? 'blur-sm scale-95' : 'blur-0 scale-100'}`}>
+    <ToneGlyph tone={tone} size={96} color={color} />
+  </div>
+);
 
 // 圖騰視覺組件
 const GlyphDisplay = ({ glyph, isSpinning }) => {
@@ -240,6 +103,10 @@ const RedRoom = () => {
     if (isSpinning) {
       clearInterval(intervalRef.current);
       setIsSpinning(false);
+
+      // 停下來的這個 Kin 才算看過，記下今天顯示的變體
+      readMessage(currentKinNumber);
+      setCurrentKinData(getKinData(currentKinNumber));
       
       const newRecord = {
         id: Date.now(),
@@ -550,7 +417,7 @@ const RedRoom = () => {
 
           {/* 操作說明 */}
           <div className="mt-6 text-center text-[#A5413F]/60 text-sm">
-            <p>當前 KIN {currentKinNumber} · {currentKinData.toneName}的{currentKinData.glyphName}</p>
+            <p>當前 KIN {currentKinNumber} · {currentKinData.fullName}</p>
           </div>
         </div>
       </div>
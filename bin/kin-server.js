@@ -0,0 +1,280 @@
+#!/usr/bin/env node
+/**
+ * 13月亮曆 Kin 本機 HTTP JSON API
+ *
+ * 用法：node bin/kin-server.js [--port 8787] [--host 127.0.0.1]
+ * 只使用 Node 內建模組與本專案的資料，可完全離線執行。
+ *
+ * 路由（皆為 GET，可加 ?locale=en&system=both；today 另可加 ?tz=Asia/Taipei）：
+ *   /kin/today            今天的 Kin
+ *   /kin/date/:iso        指定日期，例如 /kin/date/1985-03-14
+ *   /kin/:n               Kin 1-260 的資料與訊息
+ *   /kin/:n/oracle        第五力神諭
+ *   /wavespell/:n         第 n 個波符（1-20）與其中 13 個 Kin
+ *   /range?from&to        區間內每一天的 Kin（最多 MAX_RANGE_DAYS 天）
+ *   /birthday/:iso        生日年表，可加 ?past=5&future=5（各最多 MAX_TIMELINE_YEARS 年）
+ *   /search?q             全文搜尋訊息，可加 ?limit=20
+ *
+ * 無效的輸入回傳 400：{ error: { code, message } }
+ */
+
+'use strict';
+
+const http = require('http');
+const KinCalculator = require('../kin-calculator.js');
+const { getMessage, pickMessage } = require('../kin-messages.js');
+const { searchKins } = require('../kin-search.js');
+
+const {
+  calculateKin,
+  getKinInfo,
+  getOracle,
+  getBirthdayTimeline,
+  iterateKins,
+  toDateParts,
+  formatDate,
+  addDays,
+  validateKin,
+  wavespellData,
+  countSystems,
+  errorCodes,
+  KinError
+} = KinCalculator;
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_HOST = '127.0.0.1';
+
+// 單次 /range 最多回傳的天數，避免一次產生過大的回應
+const MAX_RANGE_DAYS = 3660;
+// 生日年表往前、往後各最多幾年
+const MAX_TIMELINE_YEARS = 120;
+
+// 只在 HTTP 層出現的錯誤；日期與 Kin 無效時直接回傳 KinError 的代碼
+const serverErrorCodes = {
+  MISSING_PARAMETER: 'MISSING_PARAMETER',
+  INVALID_WAVESPELL: 'INVALID_WAVESPELL',
+  RANGE_TOO_LARGE: 'RANGE_TOO_LARGE',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED'
+};
+
+/**
+ * 帶 HTTP 狀態碼的錯誤
+ */
+class HttpError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * 附上訊息資料的 Kin 紀錄；Hunab Ku 沒有訊息
+ * 訊息是依 Dreamspell 的 Kin 撰寫，system=maya 的紀錄同樣不附訊息
+ * 有日期的紀錄依日期輪替變體，與網頁同一天看到的相同
+ */
+function withMessage(record) {
+  if (record.kin === null || record.system === countSystems.MAYA) {
+    return { ...record, message: null };
+  }
+  const message = record.date ? pickMessage(record.kin, { date: record.date }).message : getMessage(record.kin);
+  return { ...record, message };
+}
+
+function toKinNumber(value) {
+  const kin = Number(value);
+  validateKin(kin);
+  return kin;
+}
+
+// 路徑中的日期先解碼，% 編碼不完整時 decodeURIComponent 會拋出 URIError
+function decodeDate(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new HttpError(400, errorCodes.INVALID_DATE, `無法解析的日期: ${value}`);
+  }
+}
+
+function requireQuery(query, name) {
+  const value = query.get(name);
+  if (!value) {
+    throw new HttpError(400, serverErrorCodes.MISSING_PARAMETER, `缺少查詢參數: ${name}`);
+  }
+  return value;
+}
+
+// 選填的非負整數查詢參數，格式錯誤時交給 getBirthdayTimeline 回報 INVALID_RANGE
+function optionalCount(query, name, max) {
+  const value = query.get(name);
+  if (value === null || value === '') {
+    return undefined;
+  }
+  const count = Number(value);
+  if (count > max) {
+    throw new HttpError(400, serverErrorCodes.RANGE_TOO_LARGE, `${name} 最多 ${max} 年，目前為 ${count} 年`);
+  }
+  return count;
+}
+
+// ==================== 路由 ====================
+// 依序比對，每個 handler 收到 (match, query, options)
+
+const routes = [
+  {
+    pattern: /^\/kin\/today$/,
+    handle(match, query, options) {
+      const timeZone = query.get('tz') || undefined;
+      const date = formatDate(toDateParts(new Date(), timeZone));
+      return withMessage({ date, ...calculateKin(date, options) });
+    }
+  },
+  {
+    pattern: /^\/kin\/date\/([^/]+)$/,
+    handle(match, query, options) {
+      const date = decodeDate(match[1]);
+      return withMessage({ date, ...calculateKin(date, options) });
+    }
+  },
+  {
+    pattern: /^\/kin\/([^/]+)\/oracle$/,
+    handle(match, query, options) {
+      return getOracle(toKinNumber(match[1]), options);
+    }
+  },
+  {
+    pattern: /^\/kin\/([^/]+)$/,
+    handle(match, query, options) {
+      return withMessage(getKinInfo(toKinNumber(match[1]), options));
+    }
+  },
+  {
+    pattern: /^\/wavespell\/([^/]+)$/,
+    handle(match, query, options) {
+      const number = Number(match[1]);
+      if (!Number.isInteger(number) || number < 1 || number > wavespellData.length) {
+        throw new HttpError(400, serverErrorCodes.INVALID_WAVESPELL,
+          `波符必須是 1-${wavespellData.length} 的整數: ${match[1]}`);
+      }
+      const { startKin } = wavespellData[number - 1];
+      const kins = Array.from({ length: 13 }, (_, i) => getKinInfo(startKin + i, options));
+      return { number, ...kins[0].wavespell, kins };
+    }
+  },
+  {
+    pattern: /^\/range$/,
+    handle(match, query, options) {
+      const from = formatDate(toDateParts(requireQuery(query, 'from')));
+      const to = formatDate(toDateParts(requireQuery(query, 'to')));
+      // YYYY-MM-DD 字串可以直接比較先後
+      if (from > to) {
+        throw new HttpError(400, errorCodes.INVALID_RANGE, `from 不能晚於 to: ${from} > ${to}`);
+      }
+      const last = formatDate(addDays(toDateParts(from), MAX_RANGE_DAYS - 1));
+      if (to > last) {
+        throw new HttpError(400, serverErrorCodes.RANGE_TOO_LARGE,
+          `區間最多 ${MAX_RANGE_DAYS} 天，從 ${from} 起最晚到 ${last}`);
+      }
+      return [...iterateKins({ from, to, ...options })].map(withMessage);
+    }
+  },
+  {
+    pattern: /^\/birthday\/([^/]+)$/,
+    handle(match, query, options) {
+      return getBirthdayTimeline(decodeDate(match[1]), {
+        past: optionalCount(query, 'past', MAX_TIMELINE_YEARS),
+        future: optionalCount(query, 'future', MAX_TIMELINE_YEARS),
+        timeZone: query.get('tz') || undefined,
+        locale: options.locale
+      });
+    }
+  },
+  {
+    pattern: /^\/search$/,
+    handle(match, query, options) {
+      // limit 不是正整數時使用 searchKins 的預設值
+      const limit = Number(query.get('limit'));
+      return searchKins(requireQuery(query, 'q'), {
+        limit: Number.isInteger(limit) && limit > 0 ? limit : undefined,
+        locale: options.locale
+      });
+    }
+  }
+];
+
+/**
+ * 處理單一請求，回傳 { status, body }
+ * @param {string} method - HTTP 方法
+ * @param {string} url - 請求路徑與查詢字串
+ */
+function handleRequest(method, url) {
+  try {
+    if (method !== 'GET') {
+      throw new HttpError(405, serverErrorCodes.METHOD_NOT_ALLOWED, `只支援 GET: ${method}`);
+    }
+    const { pathname, searchParams } = new URL(url, 'http://localhost');
+    const path = pathname.replace(/\/+$/, '') || '/';
+    const options = {
+      locale: searchParams.get('locale') || undefined,
+      system: searchParams.get('system') || undefined
+    };
+
+    for (const route of routes) {
+      const match = route.pattern.exec(path);
+      if (match) {
+        return { status: 200, body: route.handle(match, searchParams, options) };
+      }
+    }
+    throw new HttpError(404, serverErrorCodes.NOT_FOUND, `找不到路徑: ${path}`);
+  } catch (error) {
+    if (error instanceof HttpError) {
+      return { status: error.status, body: { error: { code: error.code, message: error.message } } };
+    }
+    if (error instanceof KinError) {
+      return { status: 400, body: { error: { code: error.code, message: error.message } } };
+    }
+    throw error;
+  }
+}
+
+/**
+ * 建立 HTTP 伺服器（尚未 listen）
+ */
+function createKinServer() {
+  return http.createServer((request, response) => {
+    let result;
+    try {
+      result = handleRequest(request.method, request.url);
+    } catch (error) {
+      console.error(error);
+      result = { status: 500, body: { error: { code: 'INTERNAL_ERROR', message: '伺服器錯誤' } } };
+    }
+    response.writeHead(result.status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Access-Control-Allow-Origin': '*'
+    });
+    response.end(JSON.stringify(result.body));
+  });
+}
+
+function readOption(argv, name, fallback) {
+  const index = argv.indexOf(`--${name}`);
+  return index !== -1 && argv[index + 1] !== undefined ? argv[index + 1] : fallback;
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const port = Number(readOption(argv, 'port', process.env.PORT || DEFAULT_PORT));
+  const host = readOption(argv, 'host', DEFAULT_HOST);
+  createKinServer().listen(port, host, () => {
+    console.log(`Kin API 已啟動：http://${host}:${port}/kin/today`);
+  });
+}
+
+module.exports = {
+  createKinServer,
+  handleRequest,
+  serverErrorCodes
+};
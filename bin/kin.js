@@ -0,0 +1,612 @@
+#!/usr/bin/env node
+/**
+ * 13月亮曆 Kin 命令列工具
+ *
+ * 用法：node bin/kin.js <指令> [參數] [選項]
+ *   today                      今天的 Kin
+ *   date 1985-03-14            指定日期的 Kin
+ *   range 2026-07-26 2027-07-25  區間內每一天的 Kin
+ *   oracle 74                  第五力神諭
+ *   find 74 --year 2027        找出落在某個 Kin 的日期
+ *   table --year 2026          整年對照表（或 table 2026-01-06 --days 260）
+ *   verify                     檢查年份常數推算與講義數據是否一致
+ *   ics 2026-01-01 2026-12-31 --out kin.ics  匯出 iCalendar 行事曆
+ *   svg 74 --out kin-74.svg    匯出 Kin 簽名 SVG（調性＋圖騰＋名稱）
+ *   messages                   訊息資料的完成度與缺漏的欄位
+ *   search 界線                全文搜尋訊息，列出命中的 Kin 與欄位
+ *   lint                       檢查 kinData.js、red-brain.js 的訊息內容，有錯誤時以 1 結束
+ *   build                      從 content/wavespell-*.md 產生 red-brain.js 與 kinData.js
+ *   apply patch.json           把編輯頁匯出的 JSON patch 寫回 content/wavespell-*.md
+ *
+ * 選項：
+ *   --json            以 JSON 輸出
+ *   --csv             表格以 CSV 輸出（range、table）
+ *   --tz <時區>       以指定 IANA 時區決定「今天」，例如 Asia/Taipei
+ *   --system <系統>   dreamspell（預設）、maya 或 both
+ *   --locale <語系>   名稱語系：zh-TW（預設）、zh-CN、en、es、ja
+ *   --out <檔案>      ics、svg 寫入檔案（預設輸出到標準輸出）
+ *   --size <像素>     svg 的寬度（預設 200）
+ *   --limit <數量>    search 最多列出幾個 Kin（預設 20）
+ *   --strict          lint 時連警告（缺漏的欄位）也視為失敗
+ *   --check           build 只比對不寫入，產生的檔案與原稿不一致時以 1 結束
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const KinCalculator = require('../kin-calculator.js');
+const { createKinCalendar } = require('../kin-ics.js');
+const { getKinSignatureLayout, renderKinSignatureSvg } = require('../kin-glyphs.js');
+const { messages, pickMessage, getMissingFields, getCoverage } = require('../kin-messages.js');
+const { lintMessages } = require('../kin-lint.js');
+const { searchKins } = require('../kin-search.js');
+const {
+  parseContentSource,
+  formatRedBrainScript,
+  formatKinDataModule,
+  formatContentSource,
+  diffMessages,
+  applyMessagePatch
+} = require('../kin-content.js');
+
+const {
+  calculateKin,
+  findDatesForKin,
+  iterateKins,
+  getKinTable,
+  formatKinTable,
+  getOracle,
+  toDateParts,
+  formatDate,
+  getYearConstant,
+  yearConstants,
+  KinError
+} = KinCalculator;
+
+const USAGE = `用法：node bin/kin.js <指令> [參數] [選項]
+
+指令：
+  today                        今天的 Kin
+  date <YYYY-MM-DD>            指定日期的 Kin
+  range <起日> <迄日>          區間內每一天的 Kin
+  oracle <kin>                 第五力神諭
+  find <kin> [--year YYYY]     找出落在某個 Kin 的日期（預設為今天起一年）
+  table [--year YYYY]          整年對照表
+  table <起日> [--days N]      從起日開始 N 天（預設 260）的對照表
+  verify                       檢查年份常數推算與講義數據是否一致
+  ics [起日] [迄日]            匯出 iCalendar 行事曆（預設今天起 260 天）
+  ics --year YYYY              匯出整年的 iCalendar 行事曆
+  svg <kin> [--size N]         匯出 Kin 簽名 SVG（圖騰圖檔內嵌）
+  messages                     訊息資料的完成度與缺漏的欄位
+  search <關鍵字...> [--limit N]  全文搜尋訊息，空白分隔的字詞都必須出現
+  lint [檔案...]               檢查訊息內容（預設 kinData.js 與 red-room/red-brain.js）
+  build [--check]              從 content/wavespell-*.md 產生 red-brain.js 與 kinData.js
+  apply <patch.json>           把編輯頁匯出的 JSON patch 寫回 content/ 原稿
+
+選項：
+  --json              以 JSON 輸出
+  --csv               表格以 CSV 輸出（range、table）
+  --tz <時區>         以指定 IANA 時區決定「今天」，例如 Asia/Taipei
+  --system <系統>     dreamspell（預設）、maya 或 both
+  --locale <語系>     名稱語系：zh-TW（預設）、zh-CN、en、es、ja
+  --out <檔案>        ics、svg 寫入檔案（預設輸出到標準輸出）
+  --size <像素>       svg 的寬度（預設 200）
+  --limit <數量>      search 最多列出幾個 Kin（預設 20）
+  --strict            lint 時連警告（缺漏的欄位）也視為失敗
+  --check             build 只比對不寫入，需要重新產生時以 1 結束`;
+
+const ROOT_DIR = path.join(__dirname, '..');
+const CONTENT_DIR = path.join(ROOT_DIR, 'content');
+
+// build 產生的資料檔
+const BUILD_TARGETS = [
+  { file: path.join(ROOT_DIR, 'red-room', 'red-brain.js'), format: formatRedBrainScript },
+  { file: path.join(ROOT_DIR, 'kinData.js'), format: formatKinDataModule }
+];
+
+// 需要帶值的選項
+const VALUE_OPTIONS = ['year', 'days', 'tz', 'system', 'locale', 'out', 'size', 'limit'];
+
+class UsageError extends Error {}
+
+/**
+ * 拆解參數為 { command, args, options }
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (VALUE_OPTIONS.includes(name)) {
+      if (argv[i + 1] === undefined) {
+        throw new UsageError(`選項 --${name} 需要一個值`);
+      }
+      options[name] = argv[++i];
+    } else if (['json', 'csv', 'help', 'strict', 'check'].includes(name)) {
+      options[name] = true;
+    } else {
+      throw new UsageError(`未知的選項: ${arg}`);
+    }
+  }
+  return { command: args.shift(), args, options };
+}
+
+function toInteger(value, label) {
+  const number = Number(value);
+  if (!Number.isInteger(number)) {
+    throw new UsageError(`${label}必須是整數: ${value}`);
+  }
+  return number;
+}
+
+function requireArgs(args, count, usage) {
+  if (args.length < count) {
+    throw new UsageError(`用法：node bin/kin.js ${usage}`);
+  }
+}
+
+// ==================== 文字輸出 ====================
+
+function formatKin(result) {
+  if (result.isHunabKu) {
+    return 'Hunab Ku（2 月 29 日，宇宙中心日）';
+  }
+  return `KIN ${result.kin} ${result.displayText}`;
+}
+
+function describeDay(date, result) {
+  const lines = [`${date}  ${formatKin(result)}`];
+  if (result.system === 'maya') {
+    lines.push(`  古典馬雅曆 ${result.mayaName}（儒略日 ${result.julianDay}）`);
+  }
+  if (!result.isHunabKu) {
+    lines.push(`  圖騰 ${result.seal}（${result.sealNumber}）· 調性 ${result.tone}（${result.toneNumber}）· ${result.colorName || result.color}`);
+    lines.push(`  波符 ${result.wavespell.name} · ${result.castle.name} · ${result.earthFamily.name}`);
+  }
+  if (result.moonDate) {
+    lines.push(`  13 月亮曆 ${result.moonDate.displayText}`);
+  }
+  if (result.maya) {
+    lines.push(`  古典馬雅曆 ${result.maya.mayaName} · KIN ${result.maya.kin} ${result.maya.displayText}`);
+  }
+  return lines.join('\n');
+}
+
+function describeOracle(oracle) {
+  const roles = [
+    ['destiny', '主印記'],
+    ['guide', '引導'],
+    ['analog', '類比'],
+    ['antipode', '對立'],
+    ['occult', '隱藏']
+  ];
+  return roles
+    .map(([key, label]) => `${label}  KIN ${oracle[key].kin} ${oracle[key].displayText}`)
+    .join('\n');
+}
+
+/**
+ * 把排序好的 Kin 編號縮寫成區間，例如 [1, 2, 3, 7] → "1-3, 7"
+ */
+function formatKinRanges(kins) {
+  const ranges = [];
+  kins.forEach((kin) => {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === kin - 1) {
+      last[1] = kin;
+    } else {
+      ranges.push([kin, kin]);
+    }
+  });
+  return ranges.map(([start, end]) => (start === end ? String(start) : `${start}-${end}`)).join(', ');
+}
+
+/**
+ * 讀取訊息資料檔：ES module 的 kinData.js 或設定 window.RED_BRAIN_DATA 的 red-brain.js
+ * @returns {Object} - 以 Kin 為鍵的訊息資料
+ */
+function loadMessageFile(file) {
+  const source = fs.readFileSync(file, 'utf8');
+  const exported = source.match(/^export const (\w+)\s*=/m);
+  // ES module 無法在沙箱直接執行：把 export 改成一般變數
+  const script = source
+    .replace(/^export const (\w+)\s*=/m, 'var $1 =')
+    .replace(/^export default .*$/m, '');
+  // red-brain.js 是 UMD，沙箱中沒有 module，會把資料掛在 self（即 window）上
+  const sandbox = { window: {} };
+  sandbox.self = sandbox.window;
+  vm.runInNewContext(script, sandbox, { filename: file });
+  const data = exported ? sandbox[exported[1]] : Object.values(sandbox.window)[0];
+  if (!data || typeof data !== 'object') {
+    throw new Error('找不到訊息資料物件');
+  }
+  return data;
+}
+
+/**
+ * lint 的文字報告：錯誤逐條列出，警告依內容合併成 Kin 區間
+ */
+function describeLint(file, problems) {
+  const errors = problems.filter((item) => item.severity === 'error');
+  const warnings = problems.filter((item) => item.severity === 'warning');
+  const lines = [`${file}：${errors.length} 個錯誤、${warnings.length} 個警告`];
+
+  errors.forEach((item) => {
+    const where = [item.kin === null ? null : `KIN ${item.kin}`, item.field].filter(Boolean).join(' ');
+    lines.push(`  ✗ ${where ? `${where}  ` : ''}${item.code}  ${item.message}`);
+  });
+
+  const grouped = new Map();
+  warnings.forEach((item) => {
+    const key = `${item.code}  ${item.message}`;
+    grouped.set(key, (grouped.get(key) || []).concat(item.kins || [item.kin]));
+  });
+  grouped.forEach((kins, key) => {
+    lines.push(`  ! ${key}：KIN ${formatKinRanges(kins)}`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * 讀取並解析 content/wavespell-*.md
+ * @returns {Object} - { files, messages, errors: ['content/wavespell-01.md:12  訊息', ...] }
+ */
+function readContentSources() {
+  const files = fs.readdirSync(CONTENT_DIR).filter((name) => /^wavespell-\d+\.md$/.test(name)).sort();
+  const messages = {};
+  const errors = [];
+  files.forEach((name) => {
+    const parsed = parseContentSource(fs.readFileSync(path.join(CONTENT_DIR, name), 'utf8'));
+    parsed.errors.forEach((error) => errors.push(`content/${name}:${error.line}  ${error.message}`));
+    Object.keys(parsed.messages).forEach((kin) => {
+      if (Object.prototype.hasOwnProperty.call(messages, kin)) {
+        errors.push(`content/${name}  KIN ${kin} 已在其他檔案出現`);
+      }
+      messages[kin] = parsed.messages[kin];
+    });
+  });
+  return { files, messages, errors };
+}
+
+const CHANGE_LABELS = { added: '新增', changed: '修改', removed: '刪除' };
+
+/**
+ * build 的變更報告：同樣變更的 Kin 合併成區間，例如「KIN 1-50  修改 synchronicMessage」
+ */
+function describeChanges(changes) {
+  const byKin = new Map();
+  changes.forEach(({ kin, field, type }) => {
+    const entry = byKin.get(kin) || {};
+    entry[type] = (entry[type] || []).concat(field);
+    byKin.set(kin, entry);
+  });
+
+  const grouped = new Map();
+  byKin.forEach((entry, kin) => {
+    const text = Object.keys(CHANGE_LABELS)
+      .filter((type) => entry[type])
+      .map((type) => `${CHANGE_LABELS[type]} ${entry[type].join('、')}`)
+      .join('；');
+    grouped.set(text, (grouped.get(text) || []).concat(kin));
+  });
+
+  return [...grouped].map(([text, kins]) => `  KIN ${formatKinRanges(kins)}  ${text}`);
+}
+
+// ==================== 指令 ====================
+
+const commands = {
+  today(args, options) {
+    const date = formatDate(toDateParts(new Date(), options.tz));
+    const result = calculateKin(date, { system: options.system, locale: options.locale });
+    return options.json ? { date, ...result } : describeDay(date, result);
+  },
+
+  date(args, options) {
+    requireArgs(args, 1, 'date <YYYY-MM-DD>');
+    const result = calculateKin(args[0], { system: options.system, locale: options.locale });
+    return options.json ? { date: args[0], ...result } : describeDay(args[0], result);
+  },
+
+  range(args, options) {
+    requireArgs(args, 2, 'range <起日> <迄日>');
+    const rows = [...iterateKins({ from: args[0], to: args[1], system: options.system, locale: options.locale })];
+    return formatRows(rows, options);
+  },
+
+  oracle(args, options) {
+    requireArgs(args, 1, 'oracle <kin>');
+    const oracle = getOracle(toInteger(args[0], 'Kin '), { locale: options.locale });
+    return options.json ? oracle : describeOracle(oracle);
+  },
+
+  find(args, options) {
+    requireArgs(args, 1, 'find <kin> [--year YYYY]');
+    const kin = toInteger(args[0], 'Kin ');
+    const range = {};
+    if (options.year !== undefined) {
+      const year = toInteger(options.year, '年份');
+      range.from = { year, month: 1, day: 1 };
+      range.to = { year, month: 12, day: 31 };
+    } else {
+      range.timeZone = options.tz;
+    }
+    const dates = findDatesForKin(kin, range);
+    if (options.json) {
+      return dates;
+    }
+    return dates.length === 0
+      ? `區間內沒有落在 KIN ${kin} 的日期`
+      : dates.map((item) => `${item.date}  KIN ${kin}`).join('\n');
+  },
+
+  table(args, options) {
+    const tableOptions = { system: options.system, timeZone: options.tz, locale: options.locale };
+    if (options.year !== undefined) {
+      tableOptions.year = toInteger(options.year, '年份');
+    } else {
+      if (args[0] !== undefined) {
+        tableOptions.from = args[0];
+      }
+      if (options.days !== undefined) {
+        tableOptions.days = toInteger(options.days, '天數');
+      }
+    }
+    return formatRows(getKinTable(tableOptions), options);
+  },
+
+  ics(args, options) {
+    const range = { timeZone: options.tz };
+    if (options.year !== undefined) {
+      const year = toInteger(options.year, '年份');
+      range.from = { year, month: 1, day: 1 };
+      range.to = { year, month: 12, day: 31 };
+    } else {
+      range.from = args[0] === undefined ? new Date() : args[0];
+      if (args[1] !== undefined) {
+        range.to = args[1];
+      }
+    }
+
+    // 有多則變體時依每一天的日期輪替
+    const ics = createKinCalendar({
+      ...range,
+      locale: options.locale,
+      messages: (kin, date) => pickMessage(kin, { date }).message
+    });
+    return writeOutput(ics, options);
+  },
+
+  svg(args, options) {
+    requireArgs(args, 1, 'svg <kin> [--size N] [--out 檔案]');
+    const kin = toInteger(args[0], 'Kin ');
+    const size = options.size === undefined ? undefined : toInteger(options.size, '寬度');
+    // 圖騰圖檔以 data URL 內嵌，輸出的 SVG 不依賴 images 目錄
+    const { info } = getKinSignatureLayout(kin);
+    const image = fs.readFileSync(path.join(__dirname, '..', 'images', info.imageFile));
+    const glyphHref = `data:image/png;base64,${image.toString('base64')}`;
+    const svg = renderKinSignatureSvg(kin, { size, locale: options.locale, glyphHref });
+    return writeOutput(`${svg}\n`, options);
+  },
+
+  messages(args, options) {
+    if (options.json) {
+      return getMissingFields();
+    }
+    const total = Object.keys(messages).length;
+    const lines = Object.entries(getCoverage()).map(([field, { label, written, variants, missing }]) => {
+      const status = missing.length === 0 ? '完成' : `缺 KIN ${formatKinRanges(missing)}`;
+      // 有 Kin 寫了多則變體時一併列出總則數
+      const count = variants > written ? `（共 ${variants} 則）` : '';
+      return `${label}（${field}）  ${written}/${total}${count}  ${status}`;
+    });
+    return [`訊息資料：共 ${total} 個 Kin`, ...lines].join('\n');
+  },
+
+  search(args, options) {
+    requireArgs(args, 1, 'search <關鍵字...>');
+    const query = args.join(' ');
+    const limit = options.limit === undefined ? undefined : toInteger(options.limit, '數量');
+    const results = searchKins(query, { limit, locale: options.locale });
+    if (options.json) {
+      return results;
+    }
+    if (results.length === 0) {
+      return `找不到含有「${query}」的訊息`;
+    }
+    // 命中的字以【】標出
+    return results.map(({ kin, info, matches }) => [
+      `KIN ${kin} ${info.displayText}`,
+      ...matches.map(({ label, segments }) =>
+        `  ${label}：${segments.map(({ text, match }) => (match ? `【${text}】` : text)).join('')}`)
+    ].join('\n')).join('\n\n');
+  },
+
+  lint(args, options) {
+    const files = args.length > 0
+      ? args
+      : [path.join(__dirname, '..', 'kinData.js'), path.join(__dirname, '..', 'red-room', 'red-brain.js')];
+
+    const results = files.map((file) => {
+      const name = path.relative(process.cwd(), file) || file;
+      try {
+        return { file: name, problems: lintMessages(loadMessageFile(file)) };
+      } catch (error) {
+        // 語法錯誤（例如字串被截斷）也算內容錯誤
+        return { file: name, problems: [{ severity: 'error', code: 'LOAD_FAILED', kin: null, field: null, message: error.message }] };
+      }
+    });
+
+    const failed = results.some(({ problems }) =>
+      problems.some((item) => item.severity === 'error' || options.strict));
+    if (failed) {
+      process.exitCode = 1;
+    }
+    return options.json ? results : results.map(({ file, problems }) => describeLint(file, problems)).join('\n\n');
+  },
+
+  build(args, options) {
+    const { files, messages: content, errors } = readContentSources();
+    if (errors.length > 0) {
+      process.exitCode = 1;
+      return options.json ? { errors } : [`原稿有 ${errors.length} 個錯誤，未產生任何檔案`, ...errors].join('\n');
+    }
+
+    // 產生前先以 lint 驗證，有錯誤就不寫入
+    const problems = lintMessages(content);
+    if (problems.some((item) => item.severity === 'error')) {
+      process.exitCode = 1;
+      return options.json ? { problems } : `${describeLint('content', problems)}\n未產生任何檔案`;
+    }
+
+    const targets = BUILD_TARGETS.map(({ file, format }) => {
+      const output = format(content);
+      const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+      let previous = {};
+      try {
+        previous = current === null ? {} : loadMessageFile(file);
+      } catch (error) {
+        // 原本的檔案無法載入時，視為全部新增
+      }
+      const changes = diffMessages(previous, content);
+      const upToDate = current === output;
+      if (!upToDate && !options.check) {
+        fs.writeFileSync(file, output);
+      }
+      return { file: path.relative(process.cwd(), file) || file, upToDate, changes };
+    });
+
+    if (options.check && targets.some((target) => !target.upToDate)) {
+      process.exitCode = 1;
+    }
+    if (options.json) {
+      return { sources: files.length, problems, targets };
+    }
+
+    const warnings = problems.filter((item) => item.severity === 'warning').length;
+    const lines = [`content：${files.length} 個波符，${warnings} 個警告（node bin/kin.js messages 查看缺漏的欄位）`];
+    targets.forEach(({ file, upToDate, changes }) => {
+      const status = upToDate ? '沒有變更' : options.check ? '與原稿不一致，需要執行 build' : '已更新';
+      lines.push(`${file}：${status}${changes.length > 0 ? `，${changes.length} 處文字不同` : ''}`);
+      lines.push(...describeChanges(changes));
+    });
+    return lines.join('\n');
+  },
+
+  apply(args, options) {
+    requireArgs(args, 1, 'apply <patch.json>');
+    let patch;
+    try {
+      patch = JSON.parse(fs.readFileSync(args[0], 'utf8'));
+    } catch (error) {
+      throw new UsageError(`無法讀取 JSON patch：${error.message}`);
+    }
+
+    const { messages: content, errors } = readContentSources();
+    if (errors.length > 0) {
+      process.exitCode = 1;
+      return [`原稿有 ${errors.length} 個錯誤，請先修正`, ...errors].join('\n');
+    }
+
+    const updated = applyMessagePatch(content, patch);
+    const changes = diffMessages(content, updated);
+    const wavespells = [...new Set(changes.map(({ kin }) => Math.ceil(kin / 13)))];
+    const files = wavespells.map((wavespell) => {
+      const file = path.join(CONTENT_DIR, `wavespell-${String(wavespell).padStart(2, '0')}.md`);
+      fs.writeFileSync(file, formatContentSource(wavespell, updated));
+      return path.relative(process.cwd(), file) || file;
+    });
+
+    if (options.json) {
+      return { files, changes };
+    }
+    if (changes.length === 0) {
+      return '原稿已經包含 patch 的內容，沒有變更';
+    }
+    return [
+      `已寫入 ${files.join('、')}，${changes.length} 處文字變更`,
+      ...describeChanges(changes),
+      '接著執行 node bin/kin.js build 產生資料檔'
+    ].join('\n');
+  },
+
+  verify(args, options) {
+    const years = Object.keys(yearConstants).map(Number);
+    const mismatched = years.filter((year) => getYearConstant(year) !== yearConstants[year]);
+    if (options.json) {
+      return { checked: years.length, mismatched };
+    }
+    if (mismatched.length > 0) {
+      process.exitCode = 1;
+      return `不一致的年份: ${mismatched.join(', ')}`;
+    }
+    return `全部 ${years.length} 個年份一致`;
+  }
+};
+
+/**
+ * 有 --out 時寫入檔案，否則直接輸出到標準輸出（回傳 null，不再經過 console.log）
+ */
+function writeOutput(content, options) {
+  if (options.out === undefined) {
+    process.stdout.write(content);
+    return null;
+  }
+  fs.writeFileSync(options.out, content);
+  return `已寫入 ${options.out}`;
+}
+
+function formatRows(rows, options) {
+  if (options.json) {
+    return rows;
+  }
+  return formatKinTable(rows, options.csv ? 'csv' : 'markdown');
+}
+
+function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    return 2;
+  }
+
+  const { command, args, options } = parsed;
+  if (!command || options.help || command === 'help') {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    console.error(`未知的指令: ${command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    const output = commands[command](args, options);
+    if (output !== null) {
+      console.log(typeof output === 'string' ? output : JSON.stringify(output, null, 2));
+    }
+    return process.exitCode || 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(error.message);
+      return 2;
+    }
+    if (error instanceof KinError) {
+      console.error(`錯誤 (${error.code})：${error.message}`);
+      return 1;
+    }
+    throw error;
+  }
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -1,166 +1,1052 @@
 /**
  * 13月亮曆 Kin 計算器
  * 基於官方講義數據
+ *
+ * 所有頁面共用的核心模組：
+ * - 瀏覽器：<script src="./kin-calculator.js"></script> → window.KinCalculator
+ * - Node：const KinCalculator = require('./kin-calculator.js')
+ * - ES module（JSX 組件）：import { calculateKin } from './kin-calculator.mjs'
+ *
+ * 多語系名稱包在 kin-locales.js：Node 會自動載入；瀏覽器需在本檔之前載入，
+ * 未載入時只提供繁體中文（zh-TW）。
  */
 
-// 月份常數對照表
-const monthConstants = {
-  1: 0,    // 一月
-  2: 31,   // 二月
-  3: 59,   // 三月
-  4: 90,   // 四月
-  5: 120,  // 五月
-  6: 151,  // 六月
-  7: 181,  // 七月
-  8: 212,  // 八月
-  9: 243,  // 九月
-  10: 13,  // 十月
-  11: 44,  // 十一月
-  12: 74   // 十二月
-};
-
-// 年份常數對照表
-const yearConstants = {
-  2014: 62,
-  2015: 167,
-  2016: 12,
-  2017: 117,
-  2018: 222,
-  2019: 67,
-  2020: 172,
-  2021: 17,
-  2022: 122,
-  2023: 227,
-  2024: 72,
-  2025: 177,
-  2026: 22,
-  2027: 127,
-  2028: 232,
-  2029: 77,
-  2030: 182
-};
-
-// 圖騰名稱對照表（1-20 循環）
-const sealNames = [
-  "紅龍", "白風", "藍夜", "黃種子", "紅蛇",
-  "白世界橋", "藍手", "黃星星", "紅月", "白狗",
-  "藍猴", "黃人", "紅天行者", "白巫師", "藍鷹",
-  "黃戰士", "紅地球", "白鏡", "藍風暴", "黃太陽"
-];
-
-// 調性名稱對照表（1-13 循環）
-const toneNames = [
-  "磁性的", "月亮的", "電力的", "自我存在的", "超頻的",
-  "韻律的", "共振的", "銀河星系的", "太陽的", "行星的",
-  "光譜的", "水晶的", "宇宙的"
-];
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory(require('./kin-locales.js'));
+  } else {
+    root.KinCalculator = factory(root.KinLocales);
+  }
+})(typeof self !== 'undefined' ? self : this, function (KinLocales) {
+  'use strict';
 
-/**
- * 判斷是否為閏年
- */
-function isLeapYear(year) {
-  return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
-}
+  // 月份常數對照表
+  const monthConstants = {
+    1: 0,    // 一月
+    2: 31,   // 二月
+    3: 59,   // 三月
+    4: 90,   // 四月
+    5: 120,  // 五月
+    6: 151,  // 六月
+    7: 181,  // 七月
+    8: 212,  // 八月
+    9: 243,  // 九月
+    10: 13,  // 十月
+    11: 44,  // 十一月
+    12: 74   // 十二月
+  };
+
+  // 年份常數對照表（官方講義數據，僅作為 getYearConstant 的驗證樣本）
+  const yearConstants = {
+    2014: 62,
+    2015: 167,
+    2016: 12,
+    2017: 117,
+    2018: 222,
+    2019: 67,
+    2020: 172,
+    2021: 17,
+    2022: 122,
+    2023: 227,
+    2024: 72,
+    2025: 177,
+    2026: 22,
+    2027: 127,
+    2028: 232,
+    2029: 77,
+    2030: 182,
+    2031: 27,
+    2032: 132,
+    2033: 237,
+    2034: 82,
+    2035: 187
+  };
+
+  // 年份常數錨點：2014 年 = 62
+  const YEAR_ANCHOR = { year: 2014, constant: 62 };
+
+  // 每過一年前進 365 天，365 mod 260 = 105
+  const YEAR_STEP = 105;
+
+  // 圖騰名稱對照表（1-20 循環）
+  const sealNames = [
+    "紅龍", "白風", "藍夜", "黃種子", "紅蛇",
+    "白世界橋", "藍手", "黃星星", "紅月", "白狗",
+    "藍猴", "黃人", "紅天行者", "白巫師", "藍鷹",
+    "黃戰士", "紅地球", "白鏡", "藍風暴", "黃太陽"
+  ];
+
+  // 古典馬雅日名（尤卡坦語，順序與 20 圖騰相同）
+  const mayaDayNames = [
+    "Imix", "Ik'", "Ak'bal", "K'an", "Chikchan",
+    "Kimi", "Manik'", "Lamat", "Muluk", "Ok",
+    "Chuwen", "Eb", "Ben", "Ix", "Men",
+    "Kib", "Kaban", "Etz'nab", "Kawak", "Ajaw"
+  ];
+
+  // 調性名稱對照表（1-13 循環）
+  const toneNames = [
+    "磁性的", "月亮的", "電力的", "自我存在的", "超頻的",
+    "韻律的", "共振的", "銀河星系的", "太陽的", "行星的",
+    "光譜的", "水晶的", "宇宙的"
+  ];
+
+  // 13 月亮名稱對照表（1-13，名稱與調性相同）
+  const moonNames = [
+    "磁性之月", "月亮之月", "電力之月", "自我存在之月", "超頻之月",
+    "韻律之月", "共振之月", "銀河星系之月", "太陽之月", "行星之月",
+    "光譜之月", "水晶之月", "宇宙之月"
+  ];
+
+  // 七日（Heptad）每日的等離子名稱（1-7 循環）
+  const plasmaNames = ["Dali", "Seli", "Gamma", "Kali", "Alpha", "Limi", "Silio"];
+
+  // 波符資料（20 個波符，每個波符 13 天；glyphId 為圖騰索引 0-19）
+  const wavespellData = [
+    { name: "紅龍波", startKin: 1, glyphId: 0 },
+    { name: "白巫師波", startKin: 14, glyphId: 13 },
+    { name: "藍手波", startKin: 27, glyphId: 6 },
+    { name: "黃太陽波", startKin: 40, glyphId: 19 },
+    { name: "紅天行者波", startKin: 53, glyphId: 12 },
+    { name: "白世界橋波", startKin: 66, glyphId: 5 },
+    { name: "藍風暴波", startKin: 79, glyphId: 18 },
+    { name: "黃人波", startKin: 92, glyphId: 11 },
+    { name: "紅蛇波", startKin: 105, glyphId: 4 },
+    { name: "白鏡波", startKin: 118, glyphId: 17 },
+    { name: "藍猴波", startKin: 131, glyphId: 10 },
+    { name: "黃種子波", startKin: 144, glyphId: 3 },
+    { name: "紅地球波", startKin: 157, glyphId: 16 },
+    { name: "白狗波", startKin: 170, glyphId: 9 },
+    { name: "藍夜波", startKin: 183, glyphId: 2 },
+    { name: "黃戰士波", startKin: 196, glyphId: 15 },
+    { name: "紅月波", startKin: 209, glyphId: 8 },
+    { name: "白風波", startKin: 222, glyphId: 1 },
+    { name: "藍鷹波", startKin: 235, glyphId: 14 },
+    { name: "黃星星波", startKin: 248, glyphId: 7 }
+  ];
+
+  // 圖騰顏色（紅白藍黃循環，Kin 與圖騰的顏色相同）
+  const sealColors = ["red", "white", "blue", "yellow"];
+
+  // 五座城堡（每座 52 天 = 4 個波符）
+  const castleData = [
+    { name: "紅色東方轉動城堡", court: "出生之庭", color: "red", startKin: 1 },
+    { name: "白色北方跨越城堡", court: "死亡之庭", color: "white", startKin: 53 },
+    { name: "藍色西方燃燒城堡", court: "魔法之庭", color: "blue", startKin: 105 },
+    { name: "黃色南方給予城堡", court: "智慧之庭", color: "yellow", startKin: 157 },
+    { name: "綠色中央魅惑城堡", court: "共時之庭", color: "green", startKin: 209 }
+  ];
+
+  // 五個地球家族（依圖騰編號，每族 4 個圖騰）
+  const earthFamilies = [
+    { id: "cardinal", name: "基本家族", seals: [1, 6, 11, 16] },
+    { id: "core", name: "核心家族", seals: [2, 7, 12, 17] },
+    { id: "signal", name: "信號家族", seals: [3, 8, 13, 18] },
+    { id: "gateway", name: "通道家族", seals: [4, 9, 14, 19] },
+    { id: "polar", name: "極性家族", seals: [5, 10, 15, 20] }
+  ];
+
+  // 四個顏色家族（氏族，每族 5 個圖騰，由同色圖騰起訖）
+  const colorFamilies = [
+    { id: "fire", name: "火氏族", color: "yellow", seals: [20, 1, 2, 3, 4] },
+    { id: "blood", name: "血氏族", color: "red", seals: [5, 6, 7, 8, 9] },
+    { id: "truth", name: "真理氏族", color: "white", seals: [10, 11, 12, 13, 14] },
+    { id: "sky", name: "天空氏族", color: "blue", seals: [15, 16, 17, 18, 19] }
+  ];
+
+  // 52 個銀河啟動之門（GAP），以 Kin 261 為軸對稱
+  const gapKins = [
+    1, 20, 22, 39, 43, 50, 51, 58, 64, 69, 72, 77, 85,
+    88, 93, 96, 106, 107, 108, 109, 110, 111, 112, 113, 114, 115,
+    146, 147, 148, 149, 150, 151, 152, 153, 154, 155, 165, 168, 173,
+    176, 184, 189, 192, 197, 203, 210, 211, 218, 222, 239, 241, 260
+  ];
+
+  // 神秘之柱：卓爾金正中央的第 7 行
+  const MYSTIC_COLUMN = { startKin: 121, endKin: 140 };
+
+  // Hunab Ku（2 月 29 日）的圖片
+  const HUNAB_KU_IMAGE = "hunab-ku-1.png";
+
+  // 13 月亮年從 7 月 26 日開始，7 月 25 日為無時間日
+  const MOON_YEAR_START = { month: 7, day: 26 };
+
+  // 計數系統：Dreamspell（13 月亮曆，2/29 為 Hunab Ku）與古典馬雅 Tzolkin
+  const countSystems = {
+    DREAMSPELL: "dreamspell",
+    MAYA: "maya",
+    BOTH: "both"
+  };
+
+  // GMT 相關常數：長紀曆 0.0.0.0.0（4 Ajaw）的儒略日
+  const GMT_CORRELATION = 584283;
+  const GMT_TONE = 4;
+  const GMT_SEAL = 20;
+
+  // 支援的年份範圍：格里曆完整實施後的第一年至四位數年份
+  const SUPPORTED_YEARS = { min: 1583, max: 9999 };
+
+  // 錯誤代碼（頁面可依代碼顯示對應訊息）
+  const errorCodes = {
+    INVALID_YEAR: "INVALID_YEAR",           // 年份不是整數
+    UNSUPPORTED_YEAR: "UNSUPPORTED_YEAR",   // 年份超出支援範圍
+    INVALID_MONTH: "INVALID_MONTH",         // 月份不是 1-12 的整數
+    INVALID_DAY: "INVALID_DAY",             // 日期不是整數或超出該月天數
+    NOT_LEAP_YEAR: "NOT_LEAP_YEAR",         // 平年的 2 月 29 日
+    INVALID_DATE: "INVALID_DATE",           // 無法解析的日期輸入
+    INVALID_KIN: "INVALID_KIN",             // Kin 不是 1-260 的整數
+    INVALID_MOON_DATE: "INVALID_MOON_DATE", // 13 月亮曆日期不存在
+    INVALID_TIME_ZONE: "INVALID_TIME_ZONE", // 不是有效的 IANA 時區名稱
+    INVALID_SYSTEM: "INVALID_SYSTEM",       // 不支援的計數系統
+    INVALID_RANGE: "INVALID_RANGE",         // 對照表天數或輸出格式無效
+    INVALID_LOCALE: "INVALID_LOCALE",       // 不支援的語系
+    INVALID_TONE: "INVALID_TONE"            // 調性不是 1-13 的整數
+  };
+
+  /**
+   * Kin 計算錯誤，code 為 errorCodes 其中之一，或其他模組自己的錯誤代碼（例如 KinProfile.profileErrorCodes）
+   */
+  class KinError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.name = "KinError";
+      this.code = code;
+    }
+  }
+
+  // 全站預設時區偏好存在 localStorage，同一網站的每個頁面共用
+  const TIME_ZONE_STORAGE_KEY = "kinTimeZone";
+  const timeZoneFormatters = new Map();
+
+  /**
+   * 取得指定時區的日期格式器，時區無效時拋出 KinError
+   * @param {string} timeZone - IANA 時區名稱，例如 "Asia/Taipei"
+   */
+  function getTimeZoneFormatter(timeZone) {
+    if (!timeZoneFormatters.has(timeZone)) {
+      let formatter;
+      try {
+        formatter = new Intl.DateTimeFormat("en-US", {
+          timeZone,
+          year: "numeric",
+          month: "numeric",
+          day: "numeric"
+        });
+      } catch (error) {
+        throw new KinError(errorCodes.INVALID_TIME_ZONE, `無效的時區: ${timeZone}`);
+      }
+      timeZoneFormatters.set(timeZone, formatter);
+    }
+    return timeZoneFormatters.get(timeZone);
+  }
+
+  function readStoredTimeZone() {
+    try {
+      const stored = typeof localStorage !== "undefined" && localStorage.getItem(TIME_ZONE_STORAGE_KEY);
+      if (stored) {
+        getTimeZoneFormatter(stored);
+        return stored;
+      }
+    } catch (error) {
+      // localStorage 不可用或存了無效時區時，退回系統時區
+    }
+    return null;
+  }
+
+  // null 代表使用瀏覽器／系統時區
+  let defaultTimeZone = readStoredTimeZone();
+
+  /**
+   * 設定全站預設時區，瀏覽器中會記住在 localStorage
+   * @param {string|null} timeZone - IANA 時區名稱，傳入 null 恢復使用瀏覽器時區
+   */
+  function setDefaultTimeZone(timeZone) {
+    if (timeZone) {
+      getTimeZoneFormatter(timeZone);
+    }
+    defaultTimeZone = timeZone || null;
+    try {
+      if (typeof localStorage !== "undefined") {
+        if (defaultTimeZone) {
+          localStorage.setItem(TIME_ZONE_STORAGE_KEY, defaultTimeZone);
+        } else {
+          localStorage.removeItem(TIME_ZONE_STORAGE_KEY);
+        }
+      }
+    } catch (error) {
+      // 無法寫入時只在本次頁面生效
+    }
+  }
+
+  /**
+   * 目前的全站預設時區，null 代表瀏覽器／系統時區
+   */
+  function getDefaultTimeZone() {
+    return defaultTimeZone;
+  }
+
+  // 語系：zh-TW 的名稱以本檔的表格為準，其他語系來自 kin-locales.js
+  const DEFAULT_LOCALE = "zh-TW";
+  const LOCALE_STORAGE_KEY = "kinLocale";
+  const localePacks = (KinLocales && KinLocales.locales) || {};
+  const supportedLocales = [DEFAULT_LOCALE, ...Object.keys(localePacks).filter((code) => code !== DEFAULT_LOCALE)];
+
+  /**
+   * 取得語系名稱包，語系不存在時拋出 KinError
+   * @param {string} [locale] - 語系代碼，省略時使用全站預設語系
+   * @returns {Object} - { code, label, seals, tones, wavespells, colors, toneKeywords, toneQuestions, kinName }
+   */
+  function getLocalePack(locale = defaultLocale) {
+    if (locale === DEFAULT_LOCALE) {
+      return {
+        label: "繁體中文",
+        ...localePacks[DEFAULT_LOCALE],
+        code: DEFAULT_LOCALE,
+        seals: sealNames,
+        tones: toneNames,
+        wavespells: wavespellData.map((wavespell) => wavespell.name),
+        kinName: (toneIndex, sealIndex) => `${toneNames[toneIndex]}${sealNames[sealIndex]}`
+      };
+    }
+    if (!Object.prototype.hasOwnProperty.call(localePacks, locale)) {
+      throw new KinError(errorCodes.INVALID_LOCALE,
+        `不支援的語系: ${locale}（可用：${supportedLocales.join(", ")}）`);
+    }
+    return { ...localePacks[locale], code: locale };
+  }
+
+  function readStoredLocale() {
+    try {
+      const stored = typeof localStorage !== "undefined" && localStorage.getItem(LOCALE_STORAGE_KEY);
+      if (stored && supportedLocales.includes(stored)) {
+        return stored;
+      }
+    } catch (error) {
+      // localStorage 不可用時使用繁體中文
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  let defaultLocale = readStoredLocale();
+
+  /**
+   * 設定全站預設語系，瀏覽器中會記住在 localStorage
+   * @param {string|null} locale - 語系代碼，傳入 null 恢復繁體中文
+   */
+  function setDefaultLocale(locale) {
+    const next = locale || DEFAULT_LOCALE;
+    getLocalePack(next);
+    defaultLocale = next;
+    try {
+      if (typeof localStorage !== "undefined") {
+        localStorage.setItem(LOCALE_STORAGE_KEY, defaultLocale);
+      }
+    } catch (error) {
+      // 隱私模式等情況下記不住，下次開頁面會回到 zh-TW
+    }
+  }
+
+  /**
+   * 目前的全站預設語系
+   */
+  function getDefaultLocale() {
+    return defaultLocale;
+  }
+
+  /**
+   * 判斷是否為閏年
+   */
+  function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || (year % 400 === 0);
+  }
+
+  /**
+   * 該月份的天數
+   */
+  function daysInMonth(year, month) {
+    if (month === 2) {
+      return isLeapYear(year) ? 29 : 28;
+    }
+    return [4, 6, 9, 11].includes(month) ? 30 : 31;
+  }
+
+  /**
+   * 檢查日期是否存在，不存在時拋出 KinError
+   * @param {number} year - 年份
+   * @param {number} month - 月份 (1-12)
+   * @param {number} day - 日期
+   */
+  function validateDate(year, month, day) {
+    if (!Number.isInteger(year)) {
+      throw new KinError(errorCodes.INVALID_YEAR, `年份必須是整數: ${year}`);
+    }
+    if (year < SUPPORTED_YEARS.min || year > SUPPORTED_YEARS.max) {
+      throw new KinError(errorCodes.UNSUPPORTED_YEAR,
+        `年份 ${year} 不在支援範圍 ${SUPPORTED_YEARS.min}-${SUPPORTED_YEARS.max}`);
+    }
+    if (!Number.isInteger(month) || month < 1 || month > 12) {
+      throw new KinError(errorCodes.INVALID_MONTH, `月份必須是 1-12 的整數: ${month}`);
+    }
+    if (month === 2 && day === 29 && !isLeapYear(year)) {
+      throw new KinError(errorCodes.NOT_LEAP_YEAR, `${year} 年不是閏年，沒有 2 月 29 日`);
+    }
+    if (!Number.isInteger(day) || day < 1 || day > daysInMonth(year, month)) {
+      throw new KinError(errorCodes.INVALID_DAY,
+        `${year} 年 ${month} 月沒有第 ${day} 天`);
+    }
+  }
+
+  /**
+   * 檢查 Kin 是否為 1-260 的整數，不是時拋出 KinError
+   */
+  function validateKin(kin) {
+    if (!Number.isInteger(kin) || kin < 1 || kin > 260) {
+      throw new KinError(errorCodes.INVALID_KIN, `Kin 必須是 1-260 的整數: ${kin}`);
+    }
+  }
+
+  /**
+   * 檢查調性是否為 1-13 的整數，不是時拋出 KinError
+   */
+  function validateTone(tone) {
+    if (!Number.isInteger(tone) || tone < 1 || tone > 13) {
+      throw new KinError(errorCodes.INVALID_TONE, `調性必須是 1-13 的整數: ${tone}`);
+    }
+  }
+
+  /**
+   * 計算任意年份的年份常數
+   * 2 月 29 日為 Hunab Ku、不佔用 Kin，因此閏年與平年一樣只前進 105
+   * @param {number} year - 西元年份
+   * @returns {number} - 年份常數 (0-259)
+   */
+  function getYearConstant(year) {
+    const offset = (year - YEAR_ANCHOR.year) * YEAR_STEP;
+    return (((YEAR_ANCHOR.constant + offset) % 260) + 260) % 260;
+  }
+
+  /**
+   * 計算 Kin 數字
+   * 也可以傳入單一日期：calculateKin(date, { timeZone, system })
+   *   date 為 Date、ISO 字串（"2026-01-06" 或 "2026-01-06T08:00:00Z"）或 { year, month, day }
+   *   timeZone 決定取哪個時區的日曆日，省略時使用全站預設時區
+   * system 選擇計數系統：
+   *   "dreamspell"（預設）13 月亮曆的 Kin
+   *   "maya"       古典馬雅 Tzolkin（GMT 584283，不跳過 2/29）
+   *   "both"       Dreamspell 結果另附 maya 欄位
+   * @param {number|Date|string|Object} year - 年份，或單一日期
+   * @param {number|Object} month - 月份 (1-12)，或單一日期時的選項 { timeZone, system, locale }
+   * @param {number} day - 日期
+   * @param {Object} [options] - { system, locale }，locale 決定名稱的語系（見 kin-locales.js）
+   * @returns {Object} - { kin, seal, tone, isHunabKu, moonDate, system }
+   */
+  function calculateKin(year, month, day, options = {}) {
+    if (typeof year !== "number") {
+      options = month || {};
+      ({ year, month, day } = toDateParts(year, options.timeZone));
+    }
+    validateDate(year, month, day);
+
+    const { system = countSystems.DREAMSPELL, locale } = options;
+    switch (system) {
+      case countSystems.DREAMSPELL:
+        return calculateDreamspellKin(year, month, day, locale);
+      case countSystems.MAYA:
+        return calculateMayaKin(year, month, day, locale);
+      case countSystems.BOTH:
+        return {
+          ...calculateDreamspellKin(year, month, day, locale),
+          maya: calculateMayaKin(year, month, day, locale)
+        };
+      default:
+        throw new KinError(errorCodes.INVALID_SYSTEM, `不支援的計數系統: ${system}`);
+    }
+  }
+
+  /**
+   * Dreamspell 計數（日期需已通過 validateDate）
+   */
+  function calculateDreamspellKin(year, month, day, locale) {
+    // 特殊處理：2月29日顯示 Hunab Ku
+    if (month === 2 && day === 29) {
+      return {
+        kin: null,
+        seal: null,
+        tone: null,
+        sealNumber: null,
+        toneNumber: null,
+        color: null,
+        colorName: null,
+        wavespell: null,
+        toneQuestion: null,
+        toneKeywords: null,
+        locale: getLocalePack(locale).code,
+        castle: null,
+        earthFamily: null,
+        colorFamily: null,
+        harmonic: null,
+        chromatic: null,
+        isGAP: false,
+        isMysticColumn: false,
+        isHunabKu: true,
+        displayText: "Hunab Ku",
+        imageFile: HUNAB_KU_IMAGE,
+        moonDate: toMoonDate(year, month, day),
+        system: countSystems.DREAMSPELL
+      };
+    }
+
+    // 基本計算：Kin = 年份常數 + 月份常數 + 日期
+    // 2/29 為 Hunab Ku、不佔用 Kin，閏年的 3/1 直接接在 2/28 之後
+    let kin = getYearConstant(year) + monthConstants[month] + day;
+
+    // 將 Kin 限制在 1-260 範圍內
+    while (kin > 260) {
+      kin -= 260;
+    }
+    while (kin < 1) {
+      kin += 260;
+    }
 
-/**
- * 計算 Kin 數字
- * @param {number} year - 年份
- * @param {number} month - 月份 (1-12)
- * @param {number} day - 日期
- * @returns {Object} - { kin, seal, tone, isHunabKu }
- */
-function calculateKin(year, month, day) {
-  // 特殊處理：2月29日顯示 Hunab Ku
-  if (month === 2 && day === 29) {
     return {
-      kin: null,
-      seal: null,
-      tone: null,
-      isHunabKu: true,
-      displayText: "Hunab Ku"
+      ...getKinInfo(kin, { locale }),
+      isHunabKu: false,
+      moonDate: toMoonDate(year, month, day),
+      system: countSystems.DREAMSPELL
     };
   }
 
-  // 檢查年份常數是否存在
-  if (!yearConstants[year]) {
-    throw new Error(`年份 ${year} 的常數尚未定義`);
+  /**
+   * 格里曆日期的儒略日（JDN）
+   */
+  function toJulianDay(year, month, day) {
+    return Math.round(Date.UTC(year, month - 1, day) / DAY_MS) + 2440588;
   }
 
-  // 基本計算：Kin = 年份常數 + 月份常數 + 日期
-  let kin = yearConstants[year] + monthConstants[month] + day;
+  /**
+   * 古典馬雅 Tzolkin 計數（GMT 584283 相關常數）
+   * 每天連續計數，2/29 也有自己的日名，因此閏年後會與 Dreamspell 錯開
+   * @param {number} year - 年份
+   * @param {number} month - 月份 (1-12)
+   * @param {number} day - 日期
+   * @param {string} [locale] - 語系代碼
+   * @returns {Object} - getKinInfo 的欄位，另含 mayaName（如 "4 Ajaw"）、mayaDayName、julianDay
+   */
+  function calculateMayaKin(year, month, day, locale) {
+    const julianDay = toJulianDay(year, month, day);
+    const elapsed = julianDay - GMT_CORRELATION;
+    const toneNumber = wrap(GMT_TONE - 1 + elapsed, 13) + 1;
+    const sealNumber = wrap(GMT_SEAL - 1 + elapsed, 20) + 1;
+    const mayaDayName = mayaDayNames[sealNumber - 1];
 
-  // 閏年特殊規則：3月1日之後需要 +1
-  if (isLeapYear(year) && (month > 2 || (month === 2 && day > 28))) {
-    kin += 1;
+    return {
+      ...getKinInfo(getKinBySealAndTone(sealNumber, toneNumber), { locale }),
+      isHunabKu: false,
+      system: countSystems.MAYA,
+      mayaDayName,
+      mayaName: `${toneNumber} ${mayaDayName}`,
+      julianDay
+    };
   }
 
-  // 將 Kin 限制在 1-260 範圍內
-  while (kin > 260) {
-    kin -= 260;
+  function wrap(value, size) {
+    return ((value % size) + size) % size;
   }
-  while (kin < 1) {
-    kin += 260;
+
+  /**
+   * 取得 Kin 的圖騰與調性
+   * @param {number} kin - Kin 編號 (1-260)
+   * @param {Object} [options] - { locale }，名稱的語系，省略時使用全站預設語系
+   * @returns {Object} - { kin, seal, tone, sealNumber, toneNumber, color, colorName, wavespell, displayText,
+   *   toneQuestion, toneKeywords, locale, imageFile }
+   */
+  function getKinInfo(kin, { locale } = {}) {
+    const pack = getLocalePack(locale);
+
+    // 計算圖騰（1-20 循環）
+    const sealIndex = ((kin - 1) % 20);
+    const seal = pack.seals[sealIndex];
+
+    // 計算調性（1-13 循環）
+    const toneIndex = ((kin - 1) % 13);
+    const tone = pack.tones[toneIndex];
+
+    // 圖騰編號：1-20（對應圖片檔名）
+    const sealNumber = sealIndex + 1;
+    const color = getKinColor(kin);
+    const wavespellIndex = Math.floor((kin - 1) / 13);
+
+    return {
+      kin: kin,
+      seal: seal,
+      tone: tone,
+      sealNumber: sealNumber,
+      toneNumber: toneIndex + 1,
+      color: color,
+      colorName: pack.colors ? pack.colors[color] : null,
+      wavespell: { ...getWavespell(kin), name: pack.wavespells[wavespellIndex] },
+      displayText: pack.kinName(toneIndex, sealIndex),
+      toneQuestion: pack.toneQuestions ? pack.toneQuestions[toneIndex] : null,
+      toneKeywords: pack.toneKeywords ? pack.toneKeywords[toneIndex] : null,
+      locale: pack.code,
+      // 圖片檔名使用圖騰編號，例如 KIN 28 → 08.png
+      imageFile: `${String(sealNumber).padStart(2, '0')}.png`,
+      ...getKinStructure(kin)
+    };
   }
 
-  // 計算圖騰（1-20 循環）
-  const sealIndex = ((kin - 1) % 20);
-  const seal = sealNames[sealIndex];
+  /**
+   * 取得 Kin 所屬的波符
+   * @param {number} kin - Kin 編號 (1-260)
+   * @returns {Object} - { name, startKin, glyphId }
+   */
+  function getWavespell(kin) {
+    const wavespellIndex = Math.floor((kin - 1) / 13);
+    return wavespellData[wavespellIndex];
+  }
 
-  // 計算調性（1-13 循環）
-  const toneIndex = ((kin - 1) % 13);
-  const tone = toneNames[toneIndex];
-  
-  // 圖騰編號：1-20（對應圖片檔名）
-  const sealNumber = sealIndex + 1;
+  /**
+   * 取得 Kin 的顏色：red / white / blue / yellow
+   */
+  function getKinColor(kin) {
+    return sealColors[(kin - 1) % 4];
+  }
 
-  return {
-    kin: kin,
-    seal: seal,
-    tone: tone,
-    sealNumber: sealNumber,
-    isHunabKu: false,
-    displayText: `${tone}${seal}`
+  /**
+   * 取得 Kin 在卓爾金中的結構位置
+   * @param {number} kin - Kin 編號 (1-260)
+   * @returns {Object} - { castle, earthFamily, colorFamily, harmonic, chromatic, isGAP, isMysticColumn }
+   *   harmonic 為 1-65（每 4 個 Kin 一組），chromatic 為 { number: 1-52, color }（每 5 個 Kin 一組，起訖同色）
+   */
+  function getKinStructure(kin) {
+    const sealNumber = ((kin - 1) % 20) + 1;
+    const castleIndex = Math.floor((kin - 1) / 52);
+    const chromaticNumber = Math.floor((kin - 1) / 5) + 1;
+    const family = earthFamilies.find((item) => item.seals.includes(sealNumber));
+    const clan = colorFamilies.find((item) => item.seals.includes(sealNumber));
+
+    return {
+      castle: { number: castleIndex + 1, ...castleData[castleIndex] },
+      earthFamily: { id: family.id, name: family.name },
+      colorFamily: { id: clan.id, name: clan.name, color: clan.color },
+      harmonic: Math.floor((kin - 1) / 4) + 1,
+      chromatic: { number: chromaticNumber, color: getKinColor((chromaticNumber - 1) * 5 + 1) },
+      isGAP: gapKins.includes(kin),
+      isMysticColumn: kin >= MYSTIC_COLUMN.startKin && kin <= MYSTIC_COLUMN.endKin
+    };
+  }
+
+  /**
+   * 由圖騰編號與調性編號找出 Kin（260 = 13 × 20，組合唯一）
+   * @param {number} sealNumber - 圖騰編號 (1-20)
+   * @param {number} toneNumber - 調性編號 (1-13)
+   * @returns {number} - Kin 編號 (1-260)
+   */
+  function getKinBySealAndTone(sealNumber, toneNumber) {
+    for (let kin = toneNumber; kin <= 260; kin += 13) {
+      if ((kin - 1) % 20 + 1 === sealNumber) {
+        return kin;
+      }
+    }
+    throw new KinError(errorCodes.INVALID_KIN, `無效的圖騰或調性: ${sealNumber}, ${toneNumber}`);
+  }
+
+  // 引導圖騰相對於主印記圖騰的位移（依調性，同色家族內）
+  const GUIDE_SEAL_OFFSETS = {
+    1: 0, 6: 0, 11: 0,
+    2: 12, 7: 12, 12: 12,
+    3: 4, 8: 4, 13: 4,
+    4: 16, 9: 16,
+    5: 8, 10: 8
   };
-}
-
-// 測試今天的日期：2026/01/06
-const testDate = {
-  year: 2026,
-  month: 1,
-  day: 6
-};
-
-console.log("=== 測試計算 ===");
-console.log(`日期: ${testDate.year}/${testDate.month}/${testDate.day}`);
-
-const result = calculateKin(testDate.year, testDate.month, testDate.day);
-console.log(`計算過程:`);
-console.log(`  年份常數: ${yearConstants[testDate.year]}`);
-console.log(`  月份常數: ${monthConstants[testDate.month]}`);
-console.log(`  日期: ${testDate.day}`);
-console.log(`  總和: ${yearConstants[testDate.year] + monthConstants[testDate.month] + testDate.day}`);
-console.log(`結果:`);
-console.log(`  KIN: ${result.kin}`);
-console.log(`  圖騰編號: ${result.sealNumber}`);
-console.log(`  圖騰: ${result.seal}`);
-console.log(`  調性: ${result.tone}`);
-console.log(`  完整名稱: ${result.displayText}`);
-console.log(`  圖片檔名: ${String(result.sealNumber).padStart(2, '0')}.png`);
-
-// 測試 2 月 29 日
-console.log("\n=== 測試閏年 2/29 ===");
-const leapDayResult = calculateKin(2024, 2, 29);
-console.log(`結果: ${leapDayResult.displayText}`);
-console.log(`是否為 Hunab Ku: ${leapDayResult.isHunabKu}`);
-
-// 導出函數供前端使用
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = {
+
+  // 圖騰編號 1-20 循環（20 = 黃太陽）
+  function wrapSeal(sealNumber) {
+    return ((sealNumber - 1) % 20 + 20) % 20 + 1;
+  }
+
+  /**
+   * 第五力神諭：主印記、引導、類比、對立、隱藏
+   * - 引導：同調性，依調性在同色家族中位移
+   * - 類比：同調性，圖騰編號相加 = 19（黃太陽視為 0）
+   * - 對立：同調性，圖騰編號相差 10
+   * - 隱藏：調性相加 = 14，圖騰編號相加 = 21（兩個 Kin 相加 = 261）
+   * @param {number} kin - Kin 編號 (1-260)
+   * @param {Object} [options] - { locale }
+   * @returns {Object} - { destiny, guide, analog, antipode, occult }，每項皆為 getKinInfo 的結果
+   */
+  function getOracle(kin, options = {}) {
+    validateKin(kin);
+
+    const destiny = getKinInfo(kin, options);
+    const { sealNumber, toneNumber } = destiny;
+
+    const guideSeal = wrapSeal(sealNumber + GUIDE_SEAL_OFFSETS[toneNumber]);
+    const analogSeal = wrapSeal(19 - sealNumber);
+    const antipodeSeal = wrapSeal(sealNumber + 10);
+
+    return {
+      destiny: destiny,
+      guide: getKinInfo(getKinBySealAndTone(guideSeal, toneNumber), options),
+      analog: getKinInfo(getKinBySealAndTone(analogSeal, toneNumber), options),
+      antipode: getKinInfo(getKinBySealAndTone(antipodeSeal, toneNumber), options),
+      occult: getKinInfo(261 - kin, options)
+    };
+  }
+
+  /**
+   * 某個時刻在指定時區的日曆日
+   * @param {Date} date - 時刻
+   * @param {string|null} timeZone - IANA 時區名稱，null 代表瀏覽器／系統時區
+   */
+  function zonedDateParts(date, timeZone) {
+    if (Number.isNaN(date.getTime())) {
+      throw new KinError(errorCodes.INVALID_DATE, `無效的日期: ${date}`);
+    }
+    if (!timeZone) {
+      return { year: date.getFullYear(), month: date.getMonth() + 1, day: date.getDate() };
+    }
+    const parts = getTimeZoneFormatter(timeZone).formatToParts(date);
+    const get = (type) => Number(parts.find((part) => part.type === type).value);
+    return { year: get("year"), month: get("month"), day: get("day") };
+  }
+
+  /**
+   * 將日期輸入統一為 { year, month, day }
+   * "YYYY-MM-DD" 與 { year, month, day } 本身就是日曆日，不受時區影響；
+   * Date 與帶時間的 ISO 字串是某個時刻，依 timeZone 換算成當地的日曆日
+   * @param {Date|string|Object} value - Date、ISO 字串或 { year, month, day }
+   * @param {string|null} [timeZone] - IANA 時區名稱，省略時使用全站預設時區
+   * @returns {Object} - { year, month, day }
+   */
+  function toDateParts(value, timeZone = defaultTimeZone) {
+    if (value instanceof Date) {
+      return zonedDateParts(value, timeZone);
+    }
+    if (typeof value === "string") {
+      const text = value.trim();
+      if (/^\d{4}-\d{2}-\d{2}T/.test(text)) {
+        return zonedDateParts(new Date(text), timeZone);
+      }
+      const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+      if (!match) {
+        throw new KinError(errorCodes.INVALID_DATE, `無法解析日期: ${value}`);
+      }
+      const parts = { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+      validateDate(parts.year, parts.month, parts.day);
+      return parts;
+    }
+    if (value && typeof value === "object") {
+      validateDate(value.year, value.month, value.day);
+      return { year: value.year, month: value.month, day: value.day };
+    }
+    throw new KinError(errorCodes.INVALID_DATE, `無法解析日期: ${value}`);
+  }
+
+  /**
+   * 日期格式化為 "YYYY-MM-DD"
+   */
+  function formatDate({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  // 以 UTC 毫秒逐日前進，避免夏令時間影響
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function toUtcTime({ year, month, day }) {
+    return Date.UTC(year, month - 1, day);
+  }
+
+  function fromUtcTime(time) {
+    const date = new Date(time);
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+  }
+
+  /**
+   * 日曆日加減天數（2/29 照常計入）
+   * @param {Object} parts - { year, month, day }
+   * @param {number} days - 天數，可為負數
+   * @returns {Object} - { year, month, day }
+   */
+  function addDays(parts, days) {
+    return fromUtcTime(toUtcTime(parts) + days * DAY_MS);
+  }
+
+  /**
+   * 反查：找出區間內所有落在指定 Kin 的日期
+   * 2 月 29 日（Hunab Ku）不屬於任何 Kin，會被略過
+   * @param {number} kin - Kin 編號 (1-260)
+   * @param {Object} [range] - { from, to, timeZone }，from / to 接受 Date、ISO 字串或 { year, month, day }
+   *   from 預設為今天，to 預設為 from 之後 365 天，timeZone 預設為全站預設時區
+   * @returns {Array} - [{ year, month, day, date }]，date 為 "YYYY-MM-DD"
+   */
+  function findDatesForKin(kin, { from = new Date(), to, timeZone } = {}) {
+    validateKin(kin);
+
+    const start = toDateParts(from, timeZone);
+    // 以天數推算預設終點，2/29 起算時不會落在平年不存在的 2/29
+    const end = to === undefined ? addDays(start, 365) : toDateParts(to, timeZone);
+
+    const dates = [];
+    for (const record of iterateKins({ from: start, to: end })) {
+      if (!record.isHunabKu && record.kin === kin) {
+        const { year, month, day, date } = record;
+        dates.push({ year, month, day, date });
+      }
+    }
+    return dates;
+  }
+
+  /**
+   * 逐日產生區間內每一天的完整 Kin 紀錄，包含 2/29 的 Hunab Ku
+   * @param {Object} [range] - { from, to, timeZone, system, locale }，from / to 接受 Date、ISO 字串或 { year, month, day }
+   *   from 預設為今天，to 預設為 from 起算的 260 天（一個卓爾金循環），to 早於 from 時不產生任何紀錄
+   * @yields {Object} - { year, month, day, date, ...calculateKin 的結果 }
+   */
+  function* iterateKins({ from = new Date(), to, timeZone, system, locale } = {}) {
+    const start = toDateParts(from, timeZone);
+    const startTime = toUtcTime(start);
+    const endTime = to === undefined ? startTime + 259 * DAY_MS : toUtcTime(toDateParts(to, timeZone));
+
+    for (let time = startTime; time <= endTime; time += DAY_MS) {
+      const parts = fromUtcTime(time);
+      yield {
+        ...parts,
+        date: formatDate(parts),
+        ...calculateKin(parts.year, parts.month, parts.day, { system, locale })
+      };
+    }
+  }
+
+  /**
+   * Kin 對照表：指定 year 時為該年 1/1 至 12/31，否則為 from 起算 days 天
+   * @param {Object} [options] - { year } 或 { from, days = 260 }，另可指定 timeZone、system、locale
+   * @returns {Array} - iterateKins 產生的紀錄陣列
+   */
+  function getKinTable({ year, from = new Date(), days = 260, timeZone, system, locale } = {}) {
+    if (year !== undefined) {
+      validateDate(year, 1, 1);
+      return [...iterateKins({ from: { year, month: 1, day: 1 }, to: { year, month: 12, day: 31 }, system, locale })];
+    }
+    if (!Number.isInteger(days) || days < 1) {
+      throw new KinError(errorCodes.INVALID_RANGE, `天數必須是正整數: ${days}`);
+    }
+    const start = toDateParts(from, timeZone);
+    return [...iterateKins({ from: start, to: addDays(start, days - 1), system, locale })];
+  }
+
+  /**
+   * 生日年表：每一年生日當天的 Kin（個人年度印記），從最近一次生日往前 past 年、往後 future 年
+   * 2/29 出生時每年都以 2/28 的 Kin 為準（閏年的 2/29 為 Hunab Ku，與 2/28 共用 Kin）
+   * @param {Date|string|Object} birthDate - 出生日期，視為日曆日、不隨時區換算
+   * @param {Object} [options] - { past = 5, future = 5, from, timeZone, locale }，from 預設為今天
+   * @returns {Array} - [{ age, year, month, day, date, moonYear, isCurrent, ...calculateKin 的結果 }]
+   *   moonYear 為生日所在的 13 月亮年（如 "1984-1985"），isCurrent 標示目前所在的個人年度（最近一次生日）
+   */
+  function getBirthdayTimeline(birthDate, { past = 5, future = 5, from = new Date(), timeZone, locale } = {}) {
+    const birth = toDateParts(birthDate, null);
+    validateDate(birth.year, birth.month, birth.day);
+    for (const [name, value] of [["past", past], ["future", future]]) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new KinError(errorCodes.INVALID_RANGE, `${name} 必須是 0 以上的整數: ${value}`);
+      }
+    }
+
+    const today = toDateParts(from, timeZone);
+    const bornOnHunabKu = birth.month === 2 && birth.day === 29;
+    // 平年沒有 2/29，生日過在 2/28
+    const birthdayOf = (year) => (bornOnHunabKu && !isLeapYear(year) ? 28 : birth.day);
+    const hadBirthday = today.month > birth.month ||
+      (today.month === birth.month && today.day >= birthdayOf(today.year));
+    const currentYear = Math.max(birth.year, hadBirthday ? today.year : today.year - 1);
+
+    const firstYear = Math.max(birth.year, currentYear - past);
+    const lastYear = Math.min(SUPPORTED_YEARS.max, currentYear + future);
+    const timeline = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+      const day = birthdayOf(year);
+      const result = calculateKin(year, birth.month, bornOnHunabKu ? 28 : day, { locale });
+      const parts = { year, month: birth.month, day };
+      timeline.push({
+        age: year - birth.year,
+        ...parts,
+        date: formatDate(parts),
+        moonYear: `${result.moonDate.year}-${result.moonDate.year + 1}`,
+        isCurrent: year === currentYear,
+        ...result
+      });
+    }
+    return timeline;
+  }
+
+  /**
+   * 將對照表輸出為文字
+   * @param {Array} rows - getKinTable 或 iterateKins 的紀錄
+   * @param {string} [format] - "markdown"（預設）或 "csv"
+   * @returns {string}
+   */
+  function formatKinTable(rows, format = "markdown") {
+    const header = ["日期", "KIN", "名稱", "13 月亮曆"];
+    const lines = rows.map((row) => [
+      row.date,
+      row.isHunabKu ? "-" : String(row.kin),
+      row.displayText,
+      row.moonDate ? row.moonDate.displayText : ""
+    ]);
+
+    if (format === "csv") {
+      const escape = (cell) => (/[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell);
+      return [header, ...lines].map((line) => line.map(escape).join(",")).join("\n");
+    }
+    if (format === "markdown") {
+      const toRow = (line) => `| ${line.join(" | ")} |`;
+      return [toRow(header), toRow(header.map(() => "---")), ...lines.map(toRow)].join("\n");
+    }
+    throw new KinError(errorCodes.INVALID_RANGE, `不支援的表格格式: ${format}`);
+  }
+
+  /**
+   * 西元日期轉換為 13 月亮曆日期
+   * 一年 = 13 個月亮 × 28 天 + 無時間日（7/25）；2 月 29 日為 Hunab Ku，不計入月亮日
+   * @param {number} year - 年份
+   * @param {number} month - 月份 (1-12)
+   * @param {number} day - 日期
+   * @returns {Object} - { year, moon, moonName, day, dayOfWeek, heptad, plasma, isDayOutOfTime, isHunabKu, displayText }
+   *   year 為 13 月亮年開始（7/26）時的西元年份
+   */
+  function toMoonDate(year, month, day) {
+    const beforeStart = month < MOON_YEAR_START.month ||
+      (month === MOON_YEAR_START.month && day < MOON_YEAR_START.day);
+    const moonYear = beforeStart ? year - 1 : year;
+
+    const base = {
+      year: moonYear,
+      moon: null,
+      moonName: null,
+      day: null,
+      dayOfWeek: null,
+      heptad: null,
+      plasma: null,
+      isDayOutOfTime: false,
+      isHunabKu: false
+    };
+
+    if (month === 2 && day === 29) {
+      return { ...base, isHunabKu: true, displayText: "Hunab Ku" };
+    }
+
+    let dayIndex = (toUtcTime({ year, month, day }) -
+      toUtcTime({ year: moonYear, ...MOON_YEAR_START })) / DAY_MS;
+
+    // 跨過 2 月 29 日時扣回一天
+    if (beforeStart && month > 2 && isLeapYear(year)) {
+      dayIndex -= 1;
+    }
+
+    if (dayIndex === 13 * 28) {
+      return { ...base, isDayOutOfTime: true, displayText: "無時間日" };
+    }
+
+    const moon = Math.floor(dayIndex / 28) + 1;
+    const moonDay = (dayIndex % 28) + 1;
+    const dayOfWeek = ((moonDay - 1) % 7) + 1;
+
+    return {
+      ...base,
+      moon: moon,
+      moonName: moonNames[moon - 1],
+      day: moonDay,
+      dayOfWeek: dayOfWeek,
+      heptad: Math.floor((moonDay - 1) / 7) + 1,
+      plasma: plasmaNames[dayOfWeek - 1],
+      displayText: `${moonNames[moon - 1]} 第 ${moonDay} 天`
+    };
+  }
+
+  /**
+   * 13 月亮曆日期轉換回西元日期
+   * @param {Object} moonDate - { year, moon, day } 或 { year, isDayOutOfTime: true }
+   *   year 為 13 月亮年開始（7/26）時的西元年份
+   * @returns {Object} - { year, month, day }
+   */
+  function fromMoonDate({ year, moon, day, isDayOutOfTime = false }) {
+    // 年份與其他入口一樣檢查整數與支援範圍
+    validateDate(year, MOON_YEAR_START.month, MOON_YEAR_START.day);
+
+    let dayIndex;
+    if (isDayOutOfTime) {
+      dayIndex = 13 * 28;
+    } else {
+      if (!Number.isInteger(moon) || moon < 1 || moon > 13) {
+        throw new KinError(errorCodes.INVALID_MOON_DATE, `月亮必須是 1-13 的整數: ${moon}`);
+      }
+      if (!Number.isInteger(day) || day < 1 || day > 28) {
+        throw new KinError(errorCodes.INVALID_MOON_DATE, `月亮日必須是 1-28 的整數: ${day}`);
+      }
+      dayIndex = (moon - 1) * 28 + (day - 1);
+    }
+
+    let time = toUtcTime({ year, ...MOON_YEAR_START }) + dayIndex * DAY_MS;
+
+    // 落在 2 月 29 日或之後，需跳過 Hunab Ku
+    if (isLeapYear(year + 1) && time >= toUtcTime({ year: year + 1, month: 2, day: 29 })) {
+      time += DAY_MS;
+    }
+
+    // 支援範圍最後一年的 13 月亮年會跨進下一年，超出時同樣拋出 KinError
+    const date = fromUtcTime(time);
+    validateDate(date.year, date.month, date.day);
+    return date;
+  }
+
+  // 導出函數供前端使用
+  return {
     calculateKin,
+    findDatesForKin,
+    iterateKins,
+    getKinTable,
+    getBirthdayTimeline,
+    formatKinTable,
+    getKinInfo,
+    getKinBySealAndTone,
+    getWavespell,
+    getKinColor,
+    getKinStructure,
+    getOracle,
+    toMoonDate,
+    fromMoonDate,
+    calculateMayaKin,
+    getYearConstant,
     isLeapYear,
+    daysInMonth,
+    validateDate,
+    validateKin,
+    validateTone,
+    toDateParts,
+    formatDate,
+    addDays,
+    setDefaultTimeZone,
+    getDefaultTimeZone,
+    getLocalePack,
+    setDefaultLocale,
+    getDefaultLocale,
+    supportedLocales,
+    KinError,
+    errorCodes,
+    countSystems,
+    DAY_MS,
     monthConstants,
     yearConstants,
     sealNames,
-    toneNames
+    mayaDayNames,
+    toneNames,
+    moonNames,
+    plasmaNames,
+    wavespellData,
+    sealColors,
+    castleData,
+    earthFamilies,
+    colorFamilies,
+    gapKins
   };
-}
+});
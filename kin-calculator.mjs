@@ -0,0 +1,60 @@
+/**
+ * 13月亮曆 Kin 計算器（ES module 入口）
+ * 內容與 kin-calculator.js 相同，供 JSX 組件以 import 使用
+ * kin-calculator.js 是 UMD 腳本，這裡以 default import 取得它的 CommonJS 匯出，
+ * 因此只能在 Node 或會轉換 CommonJS 的打包工具中使用；瀏覽器原生 ESM 請改用 <script> 載入
+ */
+
+import KinCalculator from './kin-calculator.js';
+
+export const {
+  calculateKin,
+  findDatesForKin,
+  iterateKins,
+  getKinTable,
+  getBirthdayTimeline,
+  formatKinTable,
+  getKinInfo,
+  getKinBySealAndTone,
+  getWavespell,
+  getKinColor,
+  getKinStructure,
+  getOracle,
+  toMoonDate,
+  fromMoonDate,
+  calculateMayaKin,
+  getYearConstant,
+  isLeapYear,
+  daysInMonth,
+  validateDate,
+  validateKin,
+  validateTone,
+  toDateParts,
+  formatDate,
+  addDays,
+  setDefaultTimeZone,
+  getDefaultTimeZone,
+  getLocalePack,
+  setDefaultLocale,
+  getDefaultLocale,
+  supportedLocales,
+  KinError,
+  errorCodes,
+  countSystems,
+  DAY_MS,
+  monthConstants,
+  yearConstants,
+  sealNames,
+  mayaDayNames,
+  toneNames,
+  moonNames,
+  plasmaNames,
+  wavespellData,
+  sealColors,
+  castleData,
+  earthFamilies,
+  colorFamilies,
+  gapKins
+} = KinCalculator;
+
+export default KinCalculator;
@@ -0,0 +1,439 @@
+/**
+ * 13月亮曆 Kin 訊息的撰寫格式
+ *
+ * 訊息原稿放在 content/wavespell-01.md ～ wavespell-20.md，一個波符一個 Markdown 檔：
+ *
+ *   ---
+ *   wavespell: 1
+ *   name: 紅龍波
+ *   kins: 1-13
+ *   ---
+ *
+ *   ## KIN 1 磁性的紅龍
+ *
+ *   ### 能量感應
+ *   今天很適合回到最基本的事……
+ *
+ *   ### 調頻建議
+ *   做一件最簡單的滋養……
+ *
+ *   給自己一杯溫水……
+ *
+ * 欄位標題用 kin-messages.js 的 messageFields 名稱（能量感應、高頻展現、低頻陷阱、調頻建議），
+ * 也可以直接寫欄位鍵（synchronicMessage…）；同一段文字可以換行，組合時會直接接起來。
+ * 以空行隔開的每一段是一則變體，頁面會依日期輪替；標題底下沒有文字代表尚未撰寫。
+ *
+ * 本檔只做文字轉換，讀寫檔案由 node bin/kin.js build 負責，編輯頁也可以直接使用：
+ * - 瀏覽器：依序載入 kin-locales.js、kin-calculator.js、red-brain.js、kin-messages.js、kin-content.js → window.KinContent
+ * - Node：const { parseContentSource } = require('./kin-content.js')
+ */
+
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./kin-calculator.js"), require("./kin-messages.js"));
+  } else {
+    root.KinContent = factory(root.KinCalculator, root.KinMessages);
+  }
+})(typeof self !== "undefined" ? self : this, function (KinCalculator, KinMessages) {
+  "use strict";
+
+  const { getKinInfo, wavespellData, KinError } = KinCalculator;
+  const { messageFields, toVariants } = KinMessages;
+
+  // 編輯頁匯出的 patch 格式錯誤時的代碼；原稿的格式問題以 parseContentSource 的 errors 回報，不拋錯
+  const contentErrorCodes = {
+    INVALID_PATCH: "INVALID_PATCH"  // 訊息 JSON patch 格式錯誤或與目前內容不符
+  };
+
+  const TOTAL_KINS = 260;
+  const WAVESPELL_LENGTH = 13;
+
+  // 訊息是繁體中文，標題一律以 zh-TW 名稱產生與比對
+  const LOCALE = "zh-TW";
+
+  // 欄位標題 → 欄位鍵，中文名稱與鍵都可以
+  const fieldHeadings = {};
+  Object.keys(messageFields).forEach((field) => {
+    fieldHeadings[field] = field;
+    fieldHeadings[messageFields[field]] = field;
+  });
+
+  // 產生的資料檔開頭的說明
+  const GENERATED_NOTICE = "由 content/wavespell-*.md 產生（node bin/kin.js build），請勿直接修改";
+
+  const SCHEMA_COMMENT = [
+    "資料格式（各房間請透過 kin-messages.js 讀取，不要直接讀這個物件）：",
+    "  \"編號\": {",
+    "    synchronicMessage: 能量感應（共時訊息）",
+    "    highFrequency:     高頻展現",
+    "    lowFrequency:      低頻陷阱",
+    "    alignment:         調頻建議（今天可以做的具體行動）",
+    "  }",
+    "欄位是字串；有多則變體時為字串陣列，頁面依日期輪替（kin-messages.js 的 pickMessage）",
+    "尚未撰寫的欄位直接省略，缺漏清單可用 node bin/kin.js messages 查看"
+  ];
+
+  /**
+   * 變體陣列寫回資料檔的格式：沒有為 null、一則為字串、多則為陣列
+   */
+  function compactVariants(list) {
+    if (list.length === 0) {
+      return null;
+    }
+    return list.length === 1 ? list[0] : list;
+  }
+
+  function fieldValue(entry, field) {
+    return compactVariants(toVariants(entry && entry[field]));
+  }
+
+  /**
+   * 波符的 Kin 範圍
+   * @param {number} wavespell - 波符編號 (1-20)
+   */
+  function getWavespellRange(wavespell) {
+    const startKin = (wavespell - 1) * WAVESPELL_LENGTH + 1;
+    return { startKin, endKin: startKin + WAVESPELL_LENGTH - 1 };
+  }
+
+  function getWavespellName(wavespell) {
+    return getKinInfo(getWavespellRange(wavespell).startKin, { locale: LOCALE }).wavespell.name;
+  }
+
+  /**
+   * 解析一個波符的 Markdown 原稿
+   * @param {string} text - Markdown 內容
+   * @returns {Object} - { wavespell, messages: { "1": { synchronicMessage, ... } }, errors: [{ line, message }] }
+   *   欄位只有一段時為字串，有多段（變體）時為字串陣列；有 errors 時 messages 仍會盡量解析，方便一次列出所有問題
+   */
+  function parseContentSource(text) {
+    const lines = String(text).replace(/\r\n?/g, "\n").split("\n");
+    const errors = [];
+    const messages = {};
+    const frontMatter = {};
+
+    let index = 0;
+    if (lines[0] === "---") {
+      const end = lines.indexOf("---", 1);
+      if (end === -1) {
+        errors.push({ line: 1, message: "front matter 沒有以 --- 結束" });
+        index = lines.length;
+      } else {
+        lines.slice(1, end).forEach((line, offset) => {
+          const match = line.match(/^(\w+):\s*(.*)$/);
+          if (match) {
+            frontMatter[match[1]] = match[2].trim();
+          } else if (line.trim() !== "") {
+            errors.push({ line: offset + 2, message: `無法解析的 front matter：${line}` });
+          }
+        });
+        index = end + 1;
+      }
+    } else {
+      errors.push({ line: 1, message: "缺少 front matter（開頭的 --- 區塊）" });
+    }
+
+    const wavespell = Number(frontMatter.wavespell);
+    const hasWavespell = Number.isInteger(wavespell) && wavespell >= 1 && wavespell <= wavespellData.length;
+    if (!hasWavespell) {
+      errors.push({ line: 1, message: `wavespell 必須是 1-${wavespellData.length} 的整數` });
+    }
+    const range = hasWavespell ? getWavespellRange(wavespell) : { startKin: 1, endKin: TOTAL_KINS };
+
+    let kin = null;
+    let field = null;
+    const parts = {};
+
+    for (; index < lines.length; index++) {
+      const lineNumber = index + 1;
+      const line = lines[index].trim();
+
+      if (line === "") {
+        // 空行結束目前這一段，下一行文字是新的變體
+        if (field !== null) {
+          const paragraphs = parts[kin][field];
+          if (paragraphs[paragraphs.length - 1].length > 0) {
+            paragraphs.push([]);
+          }
+        }
+        continue;
+      }
+
+      if (/^#\s/.test(line) || /^<!--.*-->$/.test(line)) {
+        continue;
+      }
+
+      const kinHeading = line.match(/^##\s+KIN\s*(\d+)\s*(.*)$/i);
+      if (kinHeading) {
+        kin = Number(kinHeading[1]);
+        field = null;
+        if (kin < range.startKin || kin > range.endKin) {
+          errors.push({ line: lineNumber, message: `KIN ${kin} 不在這個波符（KIN ${range.startKin}-${range.endKin}）` });
+          kin = null;
+        } else if (Object.prototype.hasOwnProperty.call(parts, kin)) {
+          errors.push({ line: lineNumber, message: `KIN ${kin} 重複出現` });
+          kin = null;
+        } else {
+          const displayText = getKinInfo(kin, { locale: LOCALE }).displayText;
+          if (kinHeading[2] && kinHeading[2] !== displayText) {
+            errors.push({ line: lineNumber, message: `標題寫的是「${kinHeading[2]}」，但 KIN ${kin} 是${displayText}` });
+          }
+          parts[kin] = {};
+        }
+        continue;
+      }
+
+      const fieldHeading = line.match(/^###\s+(.+)$/);
+      if (fieldHeading) {
+        field = null;
+        const name = fieldHeading[1].trim();
+        if (kin === null) {
+          errors.push({ line: lineNumber, message: `「${name}」不屬於任何 KIN` });
+        } else if (!Object.prototype.hasOwnProperty.call(fieldHeadings, name)) {
+          errors.push({ line: lineNumber, message: `「${name}」不是訊息欄位（${Object.values(messageFields).join("、")}）` });
+        } else if (Object.prototype.hasOwnProperty.call(parts[kin], fieldHeadings[name])) {
+          errors.push({ line: lineNumber, message: `KIN ${kin} 的${name}重複出現` });
+        } else {
+          field = fieldHeadings[name];
+          parts[kin][field] = [[]];
+        }
+        continue;
+      }
+
+      if (kin === null || field === null) {
+        errors.push({ line: lineNumber, message: `這行文字不屬於任何欄位：${line}` });
+        continue;
+      }
+      const paragraphs = parts[kin][field];
+      paragraphs[paragraphs.length - 1].push(line);
+    }
+
+    Object.keys(parts).forEach((key) => {
+      const entry = {};
+      Object.keys(messageFields).forEach((name) => {
+        const value = compactVariants((parts[key][name] || []).map((paragraph) => paragraph.join("")).filter((text) => text !== ""));
+        if (value !== null) {
+          entry[name] = value;
+        }
+      });
+      messages[key] = entry;
+    });
+
+    return { wavespell: hasWavespell ? wavespell : null, messages, errors };
+  }
+
+  /**
+   * 產生一個波符的 Markdown 原稿，所有欄位標題都會列出，未撰寫的留白，多則變體以空行分隔
+   * @param {number} wavespell - 波符編號 (1-20)
+   * @param {Object} messages - 以 Kin 為鍵的訊息資料，只會取這個波符的 Kin
+   */
+  function formatContentSource(wavespell, messages) {
+    const { startKin, endKin } = getWavespellRange(wavespell);
+    const name = getWavespellName(wavespell);
+    const lines = [
+      "---",
+      `wavespell: ${wavespell}`,
+      `name: ${name}`,
+      `kins: ${startKin}-${endKin}`,
+      "---",
+      "",
+      `# ${name}（KIN ${startKin}-${endKin}）`
+    ];
+
+    for (let kin = startKin; kin <= endKin; kin++) {
+      const entry = (messages && messages[kin]) || {};
+      lines.push("", `## KIN ${kin} ${getKinInfo(kin, { locale: LOCALE }).displayText}`);
+      Object.keys(messageFields).forEach((field) => {
+        lines.push("", `### ${messageFields[field]}`);
+        toVariants(entry[field]).forEach((text) => lines.push("", text));
+      });
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
+
+  function entryFields(entry) {
+    return Object.keys(messageFields).filter((field) => fieldValue(entry, field) !== null);
+  }
+
+  /**
+   * 產生 red-room/red-brain.js（UMD：瀏覽器設定 window.RED_BRAIN_DATA，Node 為 module.exports），每個 Kin 一行，依波符分段
+   */
+  function formatRedBrainScript(messages) {
+    const lines = [
+      "// red-brain.js",
+      "// KIN 1～260（window.RED_BRAIN_DATA 單一資料源）",
+      "// ✅ 可直接在 index.html 以 <script src=\"./red-brain.js\"></script> 載入；Node 與打包工具以 require 取得同一個物件",
+      `// ${GENERATED_NOTICE}`,
+      "//",
+      ...SCHEMA_COMMENT.map((line) => `// ${line}`),
+      "",
+      "(function (root, data) {",
+      "  if (typeof module !== \"undefined\" && module.exports) {",
+      "    module.exports = data;",
+      "  } else {",
+      "    root.RED_BRAIN_DATA = data;",
+      "  }",
+      "})(typeof self !== \"undefined\" ? self : this, {"
+    ];
+
+    const entries = [];
+    for (let kin = 1; kin <= TOTAL_KINS; kin++) {
+      const fields = entryFields(messages[kin]);
+      if (fields.length > 0) {
+        const body = fields.map((field) => `${field}: ${JSON.stringify(fieldValue(messages[kin], field))}`).join(", ");
+        entries.push({ kin, text: `  "${kin}": { ${body} }` });
+      }
+    }
+    entries.forEach((entry, i) => {
+      if (i > 0 && (entry.kin - 1) % WAVESPELL_LENGTH === 0) {
+        lines.push("");
+      }
+      lines.push(`${entry.text}${i < entries.length - 1 ? "," : ""}`);
+    });
+
+    lines.push("});", "");
+    return lines.join("\n");
+  }
+
+  /**
+   * 產生 kinData.js（ES module，export const kinData 與 export default）
+   */
+  function formatKinDataModule(messages) {
+    const lines = [
+      "// kinData.js",
+      "// 13 Moon Calendar • Tzolkin 260 KIN Synchronic Readings",
+      "// Format: \"編號\": { synchronicMessage, highFrequency, lowFrequency, alignment }（多則變體時為字串陣列）",
+      `// ${GENERATED_NOTICE}`,
+      "",
+      "export const kinData = {"
+    ];
+
+    const entries = [];
+    for (let kin = 1; kin <= TOTAL_KINS; kin++) {
+      const fields = entryFields(messages[kin]);
+      if (fields.length > 0) {
+        const body = fields.map((field) => {
+          const value = fieldValue(messages[kin], field);
+          const text = Array.isArray(value)
+            ? `[\n${value.map((item) => `      ${JSON.stringify(item)}`).join(",\n")}\n    ]`
+            : JSON.stringify(value);
+          return `    ${field}: ${text}`;
+        }).join(",\n");
+        entries.push(`  "${kin}": {\n${body}\n  }`);
+      }
+    }
+    lines.push(entries.join(",\n"), "};", "", "export default kinData;", "");
+    return lines.join("\n");
+  }
+
+  /**
+   * 比較兩份訊息資料
+   * @returns {Array} - [{ kin, field, type: "added"|"removed"|"changed", before, after }]，依 Kin 與欄位排序
+   *   before / after 為字串，多則變體時為字串陣列，沒有時為 null
+   */
+  function diffMessages(before, after) {
+    const changes = [];
+    for (let kin = 1; kin <= TOTAL_KINS; kin++) {
+      const oldEntry = (before && before[kin]) || {};
+      const newEntry = (after && after[kin]) || {};
+      Object.keys(messageFields).forEach((field) => {
+        const oldText = fieldValue(oldEntry, field);
+        const newText = fieldValue(newEntry, field);
+        if (JSON.stringify(oldText) === JSON.stringify(newText)) {
+          return;
+        }
+        const type = oldText === null ? "added" : newText === null ? "removed" : "changed";
+        changes.push({ kin, field, type, before: oldText, after: newText });
+      });
+    }
+    return changes;
+  }
+
+  /**
+   * 把兩份訊息資料的差異寫成 JSON patch（RFC 6902），路徑為 /Kin/欄位
+   * 修改與刪除前會先加上 test，確認套用時的原文與編輯時相同
+   * @returns {Array} - [{ op: "test"|"add"|"replace"|"remove", path: "/47/synchronicMessage", value }]
+   *   value 為字串，多則變體時為字串陣列
+   */
+  function createMessagePatch(before, after) {
+    const patch = [];
+    diffMessages(before, after).forEach(({ kin, field, type, before: oldText, after: newText }) => {
+      const path = `/${kin}/${field}`;
+      if (type !== "added") {
+        patch.push({ op: "test", path, value: oldText });
+      }
+      if (type === "added") {
+        patch.push({ op: "add", path, value: newText });
+      } else if (type === "changed") {
+        patch.push({ op: "replace", path, value: newText });
+      } else {
+        patch.push({ op: "remove", path });
+      }
+    });
+    return patch;
+  }
+
+  /**
+   * 套用 createMessagePatch 產生的 JSON patch，回傳新的訊息資料（不修改傳入的物件）
+   * 格式錯誤或 test 的原文不符時拋出 KinError（INVALID_PATCH）
+   */
+  function applyMessagePatch(messages, patch) {
+    if (!Array.isArray(patch)) {
+      throw new KinError(contentErrorCodes.INVALID_PATCH, "JSON patch 必須是陣列");
+    }
+
+    const result = {};
+    Object.keys(messages || {}).forEach((kin) => {
+      result[kin] = Object.assign({}, messages[kin]);
+    });
+
+    patch.forEach((operation, index) => {
+      const match = operation && typeof operation.path === "string" && operation.path.match(/^\/(\d+)\/(\w+)$/);
+      const kin = match ? Number(match[1]) : null;
+      if (!match || kin < 1 || kin > TOTAL_KINS || !Object.prototype.hasOwnProperty.call(messageFields, match[2])) {
+        throw new KinError(contentErrorCodes.INVALID_PATCH, `第 ${index + 1} 筆的路徑無效：${operation && operation.path}`);
+      }
+      const field = match[2];
+      const entry = result[kin] || (result[kin] = {});
+      const current = fieldValue(entry, field);
+
+      switch (operation.op) {
+        case "test":
+          if (JSON.stringify(current) !== JSON.stringify(fieldValue(operation, "value"))) {
+            throw new KinError(contentErrorCodes.INVALID_PATCH, `KIN ${kin} 的 ${field} 已經與 patch 的原文不同`);
+          }
+          break;
+        case "add":
+        case "replace": {
+          const list = Array.isArray(operation.value) ? operation.value : [operation.value];
+          if (list.length === 0 || list.some((text) => typeof text !== "string" || text.trim() === "")) {
+            throw new KinError(contentErrorCodes.INVALID_PATCH, `第 ${index + 1} 筆的內容必須是非空白的字串或字串陣列`);
+          }
+          entry[field] = fieldValue(operation, "value");
+          break;
+        }
+        case "remove":
+          delete entry[field];
+          break;
+        default:
+          throw new KinError(contentErrorCodes.INVALID_PATCH, `第 ${index + 1} 筆的 op 不支援：${operation.op}`);
+      }
+    });
+
+    return result;
+  }
+
+  return {
+    contentErrorCodes,
+    compactVariants,
+    getWavespellRange,
+    parseContentSource,
+    formatContentSource,
+    formatRedBrainScript,
+    formatKinDataModule,
+    diffMessages,
+    createMessagePatch,
+    applyMessagePatch
+  };
+});
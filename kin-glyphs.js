@@ -0,0 +1,228 @@
+/**
+ * 13月亮曆調性（馬雅點槓數字）與 Kin 簽名的 SVG 繪製
+ *
+ * - 瀏覽器：依序載入 kin-locales.js、kin-calculator.js、kin-glyphs.js → window.KinGlyphs
+ * - Node：const { renderToneSvg } = require('./kin-glyphs.js')
+ * - React：import { ToneGlyph, KinSignature } from './KinGlyphs.jsx'
+ *
+ * 幾何位置由 getToneLayout / getKinSignatureLayout 統一計算，
+ * 字串版（renderToneSvg / renderKinSignatureSvg）與 React 組件共用同一份版面。
+ */
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory(require('./kin-calculator.js'));
+  } else {
+    root.KinGlyphs = factory(root.KinCalculator);
+  }
+})(typeof self !== 'undefined' ? self : this, function (KinCalculator) {
+  'use strict';
+
+  const { getKinInfo, validateKin, validateTone } = KinCalculator;
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const XLINK_NS = "http://www.w3.org/1999/xlink";
+
+  // 四色圖騰的點槓顏色（與紅色房間相同），ink 為未指定顏色時的預設墨色
+  const toneColors = {
+    red: "#A5413F",
+    white: "#666666",
+    blue: "#3D5A73",
+    yellow: "#8C7326",
+    ink: "#3a3632"
+  };
+
+  // 調性的座標系統：寬 100、高 64，最多 4 個點＋2 條槓都放得下
+  const TONE_BOX = { width: 100, height: 64 };
+  const DOT_RADIUS = 8;
+  const DOT_GAP = 10;
+  const BAR_HEIGHT = 13;
+  const BAR_GAP = 8;
+  const DOTS_TO_BARS = 9;
+
+  // Kin 簽名的座標系統：調性在上、圖騰居中、KIN 編號與名稱在下
+  const SIGNATURE_BOX = { width: 200, height: 300 };
+  const SIGNATURE_BACKGROUND = "#F5F2EC";
+  const FONT_FAMILY = "'Noto Sans TC', 'PingFang TC', sans-serif";
+
+  function resolveColor(color) {
+    if (!color) {
+      return toneColors.ink;
+    }
+    return Object.prototype.hasOwnProperty.call(toneColors, color) ? toneColors[color] : color;
+  }
+
+  // 名稱在 180 寬度內放得下的字級：中日文字約 1em，其他字元約 0.55em
+  function fitFontSize(text, maxSize, maxWidth) {
+    let ems = 0;
+    for (const char of text) {
+      ems += char.codePointAt(0) > 0x2e80 ? 1 : 0.55;
+    }
+    return Math.min(maxSize, Math.floor(maxWidth / ems * 10) / 10);
+  }
+
+  function escapeXml(value) {
+    return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * 計算調性點槓的位置（座標系統 100 × 64，內容垂直置中）
+   * 點在上方橫向排列，槓在下方垂直堆疊：1-4 為點，5 為一槓，13 為三點兩槓
+   * @param {number} tone - 調性 (1-13)
+   * @param {Object} [options] - { color }，color 可為 red/white/blue/yellow/ink 或任何 CSS 顏色
+   * @returns {Object} - { width, height, color, dots: [{ cx, cy, r }], bars: [{ x, y, width, height, rx }] }
+   */
+  function getToneLayout(tone, { color } = {}) {
+    validateTone(tone);
+
+    const dotCount = tone % 5;
+    const barCount = Math.floor(tone / 5);
+
+    const dotsHeight = dotCount > 0 ? DOT_RADIUS * 2 : 0;
+    const barsHeight = barCount > 0 ? barCount * BAR_HEIGHT + (barCount - 1) * BAR_GAP : 0;
+    const spacing = dotCount > 0 && barCount > 0 ? DOTS_TO_BARS : 0;
+    const top = (TONE_BOX.height - dotsHeight - spacing - barsHeight) / 2;
+
+    const dotsWidth = dotCount * DOT_RADIUS * 2 + (dotCount - 1) * DOT_GAP;
+    const dotsLeft = (TONE_BOX.width - dotsWidth) / 2;
+    const dots = Array.from({ length: dotCount }, (_, i) => ({
+      cx: dotsLeft + DOT_RADIUS + i * (DOT_RADIUS * 2 + DOT_GAP),
+      cy: top + DOT_RADIUS,
+      r: DOT_RADIUS
+    }));
+
+    const barsTop = top + dotsHeight + spacing;
+    const bars = Array.from({ length: barCount }, (_, i) => ({
+      x: 0,
+      y: barsTop + i * (BAR_HEIGHT + BAR_GAP),
+      width: TONE_BOX.width,
+      height: BAR_HEIGHT,
+      rx: BAR_HEIGHT / 2
+    }));
+
+    return {
+      width: TONE_BOX.width,
+      height: TONE_BOX.height,
+      color: resolveColor(color),
+      dots,
+      bars
+    };
+  }
+
+  function toneShapesMarkup(layout) {
+    const dots = layout.dots.map((dot) => `<circle cx="${dot.cx}" cy="${dot.cy}" r="${dot.r}"/>`);
+    const bars = layout.bars.map((bar) =>
+      `<rect x="${bar.x}" y="${bar.y}" width="${bar.width}" height="${bar.height}" rx="${bar.rx}"/>`);
+    return `<g fill="${escapeXml(layout.color)}">${dots.join("")}${bars.join("")}</g>`;
+  }
+
+  /**
+   * 繪製調性的獨立 SVG
+   * @param {number} tone - 調性 (1-13)
+   * @param {Object} [options] - { size, color, title }
+   *   size 為像素寬度（預設 64，高度依比例），title 為替代文字（預設「調性 n」）
+   * @returns {string} - SVG 原始碼
+   */
+  function renderToneSvg(tone, { size = 64, color, title } = {}) {
+    const layout = getToneLayout(tone, { color });
+    const label = escapeXml(title || `調性 ${tone}`);
+    const height = Math.round(size * layout.height / layout.width * 100) / 100;
+    return `<svg xmlns="${SVG_NS}" viewBox="0 0 ${layout.width} ${layout.height}" ` +
+      `width="${size}" height="${height}" role="img" aria-label="${label}">` +
+      `<title>${label}</title>${toneShapesMarkup(layout)}</svg>`;
+  }
+
+  /**
+   * 計算 Kin 簽名（調性＋圖騰＋名稱）的版面（座標系統 200 × 300）
+   * @param {number} kin - Kin 編號 (1-260)
+   * @param {Object} [options] - { locale, imageBase, glyphHref, background, showLabel }
+   *   imageBase 為圖騰圖檔目錄（預設 ./images/），glyphHref 可直接指定圖檔網址或 data URL
+   * @returns {Object} - { width, height, kin, info, background, border, tone, glyph, labels }
+   */
+  function getKinSignatureLayout(kin, {
+    locale,
+    imageBase = "./images/",
+    glyphHref,
+    background = SIGNATURE_BACKGROUND,
+    showLabel = true
+  } = {}) {
+    validateKin(kin);
+    const info = getKinInfo(kin, { locale });
+    const color = toneColors[info.color];
+
+    const labels = showLabel
+      ? [
+          { text: `KIN ${info.kin}`, x: 100, y: 258, fontSize: 18, fontWeight: 700 },
+          { text: info.displayText, x: 100, y: 284, fontSize: fitFontSize(info.displayText, 16, 180), fontWeight: 400 }
+        ]
+      : [];
+
+    return {
+      width: SIGNATURE_BOX.width,
+      height: showLabel ? SIGNATURE_BOX.height : 236,
+      kin: info.kin,
+      info,
+      background,
+      border: color,
+      tone: { x: 50, y: 12, width: 100, height: 64, layout: getToneLayout(info.toneNumber, { color }) },
+      glyph: { x: 40, y: 84, width: 120, height: 120, href: glyphHref || `${imageBase}${info.imageFile}` },
+      labels,
+      labelColor: toneColors.ink,
+      fontFamily: FONT_FAMILY
+    };
+  }
+
+  /**
+   * 繪製 Kin 簽名的獨立 SVG，可直接嵌入頁面或另存為 .svg
+   * 另存時圖騰需以 glyphHref 傳入 data URL，檔案才不會依賴 images 目錄
+   * @param {number} kin - Kin 編號 (1-260)
+   * @param {Object} [options] - { size, locale, imageBase, glyphHref, background, showLabel }
+   *   size 為像素寬度（預設 200，高度依比例）
+   * @returns {string} - SVG 原始碼
+   */
+  function renderKinSignatureSvg(kin, { size = 200, ...options } = {}) {
+    const layout = getKinSignatureLayout(kin, options);
+    const { tone, glyph } = layout;
+    const height = Math.round(size * layout.height / layout.width * 100) / 100;
+    const label = escapeXml(`KIN ${layout.kin} ${layout.info.displayText}`);
+    const href = escapeXml(glyph.href);
+
+    const parts = [
+      `<svg xmlns="${SVG_NS}" xmlns:xlink="${XLINK_NS}" viewBox="0 0 ${layout.width} ${layout.height}" ` +
+        `width="${size}" height="${height}" role="img" aria-label="${label}">`,
+      `<title>${label}</title>`,
+      `<rect x="1" y="1" width="${layout.width - 2}" height="${layout.height - 2}" rx="18" ` +
+        `fill="${escapeXml(layout.background)}" stroke="${layout.border}" stroke-width="2"/>`,
+      `<svg x="${tone.x}" y="${tone.y}" width="${tone.width}" height="${tone.height}" ` +
+        `viewBox="0 0 ${tone.layout.width} ${tone.layout.height}">${toneShapesMarkup(tone.layout)}</svg>`,
+      `<image x="${glyph.x}" y="${glyph.y}" width="${glyph.width}" height="${glyph.height}" ` +
+        `href="${href}" xlink:href="${href}"/>`
+    ];
+    for (const text of layout.labels) {
+      parts.push(`<text x="${text.x}" y="${text.y}" text-anchor="middle" font-family="${escapeXml(layout.fontFamily)}" ` +
+        `font-size="${text.fontSize}" font-weight="${text.fontWeight}" fill="${layout.labelColor}">${escapeXml(text.text)}</text>`);
+    }
+    parts.push("</svg>");
+    return parts.join("");
+  }
+
+  /**
+   * SVG 原始碼轉成 data URL，可用於 <img src> 或下載連結
+   */
+  function svgToDataUrl(svg) {
+    return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  }
+
+  return {
+    toneColors,
+    getToneLayout,
+    renderToneSvg,
+    getKinSignatureLayout,
+    renderKinSignatureSvg,
+    svgToDataUrl
+  };
+});
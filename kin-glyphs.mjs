@@ -0,0 +1,17 @@
+/**
+ * 13月亮曆調性與 Kin 簽名 SVG（ES module 入口）
+ * 內容與 kin-glyphs.js 相同，供 JSX 組件以 import 使用
+ */
+
+import KinGlyphs from './kin-glyphs.js';
+
+export const {
+  toneColors,
+  getToneLayout,
+  renderToneSvg,
+  getKinSignatureLayout,
+  renderKinSignatureSvg,
+  svgToDataUrl
+} = KinGlyphs;
+
+export default KinGlyphs;
@@ -0,0 +1,196 @@
+/**
+ * 13月亮曆每日 Kin 的 iCalendar（.ics，RFC 5545）匯出
+ *
+ * - 瀏覽器：依序載入 kin-locales.js、kin-calculator.js、kin-ics.js → window.KinIcs
+ * - Node：const { createKinCalendar } = require('./kin-ics.js')
+ *
+ * 每天一個全天事件，內容為 Kin 編號、調性＋圖騰、波符、13 月亮曆日期與共時訊息；
+ * 2/29（Hunab Ku）與 7/25（無時間日）會在標題與分類中標示。
+ */
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory(require('./kin-calculator.js'));
+  } else {
+    root.KinIcs = factory(root.KinCalculator);
+  }
+})(typeof self !== 'undefined' ? self : this, function (KinCalculator) {
+  'use strict';
+
+  const { iterateKins, toDateParts, formatDate, addDays } = KinCalculator;
+
+  const PRODUCT_ID = "-//13 Moon Synchronicity//Kin Calendar//ZH";
+  const UID_DOMAIN = "13moon-synchronicity";
+  const DEFAULT_CALENDAR_NAME = "13月亮曆 每日 Kin";
+
+  // RFC 5545：每行最多 75 個位元組（不含 CRLF）
+  const MAX_LINE_OCTETS = 75;
+
+  /**
+   * 文字值跳脫：反斜線、分號、逗號與換行
+   */
+  function escapeText(value) {
+    return String(value)
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+  }
+
+  function utf8Length(codePoint) {
+    if (codePoint < 0x80) return 1;
+    if (codePoint < 0x800) return 2;
+    if (codePoint < 0x10000) return 3;
+    return 4;
+  }
+
+  /**
+   * 長行折行：超過 75 個位元組就換行，續行以一個空白開頭；不會切開多位元組字元
+   */
+  function foldLine(line) {
+    const parts = [];
+    let current = "";
+    let octets = 0;
+    for (const char of line) {
+      const size = utf8Length(char.codePointAt(0));
+      // 續行的開頭空白也算一個位元組
+      const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+      if (octets + size > limit) {
+        parts.push(current);
+        current = "";
+        octets = 0;
+      }
+      current += char;
+      octets += size;
+    }
+    parts.push(current);
+    return parts.join("\r\n ");
+  }
+
+  function pad(number) {
+    return String(number).padStart(2, "0");
+  }
+
+  function formatIcsDate({ year, month, day }) {
+    return `${year}${pad(month)}${pad(day)}`;
+  }
+
+  function formatIcsTimestamp(date) {
+    return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+      `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+  }
+
+  /**
+   * 取得 Kin 在某一天的共時訊息
+   * @param {Object|Function} messages - 以 Kin 為鍵的訊息資料，或 (kin, date) => 訊息物件
+   *   （如 KinMessages.getMessage，或依日期輪替變體的 (kin, date) => KinMessages.pickMessage(kin, { date }).message）
+   */
+  function getSynchronicMessage(messages, kin, date) {
+    if (!messages || kin === null) {
+      return null;
+    }
+    const entry = typeof messages === "function" ? messages(kin, date) : messages[kin];
+    return entry && entry.synchronicMessage ? entry.synchronicMessage : null;
+  }
+
+  /**
+   * 單一天的事件
+   */
+  function buildEvent(record, { messages, stamp }) {
+    const { moonDate } = record;
+    const isDayOutOfTime = Boolean(moonDate && moonDate.isDayOutOfTime);
+
+    let summary;
+    const categories = ["13月亮曆"];
+    if (record.isHunabKu) {
+      summary = "Hunab Ku · 宇宙中心日（2/29）";
+      categories.push("Hunab Ku");
+    } else {
+      summary = `KIN ${record.kin} ${record.displayText}`;
+      if (isDayOutOfTime) {
+        summary = `無時間日 · ${summary}`;
+        categories.push("無時間日");
+      }
+    }
+
+    const description = [];
+    if (record.isHunabKu) {
+      description.push("2 月 29 日不計入 Kin，為 Hunab Ku（銀河中心）日。");
+    } else {
+      description.push(`KIN ${record.kin}：${record.displayText}`);
+      description.push(`波符：${record.wavespell.name}`);
+    }
+    if (moonDate && !record.isHunabKu) {
+      description.push(`13 月亮曆：${moonDate.displayText}`);
+    }
+    const message = getSynchronicMessage(messages, record.kin, record.date);
+    if (message) {
+      description.push("", `共時訊息：${message}`);
+    }
+
+    return [
+      "BEGIN:VEVENT",
+      `UID:kin-${formatIcsDate(record)}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(record)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(addDays(record, 1))}`,
+      `SUMMARY:${escapeText(summary)}`,
+      `DESCRIPTION:${escapeText(description.join("\n"))}`,
+      `CATEGORIES:${categories.map(escapeText).join(",")}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    ];
+  }
+
+  /**
+   * 產生區間內每日 Kin 的 iCalendar 內容
+   * @param {Object} [options] - { from, to, timeZone, locale, messages, calendarName, now }
+   *   from / to 同 iterateKins（預設今天起 260 天）
+   *   messages 為以 Kin 為鍵、含 synchronicMessage 的資料，或 (kin, date) => 訊息物件的函式，可省略
+   *   now 為 DTSTAMP 的時間，預設為現在
+   * @returns {string} - 以 CRLF 分行的 .ics 內容
+   */
+  function createKinCalendar({
+    from,
+    to,
+    timeZone,
+    locale,
+    messages,
+    calendarName = DEFAULT_CALENDAR_NAME,
+    now = new Date()
+  } = {}) {
+    const stamp = formatIcsTimestamp(now);
+    const lines = [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${PRODUCT_ID}`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeText(calendarName)}`
+    ];
+
+    for (const record of iterateKins({ from, to, timeZone, locale })) {
+      lines.push(...buildEvent(record, { messages, stamp }));
+    }
+
+    lines.push("END:VCALENDAR");
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+  }
+
+  /**
+   * 建議的下載檔名，例如 kin-2026-01-01-2026-12-31.ics
+   */
+  function getCalendarFileName({ from = new Date(), to, timeZone } = {}) {
+    const start = toDateParts(from, timeZone);
+    // 與 iterateKins 相同：省略 to 時為 260 天
+    const end = to === undefined ? addDays(start, 259) : toDateParts(to, timeZone);
+    return `kin-${formatDate(start)}-${formatDate(end)}.ics`;
+  }
+
+  return {
+    createKinCalendar,
+    getCalendarFileName,
+    escapeText,
+    foldLine
+  };
+});
@@ -0,0 +1,15 @@
+/**
+ * 13月亮曆 iCalendar 匯出（ES module 入口）
+ * 內容與 kin-ics.js 相同，供 JSX 組件以 import 使用
+ */
+
+import KinIcs from './kin-ics.js';
+
+export const {
+  createKinCalendar,
+  getCalendarFileName,
+  escapeText,
+  foldLine
+} = KinIcs;
+
+export default KinIcs;
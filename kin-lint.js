@@ -0,0 +1,256 @@
+/**
+ * 13月亮曆 Kin 訊息內容檢查
+ *
+ * 以 kin-calculator.js 算出的調性、圖騰、顏色與波符，比對訊息文字裡提到的名稱，
+ * 並檢查欄位缺漏、重複的文字與過長的訊息。
+ *
+ * - 瀏覽器：依序載入 kin-locales.js、kin-calculator.js、red-brain.js、kin-messages.js、kin-lint.js → window.KinLint
+ * - Node：const { lintMessages } = require('./kin-lint.js')；命令列為 node bin/kin.js lint
+ */
+
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./kin-calculator.js"), require("./kin-messages.js"));
+  } else {
+    root.KinLint = factory(root.KinCalculator, root.KinMessages);
+  }
+})(typeof self !== "undefined" ? self : this, function (KinCalculator, KinMessages) {
+  "use strict";
+
+  const { getKinInfo, getOracle, sealNames, toneNames } = KinCalculator;
+  const { messageFields } = KinMessages;
+
+  const TOTAL_KINS = 260;
+
+  // 訊息是繁體中文，名稱一律以 zh-TW 比對，不受頁面語系影響
+  const LOCALE = "zh-TW";
+
+  // 問題代碼；error 會讓 lint 失敗，warning 只在 strict 模式下失敗
+  const lintCodes = {
+    UNKNOWN_KIN: "error",       // 鍵不是 1-260 的 Kin
+    UNKNOWN_FIELD: "error",     // 不在資料格式裡的欄位
+    EMPTY_FIELD: "error",       // 欄位不是字串（或字串陣列），或有一則只有空白
+    WRONG_KIN: "error",         // 文字裡的 KIN 編號與鍵不同
+    WRONG_TONE: "error",        // 調性名稱與 Kin 不符
+    UNKNOWN_TONE: "error",      // 「○○的」不是任何調性名稱
+    WRONG_SEAL: "error",        // 提到的圖騰不是這個 Kin（也不在它的神諭裡）
+    WRONG_COLOR: "error",       // 圖騰對了但顏色不對
+    WRONG_WAVESPELL: "error",   // 波符名稱與 Kin 所在的波符不符
+    DUPLICATE_TEXT: "error",    // 同一份資料裡出現完全相同的文字（包括同一欄位的變體）
+    TOO_LONG: "error",          // 超過欄位的字數上限
+    UNTERMINATED: "error",      // 沒有以句號等標點結尾，多半是被截斷的字串
+    MISSING_FIELD: "warning",   // Kin 缺少部分欄位
+    MISSING_KINS: "warning"     // 整個 Kin 沒有資料
+  };
+
+  // 各欄位的字數上限（以字元計，不含前後空白）
+  const maxLengths = {
+    synchronicMessage: 60,
+    highFrequency: 40,
+    lowFrequency: 40,
+    alignment: 60
+  };
+
+  // 調性的常見簡稱，例如「銀河的」「星系的」都代表銀河星系的
+  const toneAliases = {
+    8: ["銀河的", "星系的"]
+  };
+
+  const COLOR_CHARS = "紅白藍黃";
+
+  // 完整的句子以這些標點結尾
+  const SENTENCE_END = /[。！？…」』）)]$/;
+
+  // 圖騰名稱去掉顏色字（龍、風、世界橋…），長的排前面，避免「風暴」被當成「風」
+  const sealBases = sealNames
+    .map((name, index) => ({ base: name.slice(1), number: index + 1 }))
+    .sort((a, b) => b.base.length - a.base.length);
+
+  const sealPattern = new RegExp(
+    `([${COLOR_CHARS}])(${sealBases.map((seal) => seal.base).join("|")})(波符?)?`,
+    "g"
+  );
+
+  // 調性名稱與簡稱 → 調性數字，長的排前面
+  const toneWords = [];
+  toneNames.forEach((name, index) => {
+    toneWords.push({ word: name, tone: index + 1 });
+    (toneAliases[index + 1] || []).forEach((alias) => toneWords.push({ word: alias, tone: index + 1 }));
+  });
+  toneWords.sort((a, b) => b.word.length - a.word.length);
+
+  function isKinKey(key) {
+    return /^\d+$/.test(key) && Number(key) >= 1 && Number(key) <= TOTAL_KINS;
+  }
+
+  function problem(code, kin, field, message) {
+    return { severity: lintCodes[code], code, kin, field, message };
+  }
+
+  /**
+   * 圖騰名稱前面的調性：回傳 { tone }、{ unknown: "和諧的" } 或 null（沒有寫調性）
+   */
+  function toneBefore(text, index) {
+    const before = text.slice(0, index);
+    const known = toneWords.find(({ word }) => before.endsWith(word));
+    if (known) {
+      return { tone: known.tone, word: known.word };
+    }
+    const unknown = before.match(/([一-鿿]{1,4})的$/);
+    return unknown ? { unknown: unknown[0] } : null;
+  }
+
+  /**
+   * 文字裡提到的圖騰應該對應哪個 Kin：本身，或是它神諭裡的其他 Kin
+   */
+  function findMentionedKin(kin, sealNumber) {
+    const oracle = getOracle(kin, { locale: LOCALE });
+    return ["destiny", "guide", "analog", "antipode", "occult"]
+      .map((role) => oracle[role])
+      .find((info) => info.sealNumber === sealNumber) || null;
+  }
+
+  /**
+   * 檢查單一欄位文字裡的 KIN 編號、調性、圖騰、顏色與波符名稱
+   */
+  function lintText(kin, field, text) {
+    const problems = [];
+    const info = getKinInfo(kin, { locale: LOCALE });
+
+    for (const match of text.matchAll(/KIN\s*(\d+)/gi)) {
+      if (Number(match[1]) !== kin) {
+        problems.push(problem("WRONG_KIN", kin, field, `寫的是 ${match[0]}，但這裡是 KIN ${kin}`));
+      }
+    }
+
+    for (const match of text.matchAll(sealPattern)) {
+      const [name, colorName, base, wavespellSuffix] = match;
+      const seal = sealBases.find((item) => item.base === base);
+      const sealName = sealNames[seal.number - 1];
+
+      // 每個圖騰的顏色是固定的，例如龍一定是紅龍
+      if (colorName !== sealName[0]) {
+        problems.push(problem("WRONG_COLOR", kin, field, `寫的是「${name}」，應為「${sealName}」`));
+        continue;
+      }
+
+      if (wavespellSuffix) {
+        if (sealName !== sealNames[info.wavespell.glyphId]) {
+          problems.push(problem("WRONG_WAVESPELL", kin, field, `寫的是「${name}」，但 KIN ${kin} 在${info.wavespell.name}`));
+        }
+        continue;
+      }
+
+      const mentioned = findMentionedKin(kin, seal.number);
+      if (!mentioned) {
+        problems.push(problem("WRONG_SEAL", kin, field, `寫的是「${name}」，但 KIN ${kin} 是${info.seal}，神諭裡也沒有這個圖騰`));
+        continue;
+      }
+
+      const tone = toneBefore(text, match.index);
+      if (tone && tone.unknown) {
+        problems.push(problem("UNKNOWN_TONE", kin, field, `「${tone.unknown}${name}」的「${tone.unknown}」不是任何調性，應為${mentioned.tone}`));
+      } else if (tone && tone.tone !== mentioned.toneNumber) {
+        problems.push(problem("WRONG_TONE", kin, field, `寫的是「${tone.word}${name}」，但 KIN ${mentioned.kin} 是調性 ${mentioned.toneNumber}（${mentioned.displayText}）`));
+      }
+    }
+
+    return problems;
+  }
+
+  function isVariantList(value) {
+    return Array.isArray(value)
+      ? value.length > 0 && value.every((text) => typeof text === "string" && text.trim() !== "")
+      : typeof value === "string" && value.trim() !== "";
+  }
+
+  /**
+   * 檢查一份以 Kin 為鍵的訊息資料（如 window.RED_BRAIN_DATA 或 kinData.js 的 kinData）
+   * 欄位可以是字串或字串陣列（多則變體），每一則分別檢查，訊息前加上「第 N 則」
+   * @param {Object} data - { "1": { synchronicMessage, highFrequency, lowFrequency, alignment }, ... }
+   * @returns {Array} - [{ severity: "error"|"warning", code, kin, field, message }]，依 Kin 排序
+   */
+  function lintMessages(data) {
+    const problems = [];
+    const seenTexts = new Map();
+    const absent = [];
+
+    Object.keys(data || {}).forEach((key) => {
+      if (!isKinKey(key)) {
+        problems.push(problem("UNKNOWN_KIN", null, null, `「${key}」不是 1-${TOTAL_KINS} 的 Kin 編號`));
+      }
+    });
+
+    for (let kin = 1; kin <= TOTAL_KINS; kin++) {
+      const entry = data && data[kin];
+      if (!entry) {
+        absent.push(kin);
+        continue;
+      }
+
+      Object.keys(entry).forEach((field) => {
+        if (!Object.prototype.hasOwnProperty.call(messageFields, field)) {
+          problems.push(problem("UNKNOWN_FIELD", kin, field, `「${field}」不是訊息欄位`));
+        }
+      });
+
+      const missing = [];
+      Object.keys(messageFields).forEach((field) => {
+        if (!Object.prototype.hasOwnProperty.call(entry, field)) {
+          missing.push(field);
+          return;
+        }
+        const value = entry[field];
+        if (!isVariantList(value)) {
+          const message = Array.isArray(value) && value.length > 0 ? "有一則是空白的" : "是空白的";
+          problems.push(problem("EMPTY_FIELD", kin, field, `${messageFields[field]}${message}`));
+          return;
+        }
+
+        const texts = Array.isArray(value) ? value : [value];
+        texts.forEach((item, i) => {
+          const text = item.trim();
+          const name = texts.length > 1 ? `${messageFields[field]}第 ${i + 1} 則` : messageFields[field];
+          const length = [...text].length;
+          if (length > maxLengths[field]) {
+            problems.push(problem("TOO_LONG", kin, field, `${name}有 ${length} 字，上限是 ${maxLengths[field]} 字`));
+          }
+
+          if (!SENTENCE_END.test(text)) {
+            problems.push(problem("UNTERMINATED", kin, field, `${name}沒有以句號等標點結尾，可能被截斷了`));
+          }
+
+          if (seenTexts.has(text)) {
+            const first = seenTexts.get(text);
+            problems.push(problem("DUPLICATE_TEXT", kin, field, `${name}與 KIN ${first.kin} 的 ${first.field} 完全相同`));
+          } else {
+            seenTexts.set(text, { kin, field });
+          }
+
+          const prefix = texts.length > 1 ? `第 ${i + 1} 則：` : "";
+          lintText(kin, field, text).forEach((found) => {
+            problems.push(Object.assign(found, { message: prefix + found.message }));
+          });
+        });
+      });
+
+      if (missing.length > 0) {
+        problems.push(problem("MISSING_FIELD", kin, null, `缺少 ${missing.join("、")}`));
+      }
+    }
+
+    if (absent.length > 0) {
+      const message = absent.length === TOTAL_KINS ? "沒有任何 Kin 的資料" : `${absent.length} 個 Kin 沒有資料`;
+      problems.push(Object.assign(problem("MISSING_KINS", null, null, message), { kins: absent }));
+    }
+
+    return problems;
+  }
+
+  return {
+    lintCodes,
+    maxLengths,
+    toneAliases,
+    lintMessages
+  };
+});
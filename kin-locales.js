@@ -0,0 +1,310 @@
+/**
+ * 13月亮曆多語系名稱包
+ *
+ * 圖騰、調性、波符、顏色與調性的問題／關鍵字，供 kin-calculator.js 的 locale 選項使用：
+ * - 瀏覽器：在 kin-calculator.js 之前載入 <script src="./kin-locales.js"></script> → window.KinLocales
+ * - Node：kin-calculator.js 會自動 require('./kin-locales.js')
+ *
+ * 繁體中文（zh-TW）的圖騰、調性與波符名稱以 kin-calculator.js 的 sealNames / toneNames / wavespellData
+ * 為唯一標準，這裡只補上顏色、調性問題與關鍵字；其他語系為完整名稱包。
+ */
+
+(function (root, factory) {
+  const KinLocales = factory();
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KinLocales;
+  } else {
+    root.KinLocales = KinLocales;
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // 20 個波符依序的起始圖騰索引（0-19），與 kin-calculator.js 的 wavespellData.glyphId 相同
+  const WAVESPELL_GLYPHS = [0, 13, 6, 19, 12, 5, 18, 11, 4, 17, 10, 3, 16, 9, 2, 15, 8, 1, 14, 7];
+
+  // 圖騰顏色（紅白藍黃循環）
+  const SEAL_COLORS = ["red", "white", "blue", "yellow"];
+
+  function buildWavespells(format) {
+    return WAVESPELL_GLYPHS.map(format);
+  }
+
+  // ==================== 繁體中文（補充資料） ====================
+  const zhTW = {
+    label: "繁體中文",
+    colors: { red: "紅", white: "白", blue: "藍", yellow: "黃", green: "綠" },
+    toneKeywords: [
+      { action: "統一", power: "吸引", essence: "目的" },
+      { action: "極化", power: "穩定", essence: "挑戰" },
+      { action: "啟動", power: "連結", essence: "服務" },
+      { action: "定義", power: "測量", essence: "形式" },
+      { action: "賦予力量", power: "指揮", essence: "光芒" },
+      { action: "組織", power: "平衡", essence: "平等" },
+      { action: "引導", power: "激勵", essence: "調頻" },
+      { action: "和諧", power: "塑造", essence: "完整" },
+      { action: "脈動", power: "實現", essence: "意圖" },
+      { action: "完美", power: "製造", essence: "顯化" },
+      { action: "溶解", power: "釋放", essence: "解放" },
+      { action: "奉獻", power: "普及", essence: "合作" },
+      { action: "持久", power: "超越", essence: "臨在" }
+    ],
+    toneQuestions: [
+      "我的目的是什麼？",
+      "我的挑戰是什麼？",
+      "我如何能提供最好的服務？",
+      "我的服務會採取什麼形式？",
+      "我如何能賦予自己最好的力量？",
+      "我如何將我的平等擴展給他人？",
+      "我如何讓我的服務與他人調頻一致？",
+      "我是否活出我所相信的？",
+      "我如何達成我的目的？",
+      "我如何讓我所做的臻於完美？",
+      "我如何釋放與放下？",
+      "我如何奉獻給一切生命？",
+      "我如何擴展我的喜悅與愛？"
+    ]
+  };
+
+  // ==================== 簡體中文 ====================
+  const zhCNSeals = [
+    "红龙", "白风", "蓝夜", "黄种子", "红蛇",
+    "白世界桥", "蓝手", "黄星星", "红月", "白狗",
+    "蓝猴", "黄人", "红天行者", "白巫师", "蓝鹰",
+    "黄战士", "红地球", "白镜", "蓝风暴", "黄太阳"
+  ];
+  const zhCNTones = [
+    "磁性的", "月亮的", "电力的", "自我存在的", "超频的",
+    "韵律的", "共振的", "银河星系的", "太阳的", "行星的",
+    "光谱的", "水晶的", "宇宙的"
+  ];
+  const zhCN = {
+    label: "简体中文",
+    seals: zhCNSeals,
+    tones: zhCNTones,
+    wavespells: buildWavespells((glyph) => `${zhCNSeals[glyph]}波`),
+    colors: { red: "红", white: "白", blue: "蓝", yellow: "黄", green: "绿" },
+    toneKeywords: [
+      { action: "统一", power: "吸引", essence: "目的" },
+      { action: "极化", power: "稳定", essence: "挑战" },
+      { action: "启动", power: "连结", essence: "服务" },
+      { action: "定义", power: "测量", essence: "形式" },
+      { action: "赋予力量", power: "指挥", essence: "光芒" },
+      { action: "组织", power: "平衡", essence: "平等" },
+      { action: "引导", power: "激励", essence: "调频" },
+      { action: "和谐", power: "塑造", essence: "完整" },
+      { action: "脉动", power: "实现", essence: "意图" },
+      { action: "完美", power: "制造", essence: "显化" },
+      { action: "溶解", power: "释放", essence: "解放" },
+      { action: "奉献", power: "普及", essence: "合作" },
+      { action: "持久", power: "超越", essence: "临在" }
+    ],
+    toneQuestions: [
+      "我的目的是什么？",
+      "我的挑战是什么？",
+      "我如何能提供最好的服务？",
+      "我的服务会采取什么形式？",
+      "我如何能赋予自己最好的力量？",
+      "我如何将我的平等扩展给他人？",
+      "我如何让我的服务与他人调频一致？",
+      "我是否活出我所相信的？",
+      "我如何达成我的目的？",
+      "我如何让我所做的臻于完美？",
+      "我如何释放与放下？",
+      "我如何奉献给一切生命？",
+      "我如何扩展我的喜悦与爱？"
+    ],
+    kinName: (toneIndex, sealIndex) => `${zhCNTones[toneIndex]}${zhCNSeals[sealIndex]}`
+  };
+
+  // ==================== English ====================
+  const enColors = { red: "Red", white: "White", blue: "Blue", yellow: "Yellow", green: "Green" };
+  const enSealBases = [
+    "Dragon", "Wind", "Night", "Seed", "Serpent",
+    "World-Bridger", "Hand", "Star", "Moon", "Dog",
+    "Monkey", "Human", "Skywalker", "Wizard", "Eagle",
+    "Warrior", "Earth", "Mirror", "Storm", "Sun"
+  ];
+  const enSeals = enSealBases.map((base, i) => `${enColors[SEAL_COLORS[i % 4]]} ${base}`);
+  const enTones = [
+    "Magnetic", "Lunar", "Electric", "Self-Existing", "Overtone",
+    "Rhythmic", "Resonant", "Galactic", "Solar", "Planetary",
+    "Spectral", "Crystal", "Cosmic"
+  ];
+  const en = {
+    label: "English",
+    seals: enSeals,
+    tones: enTones,
+    wavespells: buildWavespells((glyph) => `${enSeals[glyph]} Wavespell`),
+    colors: enColors,
+    toneKeywords: [
+      { action: "Unify", power: "Attract", essence: "Purpose" },
+      { action: "Polarize", power: "Stabilize", essence: "Challenge" },
+      { action: "Activate", power: "Bond", essence: "Service" },
+      { action: "Define", power: "Measure", essence: "Form" },
+      { action: "Empower", power: "Command", essence: "Radiance" },
+      { action: "Organize", power: "Balance", essence: "Equality" },
+      { action: "Channel", power: "Inspire", essence: "Attunement" },
+      { action: "Harmonize", power: "Model", essence: "Integrity" },
+      { action: "Pulse", power: "Realize", essence: "Intention" },
+      { action: "Perfect", power: "Produce", essence: "Manifestation" },
+      { action: "Dissolve", power: "Release", essence: "Liberation" },
+      { action: "Dedicate", power: "Universalize", essence: "Cooperation" },
+      { action: "Endure", power: "Transcend", essence: "Presence" }
+    ],
+    toneQuestions: [
+      "What is my purpose?",
+      "What is my challenge?",
+      "How can I best serve?",
+      "What is the form my service will take?",
+      "How can I best empower myself?",
+      "How can I extend my equality to others?",
+      "How can I attune my service to others?",
+      "Do I live what I believe?",
+      "How do I attain my purpose?",
+      "How do I perfect what I do?",
+      "How do I release and let go?",
+      "How can I dedicate myself to all that lives?",
+      "How can I expand my joy and love?"
+    ],
+    // 英文慣用「顏色 + 調性 + 圖騰」，例如 Red Magnetic Dragon
+    kinName: (toneIndex, sealIndex) =>
+      `${enColors[SEAL_COLORS[sealIndex % 4]]} ${enTones[toneIndex]} ${enSealBases[sealIndex]}`
+  };
+
+  // ==================== Español ====================
+  // 西文形容詞需配合圖騰的陰陽性：[陽性, 陰性]
+  const esColors = {
+    red: ["Rojo", "Roja"],
+    white: ["Blanco", "Blanca"],
+    blue: ["Azul", "Azul"],
+    yellow: ["Amarillo", "Amarilla"],
+    green: ["Verde", "Verde"]
+  };
+  const esSealBases = [
+    ["Dragón", "m"], ["Viento", "m"], ["Noche", "f"], ["Semilla", "f"], ["Serpiente", "f"],
+    ["Enlazador de Mundos", "m"], ["Mano", "f"], ["Estrella", "f"], ["Luna", "f"], ["Perro", "m"],
+    ["Mono", "m"], ["Humano", "m"], ["Caminante del Cielo", "m"], ["Mago", "m"], ["Águila", "f"],
+    ["Guerrero", "m"], ["Tierra", "f"], ["Espejo", "m"], ["Tormenta", "f"], ["Sol", "m"]
+  ];
+  const esTones = [
+    ["Magnético", "Magnética"], ["Lunar", "Lunar"], ["Eléctrico", "Eléctrica"],
+    ["Autoexistente", "Autoexistente"], ["Entonado", "Entonada"], ["Rítmico", "Rítmica"],
+    ["Resonante", "Resonante"], ["Galáctico", "Galáctica"], ["Solar", "Solar"],
+    ["Planetario", "Planetaria"], ["Espectral", "Espectral"], ["Cristal", "Cristal"],
+    ["Cósmico", "Cósmica"]
+  ];
+  const esGender = (sealIndex) => (esSealBases[sealIndex][1] === "f" ? 1 : 0);
+  const esSeals = esSealBases.map(([base], i) => `${base} ${esColors[SEAL_COLORS[i % 4]][esGender(i)]}`);
+  const es = {
+    label: "Español",
+    seals: esSeals,
+    tones: esTones.map(([masculine]) => masculine),
+    wavespells: buildWavespells((glyph) =>
+      `Onda Encantada ${esGender(glyph) ? "de la" : "del"} ${esSeals[glyph]}`),
+    colors: { red: "Rojo", white: "Blanco", blue: "Azul", yellow: "Amarillo", green: "Verde" },
+    toneKeywords: [
+      { action: "Unificar", power: "Atraer", essence: "Propósito" },
+      { action: "Polarizar", power: "Estabilizar", essence: "Desafío" },
+      { action: "Activar", power: "Vincular", essence: "Servicio" },
+      { action: "Definir", power: "Medir", essence: "Forma" },
+      { action: "Potenciar", power: "Comandar", essence: "Resplandor" },
+      { action: "Organizar", power: "Equilibrar", essence: "Igualdad" },
+      { action: "Canalizar", power: "Inspirar", essence: "Sintonización" },
+      { action: "Armonizar", power: "Modelar", essence: "Integridad" },
+      { action: "Pulsar", power: "Realizar", essence: "Intención" },
+      { action: "Perfeccionar", power: "Producir", essence: "Manifestación" },
+      { action: "Disolver", power: "Divulgar", essence: "Liberación" },
+      { action: "Dedicar", power: "Universalizar", essence: "Cooperación" },
+      { action: "Perdurar", power: "Trascender", essence: "Presencia" }
+    ],
+    toneQuestions: [
+      "¿Cuál es mi propósito?",
+      "¿Cuál es mi desafío?",
+      "¿Cómo puedo servir mejor?",
+      "¿Qué forma tomará mi servicio?",
+      "¿Cómo puedo potenciarme mejor?",
+      "¿Cómo puedo extender mi igualdad a los demás?",
+      "¿Cómo puedo sintonizar mi servicio con los demás?",
+      "¿Vivo lo que creo?",
+      "¿Cómo alcanzo mi propósito?",
+      "¿Cómo perfecciono lo que hago?",
+      "¿Cómo libero y dejo ir?",
+      "¿Cómo puedo dedicarme a todo lo que vive?",
+      "¿Cómo puedo expandir mi alegría y mi amor?"
+    ],
+    // 西文慣用「圖騰 + 調性 + 顏色」，例如 Semilla Magnética Amarilla
+    kinName: (toneIndex, sealIndex) => {
+      const gender = esGender(sealIndex);
+      const color = esColors[SEAL_COLORS[sealIndex % 4]][gender];
+      return `${esSealBases[sealIndex][0]} ${esTones[toneIndex][gender]} ${color}`;
+    }
+  };
+
+  // ==================== 日本語 ====================
+  const jaColors = { red: "赤い", white: "白い", blue: "青い", yellow: "黄色い", green: "緑の" };
+  const jaSealBases = [
+    "竜", "風", "夜", "種", "蛇",
+    "世界の橋渡し", "手", "星", "月", "犬",
+    "猿", "人", "空歩く人", "魔法使い", "鷲",
+    "戦士", "地球", "鏡", "嵐", "太陽"
+  ];
+  const jaSeals = jaSealBases.map((base, i) => `${jaColors[SEAL_COLORS[i % 4]]}${base}`);
+  const jaTones = [
+    "磁気の", "月の", "電気の", "自己存在の", "倍音の",
+    "律動の", "共振の", "銀河の", "太陽の", "惑星の",
+    "スペクトルの", "水晶の", "宇宙の"
+  ];
+  const ja = {
+    label: "日本語",
+    seals: jaSeals,
+    tones: jaTones,
+    wavespells: buildWavespells((glyph) => `${jaSeals[glyph]}の波動魔法`),
+    colors: { red: "赤", white: "白", blue: "青", yellow: "黄", green: "緑" },
+    toneKeywords: [
+      { action: "統一する", power: "引きつける", essence: "目的" },
+      { action: "二極化する", power: "安定させる", essence: "挑戦" },
+      { action: "活性化する", power: "結びつける", essence: "奉仕" },
+      { action: "定義する", power: "測る", essence: "形" },
+      { action: "力を与える", power: "指揮する", essence: "輝き" },
+      { action: "組織する", power: "均衡をとる", essence: "平等" },
+      { action: "経路を開く", power: "鼓舞する", essence: "調律" },
+      { action: "調和する", power: "模範となる", essence: "完全性" },
+      { action: "脈動する", power: "実現する", essence: "意図" },
+      { action: "完成させる", power: "生み出す", essence: "顕現" },
+      { action: "溶かす", power: "解き放つ", essence: "解放" },
+      { action: "捧げる", power: "普遍化する", essence: "協力" },
+      { action: "耐える", power: "超越する", essence: "存在" }
+    ],
+    toneQuestions: [
+      "私の目的は何か？",
+      "私の挑戦は何か？",
+      "どうすれば最もよく奉仕できるか？",
+      "私の奉仕はどんな形をとるか？",
+      "どうすれば自分に最もよく力を与えられるか？",
+      "どうすれば私の平等を他者に広げられるか？",
+      "どうすれば私の奉仕を他者と調律できるか？",
+      "私は信じることを生きているか？",
+      "どうすれば目的を達成できるか？",
+      "どうすれば自分のすることを完成できるか？",
+      "どうすれば解き放ち、手放せるか？",
+      "どうすれば生きとし生けるものに自分を捧げられるか？",
+      "どうすれば喜びと愛を広げられるか？"
+    ],
+    // 日文慣用「顏色 + 調性 + 圖騰」，例如 赤い磁気の竜
+    kinName: (toneIndex, sealIndex) =>
+      `${jaColors[SEAL_COLORS[sealIndex % 4]]}${jaTones[toneIndex]}${jaSealBases[sealIndex]}`
+  };
+
+  const locales = {
+    "zh-TW": zhTW,
+    "zh-CN": zhCN,
+    en,
+    es,
+    ja
+  };
+
+  return {
+    locales,
+    supportedLocales: Object.keys(locales)
+  };
+});
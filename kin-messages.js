@@ -0,0 +1,282 @@
+/**
+ * 13月亮曆每個 Kin 的訊息資料
+ *
+ * 資料來源為 red-room/red-brain.js（window.RED_BRAIN_DATA，由 content/ 的原稿產生），欄位格式見該檔開頭。
+ * 每個欄位可以有多則文字（變體），pickMessage 依日期輪替，並避開使用者看過的那一則。
+ * 各房間都透過本檔讀取，取得的每個 Kin 都有完整的四個欄位，尚未撰寫的欄位為 null：
+ * - 瀏覽器：依序載入 kin-locales.js、kin-calculator.js、red-brain.js、本檔 → window.KinMessages
+ * - ES module：import { getMessage } from './kin-messages.mjs'
+ * - Node：const { getMessage } = require('./kin-messages.js')，會一併 require red-brain.js
+ */
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory(require('./kin-calculator.js'), require('./red-room/red-brain.js'));
+  } else {
+    root.KinMessages = factory(root.KinCalculator, root.RED_BRAIN_DATA);
+  }
+})(typeof self !== 'undefined' ? self : this, function (KinCalculator, data) {
+  'use strict';
+
+  const { toDateParts, formatDate, isLeapYear, DAY_MS } = KinCalculator;
+
+  const TOTAL_KINS = 260;
+
+  // 看過的變體只存在本機的 localStorage，不會上傳到任何地方
+  const SEEN_STORAGE_KEY = 'kinSeenVariants';
+
+  // 訊息欄位與顯示名稱，順序即為閱讀順序
+  const messageFields = {
+    synchronicMessage: '能量感應',
+    highFrequency: '高頻展現',
+    lowFrequency: '低頻陷阱',
+    alignment: '調頻建議'
+  };
+
+  const fieldNames = Object.keys(messageFields);
+
+  /**
+   * 欄位的值整理成變體陣列：字串為一則，陣列為多則，空白的略過
+   * @param {string|string[]} value
+   * @returns {string[]}
+   */
+  function toVariants(value) {
+    const list = Array.isArray(value) ? value : [value];
+    return list
+      .map((text) => (typeof text === 'string' ? text.trim() : ''))
+      .filter((text) => text !== '');
+  }
+
+  /**
+   * 把原始資料整理成 1～260 每個 Kin 都有四個欄位的變體陣列，空白或缺少的欄位為 []
+   */
+  function normalizeVariants(source) {
+    const result = {};
+    for (let kin = 1; kin <= TOTAL_KINS; kin++) {
+      const entry = (source && source[kin]) || {};
+      result[kin] = {};
+      fieldNames.forEach((field) => {
+        result[kin][field] = toVariants(entry[field]);
+      });
+    }
+    return result;
+  }
+
+  const variants = normalizeVariants(data);
+
+  // 每個欄位的第一則，沒有輪替需求的地方（命令列、API、行事曆的預設值）直接使用
+  const messages = {};
+  for (let kin = 1; kin <= TOTAL_KINS; kin++) {
+    messages[kin] = {};
+    fieldNames.forEach((field) => {
+      messages[kin][field] = variants[kin][field][0] || null;
+    });
+  }
+
+  /**
+   * 取得單一 Kin 的訊息，有多則變體時為第一則（要輪替請用 pickMessage / readMessage）
+   * @param {number} kin - Kin 編號 (1-260)
+   * @returns {Object|null} - { synchronicMessage, highFrequency, lowFrequency, alignment }，
+   *   未撰寫的欄位為 null；Kin 不在 1-260 時為 null
+   */
+  function getMessage(kin) {
+    return Object.prototype.hasOwnProperty.call(messages, kin) ? messages[kin] : null;
+  }
+
+  /**
+   * 取得單一 Kin 每個欄位的所有變體
+   * @param {number} kin - Kin 編號 (1-260)
+   * @returns {Object|null} - { synchronicMessage: [...], ... }，未撰寫的欄位為 []；Kin 不在 1-260 時為 null
+   */
+  function getVariants(kin) {
+    return Object.prototype.hasOwnProperty.call(variants, kin) ? variants[kin] : null;
+  }
+
+  /**
+   * Kin 的日數：與 kin-calculator 相同，2/29 不計、每年固定 365 天，
+   * 因此同一個 Kin 每次回來都正好相隔 260
+   */
+  function kinDayCount({ year, month, day }) {
+    let dayOfYear = (Date.UTC(year, month - 1, day) - Date.UTC(year, 0, 1)) / DAY_MS;
+    if (month > 2 && isLeapYear(year)) {
+      dayOfYear -= 1;
+    }
+    return year * 365 + dayOfYear;
+  }
+
+  /**
+   * 從多則變體中選一則：同一天固定同一則；換一天時從日期輪到的那則開始，跳過看過的，全部看過再從頭輪
+   * @param {number} count - 變體數量
+   * @param {number} start - 依日期輪到的那則
+   * @param {Object} [record] - 上次的紀錄 { date, index, seen: [...] }
+   * @param {string} date - "YYYY-MM-DD"
+   * @returns {Object} - 新的紀錄 { date, index, seen }
+   */
+  function chooseVariant(count, start, record, date) {
+    if (record && record.date === date && record.index < count) {
+      return record;
+    }
+    let seen = record && Array.isArray(record.seen) ? record.seen.filter((index) => index < count) : [];
+    let index = null;
+    for (let step = 0; step < count && index === null; step++) {
+      const candidate = (start + step) % count;
+      if (!seen.includes(candidate)) {
+        index = candidate;
+      }
+    }
+    if (index === null) {
+      seen = [];
+      index = start;
+    }
+    return { date, index, seen: seen.concat(index) };
+  }
+
+  /**
+   * 取得某一天要顯示的訊息，每個欄位各選一則變體
+   * 同一個 Kin 在曆法上每 260 天回來一次，每次依序輪到下一則；同一天重新整理仍是同一則
+   * @param {number} kin - Kin 編號 (1-260)
+   * @param {Object} [options] - { date, timeZone, history, variant }
+   *   date 為顯示的日期（預設今天，Date 依 timeZone 換算，省略時使用全站預設時區）
+   *   history 為 loadSeenVariants() 讀到的看過紀錄，省略時只依日期輪替
+   *   variant 指定顯示第幾則（0 起算，超過數量時取餘數），不會記入 history；
+   *   可為數字（每個欄位相同）或 { synchronicMessage: 1 }（未列出的欄位照常輪替）
+   * @returns {Object|null} - { message: { synchronicMessage, ... }, variants: { synchronicMessage: 0, ... }, history }
+   *   variants 為各欄位選到第幾則（未撰寫為 null），history 為更新後的紀錄（不修改傳入的物件）；Kin 不在 1-260 時為 null
+   */
+  function pickMessage(kin, { date = new Date(), timeZone, history = {}, variant } = {}) {
+    const entry = getVariants(kin);
+    if (!entry) {
+      return null;
+    }
+
+    const parts = toDateParts(date, timeZone);
+    const dateKey = formatDate(parts);
+    const cycle = Math.floor(kinDayCount(parts) / TOTAL_KINS);
+
+    const message = {};
+    const chosen = {};
+    const records = Object.assign({}, history && history[kin]);
+    fieldNames.forEach((field) => {
+      const list = entry[field];
+      if (list.length === 0) {
+        message[field] = null;
+        chosen[field] = null;
+        return;
+      }
+      const forced = variant !== null && typeof variant === 'object' ? variant[field] : variant;
+      let index = 0;
+      if (Number.isInteger(forced) && forced >= 0) {
+        index = forced % list.length;
+      } else if (list.length > 1) {
+        records[field] = chooseVariant(list.length, cycle % list.length, records[field], dateKey);
+        index = records[field].index;
+      }
+      message[field] = list[index];
+      chosen[field] = index;
+    });
+
+    const updated = Object.assign({}, history);
+    if (Object.keys(records).length > 0) {
+      updated[kin] = records;
+    }
+    return { message, variants: chosen, history: updated };
+  }
+
+  // ==================== 本機儲存 ====================
+
+  /**
+   * 讀取本機看過的變體紀錄
+   * @returns {Object} - { "47": { synchronicMessage: { date, index, seen: [0, 1] } } }，沒有時為 {}
+   */
+  function loadSeenVariants() {
+    try {
+      const stored = typeof localStorage !== 'undefined' && localStorage.getItem(SEEN_STORAGE_KEY);
+      const history = stored ? JSON.parse(stored) : null;
+      if (history && typeof history === 'object' && !Array.isArray(history)) {
+        return history;
+      }
+    } catch (error) {
+      // localStorage 不可用或存了無效的資料時，當作都沒看過
+    }
+    return {};
+  }
+
+  /**
+   * 儲存看過的變體紀錄（pickMessage 回傳的 history）
+   */
+  function saveSeenVariants(history) {
+    try {
+      if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(SEEN_STORAGE_KEY, JSON.stringify(history || {}));
+      }
+    } catch (error) {
+      // 記不住時下次開頁面可能再輪到看過的那則，不影響這次的顯示
+    }
+  }
+
+  /**
+   * 讀取紀錄、選出今天要顯示的訊息並記下看過的變體，頁面直接使用這個即可
+   * @param {number} kin - Kin 編號 (1-260)
+   * @param {Object} [options] - 同 pickMessage，不需要 history
+   * @returns {Object|null} - { synchronicMessage, ... }，Kin 不在 1-260 時為 null
+   */
+  function readMessage(kin, options = {}) {
+    const picked = pickMessage(kin, Object.assign({}, options, { history: loadSeenVariants() }));
+    if (!picked) {
+      return null;
+    }
+    saveSeenVariants(picked.history);
+    return picked.message;
+  }
+
+  /**
+   * 列出還缺少欄位的 Kin
+   * @returns {Array} - [{ kin, fields: ['highFrequency', ...] }]，依 Kin 編號排序
+   */
+  function getMissingFields() {
+    const missing = [];
+    for (let kin = 1; kin <= TOTAL_KINS; kin++) {
+      const fields = fieldNames.filter((field) => messages[kin][field] === null);
+      if (fields.length > 0) {
+        missing.push({ kin, fields });
+      }
+    }
+    return missing;
+  }
+
+  /**
+   * 各欄位的完成度
+   * @returns {Object} - { synchronicMessage: { label, written, variants, missing: [kin...] }, ... }
+   *   variants 為所有變體的總則數，大於 written 代表有 Kin 寫了不只一則
+   */
+  function getCoverage() {
+    const coverage = {};
+    fieldNames.forEach((field) => {
+      const missing = [];
+      let total = 0;
+      for (let kin = 1; kin <= TOTAL_KINS; kin++) {
+        total += variants[kin][field].length;
+        if (messages[kin][field] === null) {
+          missing.push(kin);
+        }
+      }
+      coverage[field] = { label: messageFields[field], written: TOTAL_KINS - missing.length, variants: total, missing };
+    });
+    return coverage;
+  }
+
+  return {
+    messageFields,
+    messages,
+    variants,
+    toVariants,
+    getMessage,
+    getVariants,
+    pickMessage,
+    readMessage,
+    loadSeenVariants,
+    saveSeenVariants,
+    getMissingFields,
+    getCoverage
+  };
+});
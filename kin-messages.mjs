@@ -0,0 +1,24 @@
+/**
+ * 13月亮曆 Kin 訊息資料（ES module 入口）
+ * 內容與 kin-messages.js 相同，供 JSX 組件以 import 使用
+ * red-brain.js 由 kin-messages.js 一併載入，不需要另外 import
+ */
+
+import KinMessages from './kin-messages.js';
+
+export const {
+  messageFields,
+  messages,
+  variants,
+  toVariants,
+  getMessage,
+  getVariants,
+  pickMessage,
+  readMessage,
+  loadSeenVariants,
+  saveSeenVariants,
+  getMissingFields,
+  getCoverage
+} = KinMessages;
+
+export default KinMessages;
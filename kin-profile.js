@@ -0,0 +1,316 @@
+/**
+ * 13月亮曆個人檔案：出生日期、主印記（出生 Kin）與每日關係解讀
+ *
+ * - 瀏覽器：依序載入 kin-locales.js、kin-calculator.js、kin-profile.js → window.KinProfile
+ * - Node：const { getDailyReading } = require('./kin-profile.js')
+ *
+ * 個人檔案只存在本機的 localStorage（kinProfile），不會上傳到任何地方。
+ */
+
+(function (root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory(require('./kin-calculator.js'));
+  } else {
+    root.KinProfile = factory(root.KinCalculator);
+  }
+})(typeof self !== 'undefined' ? self : this, function (KinCalculator) {
+  'use strict';
+
+  const {
+    calculateKin,
+    getOracle,
+    findDatesForKin,
+    getKinInfo,
+    toDateParts,
+    formatDate,
+    addDays,
+    validateKin,
+    KinError,
+    DAY_MS
+  } = KinCalculator;
+
+  const PROFILE_STORAGE_KEY = "kinProfile";
+
+  // 神諭五個位置的中文名稱
+  const oracleRoleNames = {
+    destiny: "主印記",
+    guide: "引導",
+    analog: "類比",
+    antipode: "對立",
+    occult: "隱藏"
+  };
+
+  // 只有合盤會用到的錯誤代碼；生日無效時仍是 calculateKin 拋出的日期錯誤
+  const profileErrorCodes = {
+    INVALID_GROUP: "INVALID_GROUP"  // 合盤少於 2 人
+  };
+
+  // 調性關係：相同、相加為 14（隱藏力量的調性），其餘以前進幾步表示
+  const toneRelations = {
+    SAME: "same",
+    OCCULT: "occult",
+    STEP: "step"
+  };
+
+  function dayNumber({ year, month, day }) {
+    return Date.UTC(year, month - 1, day) / DAY_MS;
+  }
+
+  // ==================== 本機儲存 ====================
+
+  /**
+   * 讀取本機的個人檔案
+   * @returns {Object|null} - { birthDate, name }，沒有或內容無效時為 null
+   */
+  function loadProfile() {
+    try {
+      const stored = typeof localStorage !== "undefined" && localStorage.getItem(PROFILE_STORAGE_KEY);
+      if (stored) {
+        return normalizeProfile(JSON.parse(stored));
+      }
+    } catch (error) {
+      // localStorage 不可用或存了無效的資料時，當作沒有個人檔案
+    }
+    return null;
+  }
+
+  /**
+   * 儲存個人檔案，出生日期無效時拋出 KinError
+   * @param {Object} profile - { birthDate, name }，birthDate 接受 "YYYY-MM-DD" 或 { year, month, day }
+   * @returns {Object} - 整理後的 { birthDate: "YYYY-MM-DD", name }
+   */
+  function saveProfile(profile) {
+    const normalized = normalizeProfile(profile);
+    try {
+      if (typeof localStorage !== "undefined") {
+        localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(normalized));
+      }
+    } catch (error) {
+      // 存不進去（例如無痕模式）仍回傳整理後的檔案，頁面照常顯示，只是下次要重新輸入
+    }
+    return normalized;
+  }
+
+  /**
+   * 刪除本機的個人檔案
+   */
+  function clearProfile() {
+    try {
+      if (typeof localStorage !== "undefined") {
+        localStorage.removeItem(PROFILE_STORAGE_KEY);
+      }
+    } catch (error) {
+      // localStorage 不可用時沒有東西可刪
+    }
+  }
+
+  function normalizeProfile({ birthDate, name = "" } = {}) {
+    // 出生日期是日曆日，不隨時區換算
+    const parts = toDateParts(birthDate, null);
+    calculateKin(parts.year, parts.month, parts.day);
+    return { birthDate: formatDate(parts), name: String(name).trim() };
+  }
+
+  // ==================== 主印記與關係 ====================
+
+  /**
+   * 出生日期的主印記
+   * 2/29 出生的人沒有自己的 Kin，依 Dreamspell 慣例與 2/28 共用同一個 Kin
+   * @param {string|Object} birthDate - "YYYY-MM-DD" 或 { year, month, day }
+   * @param {Object} [options] - { locale }
+   * @returns {Object} - { date, bornOnHunabKu, ...calculateKin 的結果 }
+   */
+  function getBirthKin(birthDate, { locale } = {}) {
+    const parts = toDateParts(birthDate, null);
+    const bornOnHunabKu = parts.month === 2 && parts.day === 29;
+    const result = calculateKin(parts.year, parts.month, bornOnHunabKu ? 28 : parts.day, { locale });
+    return { date: formatDate(parts), bornOnHunabKu, ...result };
+  }
+
+  /**
+   * 某個 Kin 與主印記的關係
+   * @param {number} birthKin - 主印記 (1-260)
+   * @param {number} kin - 要比較的 Kin (1-260)
+   * @returns {Object} - { oracleRole, oracleRoleName, sameWavespell, tone: { relation, birthTone, tone, step } }
+   *   oracleRole 為 kin 在主印記神諭中的位置（destiny 代表同一個 Kin，即銀河回歸），不在神諭中時為 null
+   *   step 為從主印記調性往前數到 kin 調性的步數（0-12）
+   */
+  function getKinRelationship(birthKin, kin) {
+    validateKin(birthKin);
+    validateKin(kin);
+
+    const oracle = getOracle(birthKin);
+    const oracleRole = Object.keys(oracleRoleNames).find((role) => oracle[role].kin === kin) || null;
+
+    const birthTone = oracle.destiny.toneNumber;
+    const tone = ((kin - 1) % 13) + 1;
+    let relation = toneRelations.STEP;
+    if (tone === birthTone) {
+      relation = toneRelations.SAME;
+    } else if (tone + birthTone === 14) {
+      relation = toneRelations.OCCULT;
+    }
+
+    return {
+      oracleRole,
+      oracleRoleName: oracleRole ? oracleRoleNames[oracleRole] : null,
+      // 同一個波符：13 個 Kin 一組，從同一個磁性調性開始
+      sameWavespell: Math.floor((kin - 1) / 13) === Math.floor((birthKin - 1) / 13),
+      tone: { relation, birthTone, tone, step: (tone - birthTone + 13) % 13 }
+    };
+  }
+
+  /**
+   * 下一次銀河回歸（日期回到主印記）；今天就是的話 daysUntil 為 0
+   * @param {number} birthKin - 主印記 (1-260)
+   * @param {Object} [options] - { from, timeZone }，from 預設為今天
+   * @returns {Object|null} - { year, month, day, date, daysUntil }；區間內找不到時為 null
+   */
+  function getNextGalacticReturn(birthKin, { from = new Date(), timeZone } = {}) {
+    const start = toDateParts(from, timeZone);
+    // 一個卓爾金循環 260 天，中間遇到 2/29 會多一天
+    const [next] = findDatesForKin(birthKin, { from: start, to: addDays(start, 260) });
+    if (!next) {
+      return null;
+    }
+    return { ...next, daysUntil: dayNumber(next) - dayNumber(start) };
+  }
+
+  function describeTone({ relation, birthTone, tone, step }) {
+    if (relation === toneRelations.SAME) {
+      return `今天與你的主印記同為調性 ${tone}`;
+    }
+    if (relation === toneRelations.OCCULT) {
+      return `今天的調性 ${tone} 與你的調性 ${birthTone} 相加為 14，互為隱藏力量`;
+    }
+    return `今天的調性 ${tone} 是你的調性 ${birthTone} 往前第 ${step} 步`;
+  }
+
+  /**
+   * 每日關係解讀：今天的 Kin 與主印記的關係
+   * @param {Object} profile - { birthDate, name }
+   * @param {Object} [options] - { date, timeZone, locale }，date 預設為今天
+   * @returns {Object} - { profile, birth, today, relationship, nextReturn, summary }
+   *   今天是 2/29（Hunab Ku）時 relationship 為 null；summary 為可直接顯示的中文句子
+   */
+  function getDailyReading(profile, { date = new Date(), timeZone, locale } = {}) {
+    const normalized = normalizeProfile(profile);
+    const todayParts = toDateParts(date, timeZone);
+
+    const birth = getBirthKin(normalized.birthDate, { locale });
+    const today = { date: formatDate(todayParts), ...calculateKin(todayParts.year, todayParts.month, todayParts.day, { locale }) };
+    const relationship = today.isHunabKu ? null : getKinRelationship(birth.kin, today.kin);
+    const nextReturn = getNextGalacticReturn(birth.kin, { from: todayParts });
+
+    const summary = [];
+    if (!relationship) {
+      summary.push("今天是 Hunab Ku（2/29），不屬於任何 Kin，是回到中心的一天");
+    } else {
+      if (relationship.oracleRole === "destiny") {
+        summary.push("今天就是你的主印記，銀河回歸日快樂");
+      } else if (relationship.oracleRole) {
+        summary.push(`今天的 Kin 是你神諭中的「${relationship.oracleRoleName}」`);
+      }
+      summary.push(relationship.sameWavespell
+        ? `今天與你同在${birth.wavespell.name}`
+        : `今天在${today.wavespell.name}，你的主印記在${birth.wavespell.name}`);
+      summary.push(describeTone(relationship.tone));
+    }
+    if (nextReturn && nextReturn.daysUntil > 0) {
+      summary.push(`距離下一次銀河回歸還有 ${nextReturn.daysUntil} 天（${nextReturn.date}）`);
+    }
+
+    return { profile: normalized, birth, today, relationship, nextReturn, summary };
+  }
+
+  // ==================== 多人合盤 ====================
+
+  // 合盤時比較的卓爾金結構：label 為顯示名稱，key 取出用來比對是否相同的值
+  const sharedStructures = {
+    wavespell: { label: "波符", key: (birth) => birth.wavespell.startKin },
+    castle: { label: "城堡", key: (birth) => birth.castle.number },
+    earthFamily: { label: "地球家族", key: (birth) => birth.earthFamily.id }
+  };
+
+  function isSame(structure, birthA, birthB) {
+    const { key } = sharedStructures[structure];
+    return key(birthA) === key(birthB);
+  }
+
+  /**
+   * 多人合盤：每個人的主印記、合盤 Kin，以及兩兩之間的神諭關係
+   * @param {Array} people - [{ birthDate, name }]，至少 2 人
+   * @param {Object} [options] - { locale }
+   * @returns {Object} - { people, composite, pairs, shared }
+   *   people：[{ name, birthDate, birth }]
+   *   composite：所有主印記相加 mod 260 的 Kin 資料
+   *   pairs：[{ a, b, roleOfB, roleOfA, sameWavespell, sameCastle, sameEarthFamily }]，
+   *     a / b 為 people 的索引，roleOfB 為 b 在 a 的神諭中的位置（如 "guide"），roleOfA 反之，沒有關係時為 null
+   *   shared：{ wavespell, castle, earthFamily }，每項為 [{ name, members }]，只列出 2 人以上共有的
+   */
+  function getCompositeReading(people, { locale } = {}) {
+    if (!Array.isArray(people) || people.length < 2) {
+      throw new KinError(profileErrorCodes.INVALID_GROUP, "合盤至少需要 2 個人的生日");
+    }
+
+    const members = people.map((person, index) => {
+      const profile = normalizeProfile(person);
+      return {
+        name: profile.name || `第 ${index + 1} 人`,
+        birthDate: profile.birthDate,
+        birth: getBirthKin(profile.birthDate, { locale })
+      };
+    });
+
+    const total = members.reduce((sum, member) => sum + member.birth.kin, 0);
+    const compositeKin = ((total - 1) % 260) + 1;
+    const composite = getKinInfo(compositeKin, { locale });
+
+    const pairs = [];
+    for (let a = 0; a < members.length; a++) {
+      for (let b = a + 1; b < members.length; b++) {
+        const birthA = members[a].birth;
+        const birthB = members[b].birth;
+        pairs.push({
+          a,
+          b,
+          roleOfB: getKinRelationship(birthA.kin, birthB.kin).oracleRole,
+          roleOfA: getKinRelationship(birthB.kin, birthA.kin).oracleRole,
+          sameWavespell: isSame("wavespell", birthA, birthB),
+          sameCastle: isSame("castle", birthA, birthB),
+          sameEarthFamily: isSame("earthFamily", birthA, birthB)
+        });
+      }
+    }
+
+    const shared = {};
+    for (const [structure, { key: getKey }] of Object.entries(sharedStructures)) {
+      const groups = new Map();
+      members.forEach((member, index) => {
+        const key = getKey(member.birth);
+        if (!groups.has(key)) {
+          groups.set(key, { name: member.birth[structure].name, members: [] });
+        }
+        groups.get(key).members.push(index);
+      });
+      shared[structure] = [...groups.values()].filter((group) => group.members.length > 1);
+    }
+
+    return { people: members, composite, pairs, shared };
+  }
+
+  return {
+    profileErrorCodes,
+    oracleRoleNames,
+    toneRelations,
+    loadProfile,
+    saveProfile,
+    clearProfile,
+    getBirthKin,
+    getKinRelationship,
+    getNextGalacticReturn,
+    getDailyReading,
+    sharedStructures,
+    getCompositeReading
+  };
+});
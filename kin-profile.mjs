@@ -0,0 +1,23 @@
+/**
+ * 13月亮曆個人檔案（ES module 入口）
+ * 內容與 kin-profile.js 相同，供 JSX 組件以 import 使用
+ */
+
+import KinProfile from './kin-profile.js';
+
+export const {
+  profileErrorCodes,
+  oracleRoleNames,
+  toneRelations,
+  loadProfile,
+  saveProfile,
+  clearProfile,
+  getBirthKin,
+  getKinRelationship,
+  getNextGalacticReturn,
+  getDailyReading,
+  sharedStructures,
+  getCompositeReading
+} = KinProfile;
+
+export default KinProfile;
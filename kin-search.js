@@ -0,0 +1,238 @@
+/**
+ * 13月亮曆 Kin 訊息全文搜尋
+ *
+ * 索引 kin-messages.js 的四個欄位（能量感應、高頻展現、低頻陷阱、調頻建議），每一則變體都會索引。
+ * 中文沒有空格斷詞，以「單字＋相鄰兩字（bigram）」建索引：查「界線」比對 bigram「界線」，
+ * 查「說清楚」須同時出現「說清」「清楚」，整段連續出現的排序較前；英數字以整個單字比對。
+ *
+ * - 瀏覽器：依序載入 kin-locales.js、kin-calculator.js、red-brain.js、kin-messages.js、kin-search.js → window.KinSearch
+ * - Node：const { searchKins } = require('./kin-search.js')
+ */
+
+(function (root, factory) {
+  if (typeof module !== "undefined" && module.exports) {
+    module.exports = factory(require("./kin-calculator.js"), require("./kin-messages.js"));
+  } else {
+    root.KinSearch = factory(root.KinCalculator, root.KinMessages);
+  }
+})(typeof self !== "undefined" ? self : this, function (KinCalculator, KinMessages) {
+  "use strict";
+
+  const { getKinInfo } = KinCalculator;
+  const { messageFields, toVariants } = KinMessages;
+
+  // 能量感應是每天的主要訊息，命中時排序較前
+  const fieldWeights = {
+    synchronicMessage: 1.5,
+    highFrequency: 1,
+    lowFrequency: 1,
+    alignment: 1
+  };
+
+  const fieldOrder = Object.keys(messageFields);
+
+  // 整段查詢字詞連續出現時的加分
+  const PHRASE_BONUS = 2;
+
+  const CJK_CHAR = /[㐀-鿿豈-﫿]/;
+  const TERM_PATTERN = /[㐀-鿿豈-﫿]+|[a-z0-9]+/g;
+
+  /**
+   * 切出索引用的詞：中文為單字與相鄰兩字，英數字為整個單字（小寫）
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function tokenize(text) {
+    const tokens = [];
+    (String(text).toLowerCase().match(TERM_PATTERN) || []).forEach((run) => {
+      if (!CJK_CHAR.test(run)) {
+        tokens.push(run);
+        return;
+      }
+      const chars = [...run];
+      chars.forEach((char, i) => {
+        tokens.push(char);
+        if (i < chars.length - 1) {
+          tokens.push(char + chars[i + 1]);
+        }
+      });
+    });
+    return tokens;
+  }
+
+  /**
+   * 查詢字詞要比對的詞：單一中文字比對單字，兩字以上比對每個 bigram
+   */
+  function queryTokens(term) {
+    if (!CJK_CHAR.test(term)) {
+      return [term];
+    }
+    const chars = [...term];
+    if (chars.length === 1) {
+      return chars;
+    }
+    return chars.slice(0, -1).map((char, i) => char + chars[i + 1]);
+  }
+
+  /**
+   * 拆解查詢：以空白與標點分成多個字詞，每個字詞都必須命中（AND）
+   */
+  function parseQuery(query) {
+    return [...new Set(String(query || "").toLowerCase().match(TERM_PATTERN) || [])];
+  }
+
+  /**
+   * 建立搜尋索引
+   * @param {Object} messages - 以 Kin 為鍵的訊息資料，欄位可為字串或變體陣列（預設為 KinMessages.variants）
+   * @returns {Object} - { documents, postings }；postings 為 詞 → Map(文件鍵 → 出現次數)
+   */
+  function createSearchIndex(messages = KinMessages.variants) {
+    const documents = new Map();
+    const postings = new Map();
+
+    Object.keys(messages).forEach((key) => {
+      const kin = Number(key);
+      Object.keys(messageFields).forEach((field) => {
+        toVariants(messages[key] && messages[key][field]).forEach((text, variant) => {
+          const id = `${kin}:${field}:${variant}`;
+          documents.set(id, { kin, field, variant, text });
+          tokenize(text).forEach((token) => {
+            if (!postings.has(token)) {
+              postings.set(token, new Map());
+            }
+            const counts = postings.get(token);
+            counts.set(id, (counts.get(id) || 0) + 1);
+          });
+        });
+      });
+    });
+
+    return { documents, postings };
+  }
+
+  let defaultIndex = null;
+
+  /**
+   * 把文字切成一般與命中的片段，供頁面加上標記
+   * @returns {Array} - [{ text, match }]
+   */
+  function highlight(text, terms) {
+    const lower = text.toLowerCase();
+    const marked = new Array(text.length).fill(false);
+
+    terms.forEach((term) => {
+      // 整段字詞沒有連續出現時，退而標出各個 bigram
+      const needles = lower.includes(term) ? [term] : queryTokens(term);
+      needles.forEach((needle) => {
+        let index = lower.indexOf(needle);
+        while (index !== -1) {
+          marked.fill(true, index, index + needle.length);
+          index = lower.indexOf(needle, index + needle.length);
+        }
+      });
+    });
+
+    const segments = [];
+    for (let i = 0; i < text.length; i++) {
+      const last = segments[segments.length - 1];
+      if (last && last.match === marked[i]) {
+        last.text += text[i];
+      } else {
+        segments.push({ text: text[i], match: marked[i] });
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * 搜尋 Kin 訊息
+   * @param {string} query - 查詢字串，空白分隔的字詞都必須出現在同一個 Kin
+   * @param {Object} [options] - { limit = 20, locale, index }
+   * @returns {Array} - [{ kin, score, info, matches: [{ field, label, variant, segments: [{ text, match }] }] }]，依分數排序
+   *   variant 為命中的是該欄位的第幾則（0 起算），可傳給 KinMessages.pickMessage 顯示同一則
+   */
+  function searchKins(query, { limit = 20, locale, index } = {}) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) {
+      return [];
+    }
+    if (!index) {
+      defaultIndex = defaultIndex || createSearchIndex();
+      index = defaultIndex;
+    }
+    const { documents, postings } = index;
+    const totalDocuments = documents.size || 1;
+
+    // 每個字詞各自找出命中的欄位：該字詞的所有詞都要出現在同一則文字
+    const kinScores = new Map();
+    const kinDocuments = new Map();
+    for (const [termIndex, term] of terms.entries()) {
+      const tokens = queryTokens(term);
+      const lists = tokens.map((token) => postings.get(token));
+      if (lists.some((list) => !list)) {
+        return [];
+      }
+
+      const termScores = new Map();
+      for (const id of lists[0].keys()) {
+        if (!lists.every((list) => list.has(id))) {
+          continue;
+        }
+        const document = documents.get(id);
+        let score = 0;
+        tokens.forEach((token, i) => {
+          const idf = Math.log(1 + totalDocuments / lists[i].size);
+          score += lists[i].get(id) * idf;
+        });
+        if (document.text.toLowerCase().includes(term)) {
+          score += PHRASE_BONUS;
+        }
+        score *= fieldWeights[document.field];
+
+        termScores.set(document.kin, (termScores.get(document.kin) || 0) + score);
+        if (!kinDocuments.has(document.kin)) {
+          kinDocuments.set(document.kin, new Set());
+        }
+        kinDocuments.get(document.kin).add(id);
+      }
+
+      // AND：只保留每個字詞都命中的 Kin
+      if (termIndex === 0) {
+        termScores.forEach((score, kin) => kinScores.set(kin, score));
+      } else {
+        [...kinScores.keys()].forEach((kin) => {
+          if (termScores.has(kin)) {
+            kinScores.set(kin, kinScores.get(kin) + termScores.get(kin));
+          } else {
+            kinScores.delete(kin);
+          }
+        });
+      }
+    }
+
+    return [...kinScores]
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .slice(0, limit)
+      .map(([kin, score]) => ({
+        kin,
+        score: Math.round(score * 100) / 100,
+        info: getKinInfo(kin, { locale }),
+        matches: [...kinDocuments.get(kin)]
+          .map((id) => documents.get(id))
+          .sort((a, b) => fieldOrder.indexOf(a.field) - fieldOrder.indexOf(b.field) || a.variant - b.variant)
+          .map(({ field, variant, text }) => ({
+            field,
+            label: messageFields[field],
+            variant,
+            segments: highlight(text, terms)
+          }))
+      }));
+  }
+
+  return {
+    fieldWeights,
+    tokenize,
+    createSearchIndex,
+    searchKins
+  };
+});
@@ -1,307 +1,1448 @@
 // kinData.js
 // 13 Moon Calendar • Tzolkin 260 KIN Synchronic Readings
-// Format: "編號": { synchronicMessage, highFrequency, lowFrequency, alignment }
+// Format: "編號": { synchronicMessage, highFrequency, lowFrequency, alignment }（多則變體時為字串陣列）
+// 由 content/wavespell-*.md 產生（node bin/kin.js build），請勿直接修改
 
 export const kinData = {
   "1": {
-    synchronicMessage: "磁性的紅龍，把你帶回「最原初的滋養」。今天先照顧自己，宇宙才會更願意把路打開。",
+    synchronicMessage: [
+      "今天很適合回到最基本的事：先把自己照顧好。你越願意穩住生活的根，新的開始越容易長出來。",
+      "磁性的紅龍，把你帶回「最原初的滋養」。今天先照顧自己，宇宙才會更願意把路打開。"
+    ],
     highFrequency: "信任生命、願意被支持，把新開始落在日常的小事上。",
     lowFrequency: "過度逞強、把需求吞下去，或用忙碌掩蓋不安。",
-    alignment: "給自己一個溫柔的開始：補水、吃一頓像家一樣的食物，並說出你真正需要什麼。"
+    alignment: [
+      "做一件最簡單的滋養：好好吃一餐／補水／提早睡，三選一；並把「我需要____」說出口。",
+      "給自己一個溫柔的開始：補水、吃一頓像家一樣的食物，並說出你真正需要什麼。"
+    ]
   },
   "2": {
-    synchronicMessage: "月亮的白風，是一面誠實的鏡子：你的語言正在創造你的世界。今天讓呼吸帶你回到真心。",
+    synchronicMessage: [
+      "今天容易卡在溝通：你其實不是不會說，而是太想一次講到對方懂。慢下來，越簡單越有力量。",
+      "月亮的白風，是一面誠實的鏡子：你的語言正在創造你的世界。今天讓呼吸帶你回到真心。"
+    ],
     highFrequency: "清晰表達、溫柔溝通，讓真相不帶刺、帶光。",
     lowFrequency: "情緒化語氣、話語失控，或沉默到失去自己。",
-    alignment: "先深呼吸三次再說話；把一句「我想要…」說清楚，勝過解釋一百句。"
+    alignment: [
+      "開口前先深呼吸三次；用一句「我在意的是____」說重點，先不要急著解釋。",
+      "先深呼吸三次再說話；把一句「我想要…」說清楚，勝過解釋一百句。"
+    ]
   },
   "3": {
-    synchronicMessage: "電力的藍夜邀請你相信：內在的夢，是靈魂給你的地圖。今天，讓願景先被你看見。",
+    synchronicMessage: [
+      "今天很適合把心裡的願景拉回現實：不是空想，而是找到『今天能做的那一步』。你會突然知道怎麼開始。",
+      "電力的藍夜邀請你相信：內在的夢，是靈魂給你的地圖。今天，讓願景先被你看見。"
+    ],
     highFrequency: "直覺清明、夢想落地，能在黑暗裡看見資源。",
     lowFrequency: "焦慮猜測、對未來失去信心，或逃進幻想不行動。",
-    alignment: "寫下你真正想要的三件事，並加上一個「今天能做的最小步驟」。"
+    alignment: [
+      "把想做的事寫成一句話，再加上一個 10 分鐘能完成的小步驟；做完就停，先讓動能起來。",
+      "寫下你真正想要的三件事，並加上一個「今天能做的最小步驟」。"
+    ]
   },
   "4": {
-    synchronicMessage: "自我存在的黃種子提醒你：形式是祝福的容器。今天把意圖整理好，成長就會自己發芽。",
+    synchronicMessage: [
+      "今天的關鍵是『變清楚』：你想做的事如果沒有形狀，就會一直拖著你。越明確，越省力。",
+      "自我存在的黃種子提醒你：形式是祝福的容器。今天把意圖整理好，成長就會自己發芽。"
+    ],
     highFrequency: "有結構、有耐心，知道何時該等待、何時該推進。",
     lowFrequency: "想太多不下種、拖延，或一急就想拔苗助長。",
-    alignment: "為你的目標定一個清楚的框：時間、步驟、邊界。種下去，交給時間。"
+    alignment: [
+      "替一件事定義完成標準：做到哪裡算完成？寫下來，今天只要朝那個標準前進。",
+      "為你的目標定一個清楚的框：時間、步驟、邊界。種下去，交給時間。"
+    ]
   },
   "5": {
-    synchronicMessage: "超頻的紅蛇喚醒身體的智慧：慾望不是問題，沒有覺察才是。今天回到感官，你會更誠實。",
+    synchronicMessage: [
+      "今天別用意志硬扛，身體其實一直在提醒你：什麼是想要、什麼是勉強。你越誠實，越能掌握節奏。",
+      "超頻的紅蛇喚醒身體的智慧：慾望不是問題，沒有覺察才是。今天回到感官，你會更誠實。"
+    ],
     highFrequency: "身體覺醒、生命力充沛，能把熱情轉成創造力。",
     lowFrequency: "衝動、成癮、情緒性飲食，或用控制壓抑本能。",
-    alignment: "做一件讓身體「醒來」的事：伸展、走路、跳舞；然後問自己：我真正渴望的是什麼？"
+    alignment: [
+      "做 3 分鐘伸展或快走；問自己：我真正想要的是什麼？把第一個答案先記下來。",
+      "做一件讓身體「醒來」的事：伸展、走路、跳舞；然後問自己：我真正渴望的是什麼？"
+    ]
   },
   "6": {
-    synchronicMessage: "韻律的白世界橋帶你學會放下：讓舊章節好好結束，新的橋才會出現。今天，清爽就是力量。",
+    synchronicMessage: [
+      "今天很適合做交接與收尾。你一旦把該結束的結束，心裡就會突然鬆，路也會跟著變順。",
+      "韻律的白世界橋帶你學會放下：讓舊章節好好結束，新的橋才會出現。今天，清爽就是力量。"
+    ],
     highFrequency: "懂得道別、會交接，能把資源連結到更大的整體。",
     lowFrequency: "捨不得、卡在過去，或用理性切斷情感。",
-    alignment: "整理一個抽屜/資料夾/對話框：把不再需要的放下，向空間說謝謝。"
+    alignment: [
+      "挑一件拖太久的事，今天就決定：完成／取消／交出去；做一個明確的結束動作。",
+      "整理一個抽屜/資料夾/對話框：把不再需要的放下，向空間說謝謝。"
+    ]
   },
   "7": {
-    synchronicMessage: "共振的藍手是一種療癒的精準：你做的每一步，都在修復你與世界的關係。今天用行動祈禱。",
+    synchronicMessage: [
+      "今天你會發現：不是想通才會好轉，是做完才會好轉。把一件小事完成，整個人就會回到正軌。",
+      "共振的藍手是一種療癒的精準：你做的每一步，都在修復你與世界的關係。今天用行動祈禱。"
+    ],
     highFrequency: "療癒力、完成力、專注力強，能把願景做成作品。",
     lowFrequency: "做一半就放棄、對自己苛責，或拖延到失去信心。",
-    alignment: "選一件「做完就好」的小事完成它，讓完成感回到你的神經系統。"
+    alignment: [
+      "選一件最小可完成的待辦，把它做完並打勾；完成後給自己 1 分鐘的『我做到了』。",
+      "選一件「做完就好」的小事完成它，讓完成感回到你的神經系統。"
+    ]
   },
   "8": {
-    synchronicMessage: "和諧的黃星星讓你的美感成為指北針：你正在被引導去更優雅的秩序。今天讓美成為選擇。",
+    synchronicMessage: [
+      "今天很看『一致性』：你喜歡的生活長什麼樣，從你怎麼整理細節就看得出來。你不必完美，但要舒服。",
+      "銀河星系的黃星星讓你的美感成為指北針：你正在被引導去更優雅的秩序。今天讓美成為選擇。"
+    ],
     highFrequency: "和諧、審美、禮儀感，能用美化解衝突。",
     lowFrequency: "吹毛求疵、虛榮比較，或被混亂耗盡能量。",
-    alignment: "把一個角落整理得很美：桌面、房間、心情。美不是奢侈，是頻率。"
+    alignment: [
+      "整理一個角落到「一眼看過去很舒服」；刪掉一個讓你分心的雜訊（通知/分頁/物品）。",
+      "把一個角落整理得很美：桌面、房間、心情。美不是奢侈，是頻率。"
+    ]
   },
   "9": {
-    synchronicMessage: "太陽的紅月像一條清澈的河：情緒不是敵人，它是訊息。今天讓感受流動，答案會浮現。",
+    synchronicMessage: [
+      "今天情緒會比較明顯，但它不是來鬧你的，是來提醒你：哪裡需要清理、哪裡需要放過自己。",
+      "太陽的紅月像一條清澈的河：情緒不是敵人，它是訊息。今天讓感受流動，答案會浮現。"
+    ],
     highFrequency: "情緒流動順暢、直覺敏銳，能用溫柔穿越困境。",
     lowFrequency: "情緒淤塞、哭不出來或爆炸，對自己與他人不耐煩。",
-    alignment: "多喝水、少硬撐；用一句話命名情緒：『我現在感到…』讓它被看見。"
+    alignment: [
+      "先補水或洗個臉；用一句話說出感受：「我現在感到____，我需要____。」",
+      "多喝水、少硬撐；用一句話命名情緒：『我現在感到…』讓它被看見。"
+    ]
   },
   "10": {
-    synchronicMessage: "行星的白狗把你拉回愛的本能：忠誠不是犧牲，而是選擇真心。今天讓愛有邊界、有溫度。",
+    synchronicMessage: [
+      "今天在提醒你：真正的在乎不是一直付出，而是把心放在值得的地方，也包括你自己。",
+      "行星的白狗把你拉回愛的本能：忠誠不是犧牲，而是選擇真心。今天讓愛有邊界、有溫度。"
+    ],
     highFrequency: "真誠、守護、願意信任與被信任。",
     lowFrequency: "討好、依附、害怕被拋下，或用冷漠保護自己。",
-    alignment: "對一個重要的人表達感謝；也對自己說：我值得被好好對待。"
+    alignment: [
+      "做一件『把自己放回第一順位』的小事；同時設定一條小界線：今天我不再____。",
+      "對一個重要的人表達感謝；也對自己說：我值得被好好對待。"
+    ]
   },
   "11": {
-    synchronicMessage: "光譜的藍猴邀請你放鬆：當你笑了，宇宙就比較好合作。今天用玩心打開卡住的地方。",
+    synchronicMessage: [
+      "今天如果你越緊繃，越容易卡住；反而一放鬆，靈感就回來。你不需要更嚴肅，你需要更靈活。",
+      "光譜的藍猴邀請你放鬆：當你笑了，宇宙就比較好合作。今天用玩心打開卡住的地方。"
+    ],
     highFrequency: "幽默、創意、靈巧，能把難題變成遊戲。",
     lowFrequency: "玩過頭逃避、嘴硬逞強，或用嘲諷隱藏脆弱。",
-    alignment: "給自己 20 分鐘純玩：音樂、塗鴉、亂跳舞。讓心先輕，路才會順。"
+    alignment: [
+      "給自己 20 分鐘純放鬆（音樂/走路/整理也算）；把壓力事改成「先做 5 分鐘」。",
+      "給自己 20 分鐘純玩：音樂、塗鴉、亂跳舞。讓心先輕，路才會順。"
+    ]
   },
   "12": {
-    synchronicMessage: "水晶的黃人提醒你：自由是對自己負責。今天你做的選擇，正在雕刻你的命運。",
+    synchronicMessage: [
+      "今天很適合做『自己的選擇』。你怎麼選，別人就怎麼被你影響。自由最迷人的是：你願意承擔。",
+      "水晶的黃人提醒你：自由是對自己負責。今天你做的選擇，正在雕刻你的命運。"
+    ],
     highFrequency: "意志力清晰、做主不推諉，能用成熟守護自由。",
     lowFrequency: "受害者心態、把決定交出去，或固執到聽不見提示。",
-    alignment: "問自己：我真正同意的是什麼？把一個『不想』改成清楚的『我選擇…』。"
+    alignment: [
+      "做一個你一直拖的決定：我選擇____；我願意承擔____。寫下來就算生效。",
+      "問自己：我真正同意的是什麼？把一個『不想』改成清楚的『我選擇…』。"
+    ]
   },
   "13": {
-    synchronicMessage: "宇宙的紅天行者帶來遠方的風：探索，是你靈魂的本能。今天不要縮小自己，去看更大的可能。",
+    synchronicMessage: [
+      "今天別把自己關小了。你需要一點探索、一點空間感，心才會醒來。走出去，答案會跟上。",
+      "宇宙的紅天行者帶來遠方的風：探索，是你靈魂的本能。今天不要縮小自己，去看更大的可能。"
+    ],
     highFrequency: "勇於突破、視野開闊，能在未知中找到路標。",
     lowFrequency: "躁動逃跑、到處試卻不落地，或因害怕而停滯。",
-    alignment: "去一個你不常去的地方走走，或學一個新技能；讓探索成為溫柔的擴張。"
+    alignment: [
+      "做一個小探險：換路走/換地方工作/去沒去過的店；重點是離開原本的軌道一下。",
+      "去一個你不常去的地方走走，或學一個新技能；讓探索成為溫柔的擴張。"
+    ]
   },
   "14": {
-    synchronicMessage: "磁性的白巫師像一道安靜的光：你的存在本身就有魔法。今天把注意力放回當下，時間會變柔軟。",
+    synchronicMessage: [
+      "今天最有用的不是衝，而是『在場』。你越安定，事情越好處理；你越急，越容易亂。",
+      "磁性的白巫師像一道安靜的光：你的存在本身就有魔法。今天把注意力放回當下，時間會變柔軟。"
+    ],
     highFrequency: "臨在、覺察、磁吸力強，能以平靜影響全場。",
     lowFrequency: "神遊、分心、被時間追著跑，或迷信外在權威。",
-    alignment: "把一件事慢慢做：泡茶、整理、寫字。每一步都像儀式，魔法就會回來。"
+    alignment: [
+      "做一件慢慢做的事 10 分鐘（泡茶/整理/寫字）；過程中不滑手機。",
+      "把一件事慢慢做：泡茶、整理、寫字。每一步都像儀式，魔法就會回來。"
+    ]
   },
   "15": {
-    synchronicMessage: "月亮的藍鷹讓你看見更高的視角：你不是被困住，你只是需要換一個高度。今天用願景取代焦慮。",
+    synchronicMessage: [
+      "今天容易想太多，但其實只是視角不夠高。把眼光拉遠一點，你就知道該把力氣放哪裡。",
+      "月亮的藍鷹讓你看見更高的視角：你不是被困住，你只是需要換一個高度。今天用願景取代焦慮。"
+    ],
     highFrequency: "遠見、洞察、格局感強，能把混亂整理成方向。",
     lowFrequency: "想太遠而空轉、批判他人，或被負面資訊拉低。",
-    alignment: "寫下你想成為的樣子，然後問：若我已經是那個人，我今天會怎麼做？"
+    alignment: [
+      "問自己：一年後的我，會怎麼看這件事？把答案變成今天一個具體行動。",
+      "寫下你想成為的樣子，然後問：若我已經是那個人，我今天會怎麼做？"
+    ]
   },
   "16": {
-    synchronicMessage: "電力的黃戰士點燃你的提問力：真正的勇敢，是願意面對真相。今天把問題問對，路就會打開。",
+    synchronicMessage: [
+      "今天的力量來自『敢問』：你只要把問題問對，很多混亂就會自己消失。你不是不行，你只是還沒對準。",
+      "電力的黃戰士點燃你的提問力：真正的勇敢，是願意面對真相。今天把問題問對，路就會打開。"
+    ],
     highFrequency: "清醒、果敢、能穿透假象，行動精準。",
     lowFrequency: "逞強好勝、質疑一切到失去信任，或怕衝突而退縮。",
-    alignment: "選一個卡住的點，寫下三個更深的問題；答案會在你敢問的那一刻出現。"
+    alignment: [
+      "對卡住的點寫三個更精準的問題；選一個問題，今天立刻做第一步查證或行動。",
+      "選一個卡住的點，寫下三個更深的問題；答案會在你敢問的那一刻出現。"
+    ]
   },
   "17": {
-    synchronicMessage: "自我存在的紅地球讓同步顯現：你並不孤單，宇宙一直在回應。今天留意巧合，它們是導航。",
+    synchronicMessage: [
+      "今天線索會變多：你可能一直遇到同樣的提醒、同樣的訊息。別當巧合，它們是在指路。",
+      "自我存在的紅地球讓同步顯現：你並不孤單，宇宙一直在回應。今天留意巧合，它們是導航。"
+    ],
     highFrequency: "順流、同步、腳踏實地，能把靈感落成節奏。",
     lowFrequency: "抗拒變化、迷失方向，或把一切當成巧合而忽略訊號。",
-    alignment: "看見三個『提醒』：數字、遇見、訊息。把它們記下來，你會看懂線索。"
+    alignment: [
+      "記下今天出現的三個提示（人名/數字/句子）；晚上回看，看看它們在提醒你哪個方向。",
+      "看見三個『提醒』：數字、遇見、訊息。把它們記下來，你會看懂線索。"
+    ]
   },
   "18": {
-    synchronicMessage: "超頻的白鏡是誠實的祝福：你看到的，就是你需要整合的。今天用清明代替評判。",
+    synchronicMessage: [
+      "今天很容易看見真相，也很容易想批評。真正有用的是：把界線理清，把該調整的調整好。",
+      "超頻的白鏡是誠實的祝福：你看到的，就是你需要整合的。今天用清明代替評判。"
+    ],
     highFrequency: "清晰、正直、界線分明，能照見真相也照見自己。",
     lowFrequency: "挑剔、冷硬、把人推遠，或沉迷完美而不敢行動。",
-    alignment: "整理你的界線：哪些是我願意的？哪些不是？用一句溫柔且堅定的話說出來。"
+    alignment: [
+      "設一條清楚界線（時間/金錢/情緒）；用一句簡短的話說明，別解釋太多。",
+      "整理你的界線：哪些是我願意的？哪些不是？用一句溫柔且堅定的話說出來。"
+    ]
   },
   "19": {
-    synchronicMessage: "韻律的藍風暴帶來更新：有些崩解是為了重生。今天讓能量流動，舊的殼會自然裂開。",
+    synchronicMessage: [
+      "今天像在更新系統：舊的東西要退場，新的才能進來。你越願意整理，心越快回到平衡。",
+      "韻律的藍風暴帶來更新：有些崩解是為了重生。今天讓能量流動，舊的殼會自然裂開。"
+    ],
     highFrequency: "更新力強、韌性高，能把危機轉成轉機。",
     lowFrequency: "情緒風暴、破壞性反應，或害怕變動而緊抓不放。",
-    alignment: "做一個『更新儀式』：洗澡、斷捨離、換床單。讓身心一起重開機。"
+    alignment: [
+      "清掉一個能量黑洞：堆積物/未回訊息/拖延清單；先清一格就好。",
+      "做一個『更新儀式』：洗澡、斷捨離、換床單。讓身心一起重開機。"
+    ]
   },
   "20": {
-    synchronicMessage: "共振的黃太陽像溫暖的核心：當你照亮自己，別人也會被你照亮。今天讓善意更大聲一點。",
+    synchronicMessage: [
+      "今天你很適合成為那個『讓人安心』的人。你不必用力正能量，只要清楚、溫暖、真誠，就會自然帶動他人。",
+      "共振的黃太陽像溫暖的核心：當你照亮自己，別人也會被你照亮。今天讓善意更大聲一點。"
+    ],
     highFrequency: "喜悅、清明、包容力強，能以光溫柔帶路。",
     lowFrequency: "自我消耗、過度付出，或用光明掩蓋真實情緒。",
-    alignment: "把注意力放在『補充』而非『燃燒』：休息、曬太陽、對自己說一句肯定。"
+    alignment: [
+      "做一件補電的事（休息/曬太陽/安靜）；並把今天最重要的一件事排第一。",
+      "把注意力放在『補充』而非『燃燒』：休息、曬太陽、對自己說一句肯定。"
+    ]
   },
   "21": {
-    synchronicMessage: "星系的紅龍帶你把愛落地：滋養不是理想，是每天的選擇。今天你越踏實，越被支持。",
+    synchronicMessage: [
+      "今天在檢查你說的『開始』是不是有被生活支持。把根顧好，比衝更重要。",
+      "星系的紅龍帶你把愛落地：滋養不是理想，是每天的選擇。今天你越踏實，越被支持。"
+    ],
     highFrequency: "穩定、願意照顧根基，能把新的循環養得很厚。",
     lowFrequency: "覺得沒人懂、自己扛到底，或把需求變成抱怨。",
-    alignment: "回到根：好好吃飯、整理作息、把家或工作台收一收，讓能量有地方停靠。"
+    alignment: [
+      "替自己留 15 分鐘的養分時間：吃點好的/整理睡眠/把家裡一角收乾淨。",
+      "回到根：好好吃飯、整理作息、把家或工作台收一收，讓能量有地方停靠。"
+    ]
   },
   "22": {
-    synchronicMessage: "太陽的白風讓真相更清透：你的話是咒語。今天用溫柔的誠實，替關係打開窗。",
+    synchronicMessage: [
+      "今天的重點是說重點。你越清楚，關係越不用猜；你越繞，越容易誤會。",
+      "太陽的白風讓真相更清透：你的話是咒語。今天用溫柔的誠實，替關係打開窗。"
+    ],
     highFrequency: "誠實且不傷人、表達流暢，能讓誤會自然散去。",
     lowFrequency: "急著證明、說太滿，或沉默到讓人猜。",
-    alignment: "把你想說的縮成一句核心句：『我在乎的是…』然後慢慢講。"
+    alignment: [
+      "把訊息縮成兩句：結論＋需求；其餘先不要補。",
+      "把你想說的縮成一句核心句：『我在乎的是…』然後慢慢講。"
+    ]
   },
   "23": {
-    synchronicMessage: "行星的藍夜讓夢靠近現實：當你願意相信，資源會自己聚攏。今天讓願景有一個具體形狀。",
+    synchronicMessage: [
+      "今天適合把願景做成可以執行的版本。你不缺夢，你缺的是一個能落地的順序。",
+      "行星的藍夜讓夢靠近現實：當你願意相信，資源會自己聚攏。今天讓願景有一個具體形狀。"
+    ],
     highFrequency: "內在富足、直覺引路，能把想像轉成計畫。",
     lowFrequency: "匱乏感、擔心不夠，或用熬夜焦慮換取安全感。",
-    alignment: "列出你已擁有的五個資源（人脈/技能/時間/工具），讓夢跟現實牽起手。"
+    alignment: [
+      "寫下：下一步是什麼？需要什麼資源？找誰幫忙？先做下一步。",
+      "列出你已擁有的五個資源（人脈/技能/時間/工具），讓夢跟現實牽起手。"
+    ]
   },
   "24": {
-    synchronicMessage: "光譜的黃種子提醒：放下多餘，成長更快。今天你不必做更多，只要做對一件事。",
+    synchronicMessage: [
+      "今天適合斷捨離選項。你不需要同時顧十件事，先把一件養大就好。",
+      "光譜的黃種子提醒：放下多餘，成長更快。今天你不必做更多，只要做對一件事。"
+    ],
     highFrequency: "去蕪存菁、聚焦，讓能量集中在最重要的方向。",
     lowFrequency: "分心撒種、想樣樣都要，結果每個都不深。",
-    alignment: "挑一個真正想培育的目標，暫停其他支線 24 小時，讓種子有光。"
+    alignment: [
+      "刪掉一個不必要的任務；把主目標寫在最上面，今天只守它。",
+      "挑一個真正想培育的目標，暫停其他支線 24 小時，讓種子有光。"
+    ]
   },
   "25": {
-    synchronicMessage: "水晶的紅蛇讓你回到身體的真相：你不需要更努力，你需要更有感。今天用覺察守護生命力。",
+    synchronicMessage: [
+      "今天最怕的是硬撐。你越尊重自己的節奏，越能把力氣用在對的地方。",
+      "水晶的紅蛇讓你回到身體的真相：你不需要更努力，你需要更有感。今天用覺察守護生命力。"
+    ],
     highFrequency: "覺醒、熱情、生命力穩定，能把慾望淨化成創造。",
     lowFrequency: "衝動、佔有、疲憊硬撐，或把身體當工具。",
-    alignment: "好好睡、好好動、好好呼吸；把『我應該』換成『我需要』。"
+    alignment: [
+      "吃飯不配手機一次；走路 10 分鐘；晚上提早 30 分鐘收工。",
+      "好好睡、好好動、好好呼吸；把『我應該』換成『我需要』。"
+    ]
   },
   "26": {
-    synchronicMessage: "宇宙的白世界橋像一場完整的交接：你放下的那一刻，才真正自由。今天給結束一個漂亮的句點。",
+    synchronicMessage: [
+      "今天很適合做漂亮的收尾。你一收尾，心就鬆；你一鬆，機會就進來。",
+      "宇宙的白世界橋像一場完整的交接：你放下的那一刻，才真正自由。今天給結束一個漂亮的句點。"
+    ],
     highFrequency: "圓滿、釋放、能優雅說再見，讓新機會自然靠近。",
     lowFrequency: "拖泥帶水、情緒切割，或害怕失去而握緊。",
-    alignment: "寫下你願意放下的三件事，對它們說謝謝，然後做一個小小的告別行動。"
+    alignment: [
+      "完成一個結束動作：交接/退訂/清空/說清楚；做完就不要再回頭。",
+      "寫下你願意放下的三件事，對它們說謝謝，然後做一個小小的告別行動。"
+    ]
   },
   "27": {
-    synchronicMessage: "磁性的藍手帶來一種『做就對了』的磁吸：療癒從願意開始那一秒發生。今天讓手成為心的延伸。",
+    synchronicMessage: [
+      "今天你一動手就會變順。別等狀態好才做，做了狀態才會好。",
+      "磁性的藍手帶來一種『做就對了』的磁吸：療癒從願意開始那一秒發生。今天讓手成為心的延伸。"
+    ],
     highFrequency: "行動療癒、專注完成，能把混亂修整成秩序。",
     lowFrequency: "完美主義拖延、否定自己，或只想療癒別人不照顧自己。",
-    alignment: "把一個卡住的地方『動手修』：修文件、修角落、修一句話。完成就是祝福。"
+    alignment: [
+      "挑一個最小修復：修文件、修排程、修環境；做完就打勾。",
+      "把一個卡住的地方『動手修』：修文件、修角落、修一句話。完成就是祝福。"
+    ]
   },
   "28": {
-    synchronicMessage: "月亮的黃星星讓你看見：美感也需要界線。今天你不必迎合誰，只要回到你心裡的優雅。",
+    synchronicMessage: [
+      "今天會想追求舒服和好看，但別為了迎合而失真。真正的美是：你看了不委屈。",
+      "月亮的黃星星讓你看見：美感也需要界線。今天你不必迎合誰，只要回到你心裡的優雅。"
+    ],
     highFrequency: "和諧、品味、溫柔的秩序感，讓環境與心一起安定。",
     lowFrequency: "比較、挑剔、怕不夠好，或為了好看而失去真心。",
-    alignment: "選一個你真正喜歡的風格，讓它出現在今天的生活裡：穿搭、桌面、文字、語氣。"
+    alignment: [
+      "問自己：這真的是我喜歡的嗎？不是就改一個小地方，讓它更像你。",
+      "選一個你真正喜歡的風格，讓它出現在今天的生活裡：穿搭、桌面、文字、語氣。"
+    ]
   },
   "29": {
-    synchronicMessage: "電力的紅月把你推向真實流動：你越誠實，越有力量。今天允許情緒走完它的路。",
+    synchronicMessage: [
+      "今天越不堵，越有力。你不需要一次解決全部，你需要讓能量先流起來。",
+      "電力的紅月把你推向真實流動：你越誠實，越有力量。今天允許情緒走完它的路。"
+    ],
     highFrequency: "淨化、直覺、柔韌，能把感受轉成清晰的選擇。",
     lowFrequency: "壓抑、爆炸、情緒勒索，或把眼淚當成失敗。",
-    alignment: "如果想哭就哭；哭完再做決定。用水的方式：流動、清潔、再出發。"
+    alignment: [
+      "做一個小清理：洗澡/整理桌面/喝熱水；把心裡那句話寫下來先別發。",
+      "如果想哭就哭；哭完再做決定。用水的方式：流動、清潔、再出發。"
+    ]
   },
   "30": {
-    synchronicMessage: "自我存在的白狗提醒：愛需要形狀。今天把你的忠誠用健康的方式表達出來。",
+    synchronicMessage: [
+      "今天愛要有形狀：你願意怎麼對人，也要說清楚你不願意怎麼被對待。",
+      "自我存在的白狗提醒：愛需要形狀。今天把你的忠誠用健康的方式表達出來。"
+    ],
     highFrequency: "真心、信任、守護，能讓關係變得安全且溫暖。",
     lowFrequency: "委屈付出、控制佔有，或害怕受傷而先冷掉。",
-    alignment: "練習一種成熟的愛：說清楚你的在乎，也說清楚你的界線。"
+    alignment: [
+      "說一句真心＋一句需求：「我在乎你，也需要____。」把界線放進愛裡。",
+      "練習一種成熟的愛：說清楚你的在乎，也說清楚你的界線。"
+    ]
   },
   "31": {
-    synchronicMessage: "超頻的藍猴點亮你的創造之心：你不需要更嚴肅，你需要更活。今天讓笑聲成為轉運的鑰匙。",
+    synchronicMessage: [
+      "今天幽默感很重要。你越能輕輕處理，越能掌握局面。玩心不是逃避，是調頻。",
+      "超頻的藍猴點亮你的創造之心：你不需要更嚴肅，你需要更活。今天讓笑聲成為轉運的鑰匙。"
+    ],
     highFrequency: "靈巧、創意、玩心，能把壓力化成靈感。",
     lowFrequency: "逃避責任、嘴硬逞強，或用玩鬧遮住疲憊。",
-    alignment: "把一件原本覺得很難的事，改成『試試看』。先玩起來，答案就會跟上。"
+    alignment: [
+      "把壓力事變小：先做 5 分鐘；做完就停，讓自己得到一次成功感。",
+      "把一件原本覺得很難的事，改成『試試看』。先玩起來，答案就會跟上。"
+    ]
   },
   "32": {
-    synchronicMessage: "韻律的黃人讓自由回到正軌：你不是要討好宇宙，你是要對自己誠實。今天做一個更像你的選擇。",
+    synchronicMessage: [
+      "今天在練習『自己做主』。你越能整理選擇，越不會被外界帶著跑。",
+      "韻律的黃人讓自由回到正軌：你不是要討好宇宙，你是要對自己誠實。今天做一個更像你的選擇。"
+    ],
     highFrequency: "自律而自由、願意承擔，能把意志用在真正重要的地方。",
     lowFrequency: "把責任推給他人、心裡不服，或固執到聽不見建議。",
-    alignment: "做一個小決定並負責到底：時間管理、金錢界線、或一句『我不方便』。"
+    alignment: [
+      "替今天設三個固定點：開始/休息/收尾；照著走，你會更穩也更自由。",
+      "做一個小決定並負責到底：時間管理、金錢界線、或一句『我不方便』。"
+    ]
   },
   "33": {
-    synchronicMessage: "共振的紅天行者邀請你拓寬地平線：當你願意走出去，內在也會變得更寬。今天探索你的下一扇門。",
+    synchronicMessage: [
+      "今天像有一扇門在打開。你不用準備到完美才出發，先走出去，世界就會回應你。",
+      "共振的紅天行者邀請你拓寬地平線：當你願意走出去，內在也會變得更寬。今天探索你的下一扇門。"
+    ],
     highFrequency: "冒險、擴張、靈性探索，能在未知中找到靈魂的禮物。",
     lowFrequency: "躁動不安、三分鐘熱度，或因恐懼而自我限制。",
-    alignment: "為自己安排一次小旅行或小探險：換路走、換餐廳、換思路。你需要新鮮的風。"
+    alignment: [
+      "做一個探索行動：問一個人/試一個工具/去一個新地方；重點是『去做』。",
+      "為自己安排一次小旅行或小探險：換路走、換餐廳、換思路。你需要新鮮的風。"
+    ]
   },
   "34": {
-    synchronicMessage: "太陽的白巫師讓時間慢下來：你越臨在，世界越願意配合。今天把每一刻都當作一個咒語。",
+    synchronicMessage: [
+      "今天越安靜越有力量。你在場，事情就好處理；你分心，時間就會追著你跑。",
+      "銀河星系的白巫師讓時間慢下來：你越臨在，世界越願意配合。今天把每一刻都當作一個咒語。"
+    ],
     highFrequency: "覺察、沉穩、內在吸引力強，能用安靜帶來改變。",
     lowFrequency: "心浮氣躁、分心焦慮，或依賴外在神秘答案。",
-    alignment: "做一個『慢』的練習：慢走、慢吃、慢回訊息。臨在是最強的魔法。"
+    alignment: [
+      "把手機放遠 30 分鐘，專心做一件事；做完再回訊息。",
+      "做一個『慢』的練習：慢走、慢吃、慢回訊息。臨在是最強的魔法。"
+    ]
   },
   "35": {
-    synchronicMessage: "行星的藍鷹讓你看見全局：你不是走不下去，你只是需要重新定位。今天用願景重新排列優先順序。",
+    synchronicMessage: [
+      "今天需要的是看清方向，不是加碼努力。把視野拉高，優先順序會自己站好。",
+      "太陽的藍鷹讓你看見全局：你不是走不下去，你只是需要重新定位。今天用願景重新排列優先順序。"
+    ],
     highFrequency: "遠見與策略、清晰判斷，能把能量用在對的地方。",
     lowFrequency: "批判過度、想很多不行動，或被焦慮拉低視角。",
-    alignment: "把今天的三件最重要的事寫下來，其餘的先放下。聚焦，就是飛翔。"
+    alignment: [
+      "寫下今天最重要的 3 件事；先做第一件，其餘先別碰。",
+      "把今天的三件最重要的事寫下來，其餘的先放下。聚焦，就是飛翔。"
+    ]
   },
   "36": {
-    synchronicMessage: "光譜的黃戰士提醒你：釋放恐懼，勇氣會自然湧出。今天你不必完美，你只需要真實且前進。",
+    synchronicMessage: [
+      "今天很適合把路線修正得更聰明。你不是不夠努力，是該把力氣用在關鍵點。",
+      "行星的黃戰士提醒你：釋放恐懼，勇氣會自然湧出。今天你不必完美，你只需要真實且前進。"
+    ],
     highFrequency: "果斷、洞察、敢面對，能把混亂切成清晰的路線。",
     lowFrequency: "逞強對抗、焦躁好勝，或害怕犯錯而停住。",
-    alignment: "做一個『勇敢的小選擇』：打那通電話、發那封訊息、或說出那句真心話。"
+    alignment: [
+      "問：哪一步最關鍵？把其他步驟刪掉或延後；今天只做關鍵一步。",
+      "做一個『勇敢的小選擇』：打那通電話、發那封訊息、或說出那句真心話。"
+    ]
   },
   "37": {
-    synchronicMessage: "水晶的紅地球讓同步更明顯：你走對路時，世界會用巧合回應你。今天信任節奏，不必硬推。",
+    synchronicMessage: [
+      "今天越急越容易迷路。放慢一點，反而更容易聽見提示、找到方向。",
+      "光譜的紅地球讓同步更明顯：你走對路時，世界會用巧合回應你。今天信任節奏，不必硬推。"
+    ],
     highFrequency: "順流、連結、穩定前進，能在剛好時刻遇見剛好的人事物。",
     lowFrequency: "急躁、抗拒變化，或把提示當作壓力。",
-    alignment: "留意今天出現的重複訊息（人名、數字、句子）。把它當成導航，而不是干擾。"
+    alignment: [
+      "把節奏放慢 10%：走路慢一點、講話慢一點、一次只做一件事。",
+      "留意今天出現的重複訊息（人名、數字、句子）。把它當成導航，而不是干擾。"
+    ]
   },
   "38": {
-    synchronicMessage: "宇宙的白鏡帶來終極誠實：你願意看見什麼，你就會成為什麼。今天讓真相成為你的禮物。",
+    synchronicMessage: [
+      "今天適合把規則講清楚。清楚不等於冷，是讓彼此都省力。",
+      "水晶的白鏡帶來終極誠實：你願意看見什麼，你就會成為什麼。今天讓真相成為你的禮物。"
+    ],
     highFrequency: "正直、清明、界線清楚，能用愛說真話。",
     lowFrequency: "冷硬、過度批判，或沉迷完美而拒絕不完美的自己。",
-    alignment: "做一個誠實的整理：把不必要的關係模式、物品或習慣，溫柔地收回。"
+    alignment: [
+      "把一個模糊約定寫清楚：時間、範圍、責任；用訊息或筆記留底。",
+      "做一個誠實的整理：把不必要的關係模式、物品或習慣，溫柔地收回。"
+    ]
   },
   "39": {
-    synchronicMessage: "磁性的藍風暴邀請你迎接更新：你正站在重生的門口。今天把舊能量放掉，新的力量會流進來。",
+    synchronicMessage: [
+      "今天像在長程升級，可能有點亂，但那是舊系統在退場。別急著把一切弄好，先做一個更新就夠。",
+      "宇宙的藍風暴邀請你迎接更新：你正站在重生的門口。今天把舊能量放掉，新的力量會流進來。"
+    ],
     highFrequency: "重整、再生、能量充電，能在變動中找到新秩序。",
     lowFrequency: "情緒炸裂、破壞性決定，或害怕變化而緊抓不放。",
-    alignment: "清掉一個『停滯點』：未回訊息、堆積物、拖延清單。清空，就是更新的開始。"
+    alignment: [
+      "只做一個更新動作：清單刪減/資料夾整理/丟掉一袋堆積；做到就收工。",
+      "清掉一個『停滯點』：未回訊息、堆積物、拖延清單。清空，就是更新的開始。"
+    ]
   },
   "40": {
-    synchronicMessage: "月亮的黃太陽照亮陰影：真正的光，是敢照見自己。今天讓你的溫暖更誠實，而不是更用力。",
+    synchronicMessage: [
+      "今天重點是穩定發光，不是燃燒自己。你先照好自己，才有餘裕照到別人。",
+      "磁性的黃太陽照亮陰影：真正的光，是敢照見自己。今天讓你的溫暖更誠實，而不是更用力。"
+    ],
     highFrequency: "喜悅、包容、清晰，自帶提振與療癒的存在感。",
     lowFrequency: "過度燃燒、硬撐正能量，或把自己照到乾掉。",
-    alignment: "把能量收回來一點：休息、曬太陽、少承擔他人的情緒。你先亮起來就好。"
+    alignment: [
+      "做一件補能量的事；並拒絕一個會耗你的要求（禮貌但清楚）。",
+      "把能量收回來一點：休息、曬太陽、少承擔他人的情緒。你先亮起來就好。"
+    ]
   },
   "41": {
-    synchronicMessage: "電力的紅龍帶你啟動新循環：你準備好被滋養，也準備好去滋養。今天從『願意接收』開始。",
+    synchronicMessage: [
+      "今天想開始是好事，但別用衝的。把自己餵飽、把生活穩住，開始自然會長出來。",
+      "月亮的紅龍帶你啟動新循環：你準備好被滋養，也準備好去滋養。今天從『願意接收』開始。"
+    ],
     highFrequency: "穩定開局、關照根基，能把新計畫養成長久的路。",
     lowFrequency: "不敢麻煩別人、逞強到底，或覺得自己不配被支持。",
-    alignment: "允許別人幫你一次：請求、委託、或接受一份好意。接收也是修行。"
+    alignment: [
+      "把開始做小：只做 10 分鐘；並加一個滋養條件（吃/睡/休息）。",
+      "允許別人幫你一次：請求、委託、或接受一份好意。接收也是修行。"
+    ]
   },
   "42": {
-    synchronicMessage: "自我存在的白風讓表達更清晰：你的真心需要被說出來，才會被看見。今天用語言創造更好的關係。",
+    synchronicMessage: [
+      "今天適合用一句話把事情說清楚。你越具體，連結越快；你越含糊，越容易內耗。",
+      "電力的白風讓表達更清晰：你的真心需要被說出來，才會被看見。今天用語言創造更好的關係。"
+    ],
     highFrequency: "坦誠、同理、溝通順暢，能把誤解化成理解。",
     lowFrequency: "話語尖銳、情緒化，或沉默到失去連結。",
-    alignment: "用『我感覺…我需要…』的句型說一次真心話，讓風把卡點吹散。"
+    alignment: [
+      "把問題問具體：你希望我怎麼做？你卡在哪一步？訊息縮短到 2 句。",
+      "用『我感覺…我需要…』的句型說一次真心話，讓風把卡點吹散。"
+    ]
   },
   "43": {
-    synchronicMessage: "超頻的藍夜讓夢更有電：你不是沒有路，你是需要先相信那盞內在的燈。今天讓願景先發光。",
+    synchronicMessage: [
+      "今天直覺很實用，但前提是你要把它變成一個可行的安排。靈感不是用來感動，是用來指路。",
+      "自我存在的藍夜讓夢更有電：你不是沒有路，你是需要先相信那盞內在的燈。今天讓願景先發光。"
+    ],
     highFrequency: "直覺富足、心靈穩定，能把夢想轉成可執行的方向。",
     lowFrequency: "匱乏焦慮、失眠多想，或把願望放太遠而不敢開始。",
-    alignment: "睡前寫下『我願意收到的指引』，醒來立刻記錄第一個念頭。夜會教你。"
+    alignment: [
+      "把靈感改成一條待辦：我今天要完成____（可量化）；完成就算。",
+      "睡前寫下『我願意收到的指引』，醒來立刻記錄第一個念頭。夜會教你。"
+    ]
   },
   "44": {
-    synchronicMessage: "韻律的黃種子讓你重回節奏：成長需要時間，也需要正確的容器。今天把生活修到更適合你。",
+    synchronicMessage: [
+      "今天的能量很適合聚焦。你一旦選定方向，進度會變快；分心只會讓你更累。",
+      "超頻的黃種子讓你重回節奏：成長需要時間，也需要正確的容器。今天把生活修到更適合你。"
+    ],
     highFrequency: "耐心、規劃、穩定耕耘，能讓成果自然長大。",
     lowFrequency: "急躁、拖延、或被太多選項分散。",
-    alignment: "把一個流程固定下來：早晨儀式、工作節奏、或記帳/整理。規律會養你。"
+    alignment: [
+      "把主目標貼在最顯眼的位置；今天只做一件能讓它前進的事。",
+      "把一個流程固定下來：早晨儀式、工作節奏、或記帳/整理。規律會養你。"
+    ]
   },
   "45": {
-    synchronicMessage: "共振的紅蛇讓身體成為天線：你感覺到的，就是方向。今天聽懂身體，你就聽懂宇宙。",
+    synchronicMessage: [
+      "今天要練的是能量分配。想衝沒問題，但要留得住續航，才走得久。",
+      "韻律的紅蛇讓身體成為天線：你感覺到的，就是方向。今天聽懂身體，你就聽懂宇宙。"
+    ],
     highFrequency: "生命力高、覺察敏銳，能把本能轉成智慧行動。",
     lowFrequency: "衝動、焦躁、耗損，或用壓抑換取表面乖巧。",
-    alignment: "做一個身體掃描：從頭到腳問『我哪裡緊？我哪裡想鬆？』然後溫柔處理它。"
+    alignment: [
+      "用節奏保護自己：工作 50 分鐘休 10 分鐘；晚上提早 30 分鐘收尾。",
+      "做一個身體掃描：從頭到腳問『我哪裡緊？我哪裡想鬆？』然後溫柔處理它。"
+    ]
   },
   "46": {
-    synchronicMessage: "星系的白世界橋像一個成熟的轉場：你不需要抓住全部，你只需要抓住核心。今天讓放下成為通道。",
+    synchronicMessage: [
+      "今天很容易收到『該收尾了』的訊號。你一收尾，心就有空，新的機會才進得來。",
+      "共振的白世界橋像一個成熟的轉場：你不需要抓住全部，你只需要抓住核心。今天讓放下成為通道。"
+    ],
     highFrequency: "懂得交接、會斷捨離，能讓生命自然升級。",
     lowFrequency: "捨不得、糾結、或用冷處理避免面對情感。",
-    alignment: "把一件『該結束的』完成它：回覆、整理、告別。完成就是釋放。"
+    alignment: [
+      "選一件拖太久的事，今天就收尾：完成/取消/交接/說清楚；別留尾巴。",
+      "把一件『該結束的』完成它：回覆、整理、告別。完成就是釋放。"
+    ]
   },
   "47": {
-    synchronicMessage: "太陽的藍手帶來可見的成果：你正在用行動把自己修回完整。今天把療癒做到具體。",
+    synchronicMessage: [
+      "今天的你很適合把事情做出成果。你越願意走到完成，越能把自己塑造成可靠的人。",
+      "銀河星系的藍手帶來可見的成果：你正在用行動把自己修回完整。今天把療癒做到具體。"
+    ],
     highFrequency: "完成力強、修復力強，能把破碎變成作品。",
     lowFrequency: "否定自己、做事斷續，或把責任扛過頭。",
-    alignment: "把待辦清單砍半，只做最重要的一件並完成它。完成會帶來新的能量。"
+    alignment: [
+      "待辦砍半，只留最重要的一件；完成後再做下一件（不要同時開很多）。",
+      "把待辦清單砍半，只做最重要的一件並完成它。完成會帶來新的能量。"
+    ]
   },
   "48": {
-    synchronicMessage: "行星的黃星星讓你回到優雅的中心：你值得更美、更順、更有質感的生活。今天讓秩序替你省力。",
+    synchronicMessage: [
+      "今天適合把生活調得更舒服、更有質感。美不是裝飾，是讓你省力、讓心安定。",
+      "太陽的黃星星讓你回到優雅的中心：你值得更美、更順、更有質感的生活。今天讓秩序替你省力。"
+    ],
     highFrequency: "美感、和諧、柔軟的自信，能讓人際與空間更舒適。",
     lowFrequency: "比較心、完美焦慮，或為了外表而失去真實。",
-    alignment: "做一個『美的決定』：刪掉雜訊、整理視覺、精簡選項。少一點，反而更美。"
+    alignment: [
+      "整理視覺：桌面/房間/手機首頁；刪掉 10 個不需要的東西（檔案/分頁/物品）。",
+      "做一個『美的決定』：刪掉雜訊、整理視覺、精簡選項。少一點，反而更美。"
+    ]
   },
   "49": {
-    synchronicMessage: "光譜的紅月讓淨化更徹底：流動會帶走沉重。今天你只要誠實地感受，就已經在往前走。",
+    synchronicMessage: [
+      "今天越誠實越清爽。情緒如果不被看見，就會用別的方式干擾你；看見它，你就能回到主控權。",
+      "行星的紅月讓淨化更徹底：流動會帶走沉重。今天你只要誠實地感受，就已經在往前走。"
+    ],
     highFrequency: "情緒釋放、清理舊能量，直覺更乾淨更準。",
     lowFrequency: "情緒淤積、反覆內耗，或用控制壓住眼淚與脆弱。",
-    alignment: "用水來清理：泡澡、洗臉、喝熱水。並允許自己說：我真的累了。"
+    alignment: [
+      "先照顧身體（喝水/洗澡/走路）；再寫 5 分鐘：我現在最想說的一句話是____。",
+      "用水來清理：泡澡、洗臉、喝熱水。並允許自己說：我真的累了。"
+    ]
   },
   "50": {
-    synchronicMessage: "光譜的白狗讓你釋放舊的愛的模式：愛不必用委屈換。今天把忠誠還給自己，關係才會更真。",
+    synchronicMessage: [
+      "今天要放下的是『用委屈換關係』。你可以溫柔，也可以堅定。你不是冷，你是在保護自己。",
+      "光譜的白狗讓你釋放舊的愛的模式：愛不必用委屈換。今天把忠誠還給自己，關係才會更真。"
+    ],
     highFrequency: "真誠、守護、心很軟但很穩，敢愛也敢說清楚。",
     lowFrequency: "討好、依附、害怕失去而過度付出。",
-    alignment: "練習一個新的愛的界線：『我願意…但我不再…』把自己放回愛的中心。"
+    alignment: [
+      "練一句界線句：我願意____，但我不再____。講完就停，不必解釋太多。",
+      "練習一個新的愛的界線：『我願意…但我不再…』把自己放回愛的中心。"
+    ]
+  },
+  "51": {
+    synchronicMessage: "今天很適合重新校準生活節奏。你可能覺得有點亂，但那只是提醒你該回到基本功。",
+    alignment: "把今天的作息拉回規律一點：固定吃飯時間、固定收工時間，先穩住再說。"
+  },
+  "52": {
+    synchronicMessage: "今天在提醒你別急著證明什麼。說清楚、說到位，比說得多重要。",
+    alignment: "講話前先想一句重點；其餘的如果不是必要，就先收起來。"
+  },
+  "53": {
+    synchronicMessage: "今天容易浮現對未來的想像。與其想很遠，不如先把腳下這一步走好。",
+    alignment: "替正在想的事加上一個『今天能做的版本』，做完就停。"
+  },
+  "54": {
+    synchronicMessage: "今天適合把事情整理成有形狀的樣子。模糊會消耗你，清楚會保護你。",
+    alignment: "把一件事寫成三行：要做什麼／做到哪／何時完成。"
+  },
+  "55": {
+    synchronicMessage: "今天身體的反應比想法更誠實。你累不累，其實一感覺就知道。",
+    alignment: "給身體一個確實的休息點：午睡、伸展或提早收工其一。"
+  },
+  "56": {
+    synchronicMessage: "今天很適合做取捨。不是什麼都要留，是留對的東西。",
+    alignment: "丟掉或關掉一個已經不再適合的選項。"
+  },
+  "57": {
+    synchronicMessage: "今天一完成小事，整體就會順起來。別小看這個效應。",
+    alignment: "先完成最簡單的一件，再回頭看其他事。"
+  },
+  "58": {
+    synchronicMessage: "今天在提醒你：舒服不是偷懶，是效率的一部分。",
+    alignment: "把環境調整到你真的坐得住、待得久的狀態。"
+  },
+  "59": {
+    synchronicMessage: "今天情緒來得快，但走得也快。別抓著它不放。",
+    alignment: "先處理身體狀態，再處理情緒內容。"
+  },
+  "60": {
+    synchronicMessage: "今天適合把心放回該放的位置。你不需要為所有人負責。",
+    alignment: "替自己保留一段不被打擾的時間。"
+  },
+  "61": {
+    synchronicMessage: "今天如果卡住，通常不是能力問題，而是方向需要微調。",
+    alignment: "停下來檢查：我現在做的，真的指向我要的嗎？"
+  },
+  "62": {
+    synchronicMessage: "今天很適合把話講白。曖昧只會拖慢進度。",
+    alignment: "用一句話把期待講清楚，不加情緒。"
+  },
+  "63": {
+    synchronicMessage: "今天會想很多，但真正有用的只有一小部分。",
+    alignment: "把所有想法寫下來，只留下最實際的一條。"
+  },
+  "64": {
+    synchronicMessage: "今天適合建立穩定的做事方式。固定，比靈感可靠。",
+    alignment: "替一件常做的事設一個固定流程。"
+  },
+  "65": {
+    synchronicMessage: "今天別忽略身體的界線。過頭的地方，通常不是長久之道。",
+    alignment: "在感覺快撐不住前，先停下來。"
+  },
+  "66": {
+    synchronicMessage: "今天的重點是平衡。太多或太少，都會失焦。",
+    alignment: "把行程刪掉一件，讓空間出現。"
+  },
+  "67": {
+    synchronicMessage: "今天做事容易做到一半就分心。回來就好，不用責怪自己。",
+    alignment: "一次只做一件事 25 分鐘。"
+  },
+  "68": {
+    synchronicMessage: "今天適合調整美感與秩序。亂會影響判斷。",
+    alignment: "整理桌面或數位空間 10 分鐘。"
+  },
+  "69": {
+    synchronicMessage: "今天感受會比較敏感，但那是訊號，不是問題。",
+    alignment: "用寫字或散步消化情緒，而不是壓住。"
+  },
+  "70": {
+    synchronicMessage: "今天適合把愛用在對的地方。不是每個人都需要你出力。",
+    alignment: "把注意力收回自己正在經營的關係。"
+  },
+  "71": {
+    synchronicMessage: "今天如果想笑，就讓自己笑。輕一點，事情反而好做。",
+    alignment: "用比較輕的方式處理一件壓力事。"
+  },
+  "72": {
+    synchronicMessage: "今天在練習為選擇負責。決定一旦下了，就往前走。",
+    alignment: "做完選擇後，停止反覆想如果。"
+  },
+  "73": {
+    synchronicMessage: "今天適合換個角度看事情。不是改目標，是改視角。",
+    alignment: "問自己：還有沒有另一種看法？"
+  },
+  "74": {
+    synchronicMessage: "今天適合靜下來。越安靜，越清楚。",
+    alignment: "安排一段沒有輸入的時間。"
+  },
+  "75": {
+    synchronicMessage: "今天適合把事情看遠一點。眼前的卡點不是全部。",
+    alignment: "寫下你希望半年後看到的狀態。"
+  },
+  "76": {
+    synchronicMessage: "今天很適合修正策略，而不是硬撐。",
+    alignment: "刪掉一個效果不好的做法。"
+  },
+  "77": {
+    synchronicMessage: "今天節奏放慢反而更準。急，會走歪。",
+    alignment: "走慢一點、說慢一點、做慢一點。"
+  },
+  "78": {
+    synchronicMessage: "今天適合把規則講清楚。清楚能保護關係。",
+    alignment: "把模糊的地方寫成具體條件。"
+  },
+  "79": {
+    synchronicMessage: "今天在做能量整理。舊的退場，新的才進得來。",
+    alignment: "清掉一個積很久的待辦。"
+  },
+  "80": {
+    synchronicMessage: "今天重點是穩定輸出，而不是爆發。",
+    alignment: "設定一個可長期維持的節奏。"
+  },
+  "81": {
+    synchronicMessage: "今天適合重新對齊生活重心。你不需要面面俱到。",
+    alignment: "把注意力拉回一件最重要的事。"
+  },
+  "82": {
+    synchronicMessage: "今天說清楚會省很多力氣。",
+    alignment: "直接問，不要猜。"
+  },
+  "83": {
+    synchronicMessage: "今天適合把夢想縮成可行版本。",
+    alignment: "替想做的事寫一個『簡化版』。"
+  },
+  "84": {
+    synchronicMessage: "今天適合建立清楚界線。",
+    alignment: "為時間或情緒設一條界線。"
+  },
+  "85": {
+    synchronicMessage: "今天身體狀態是關鍵指標。",
+    alignment: "優先照顧身體，再談效率。"
+  },
+  "86": {
+    synchronicMessage: "今天適合放下不再適合的角色。",
+    alignment: "對一件事說『到這裡就好』。"
+  },
+  "87": {
+    synchronicMessage: "今天完成感會帶來穩定。",
+    alignment: "把一件事做到真正完成。"
+  },
+  "88": {
+    synchronicMessage: "今天環境會影響心情。",
+    alignment: "調整光線、氣味或桌面。"
+  },
+  "89": {
+    synchronicMessage: "今天情緒來得自然，不用壓。",
+    alignment: "找一個安全的方式釋放。"
+  },
+  "90": {
+    synchronicMessage: "今天適合把關心留給真正重要的人。",
+    alignment: "主動聯絡一個你在乎的人。"
+  },
+  "91": {
+    synchronicMessage: "今天用輕鬆的方式處理，反而會更順。",
+    alignment: "不要一次解決全部，分段來。"
+  },
+  "92": {
+    synchronicMessage: "今天的選擇會影響接下來的走向。",
+    alignment: "選定後，就專心往前。"
+  },
+  "93": {
+    synchronicMessage: "今天適合打開新的可能。",
+    alignment: "試一個你平常不會選的方式。"
+  },
+  "94": {
+    synchronicMessage: "今天越在場，越有力量。",
+    alignment: "專心做一件事，不分心。"
+  },
+  "95": {
+    synchronicMessage: "今天適合拉高視角看全局。",
+    alignment: "列出真正重要的三件事。"
+  },
+  "96": {
+    synchronicMessage: "今天把事情修到剛剛好就好。",
+    alignment: "停止過度優化。"
+  },
+  "97": {
+    synchronicMessage: "今天慢一點，反而比較準。",
+    alignment: "把節奏放慢 10%。"
+  },
+  "98": {
+    synchronicMessage: "今天適合講清楚規則。",
+    alignment: "把約定寫下來。"
+  },
+  "99": {
+    synchronicMessage: "今天是更新前的整理期。",
+    alignment: "清掉舊資料或舊習慣一項。"
+  },
+  "100": {
+    synchronicMessage: "今天適合穩定地走，不用急著證明什麼。",
+    alignment: "照原本的節奏，把該做的做好。"
+  },
+  "101": {
+    synchronicMessage: "今天容易被外界拉著走，事情一多，內心反而有點空。這是在提醒你：別急著回應所有聲音。",
+    alignment: "把手機通知關掉 1 小時，只處理一件你真正想完成的事。"
+  },
+  "102": {
+    synchronicMessage: "今天可能會覺得有點卡，但不是做不好，而是方向需要微調。硬推只會更累。",
+    alignment: "停下來重看手上的任務，刪掉其中一個其實不必要的步驟。"
+  },
+  "103": {
+    synchronicMessage: "今天直覺很明顯，但容易被理性打斷。你心裡其實已經有答案了。",
+    alignment: "把第一個浮現的想法寫下來，照那個方向先做 10 分鐘。"
+  },
+  "104": {
+    synchronicMessage: "今天適合把事情說清楚，不用圓滑，也不用解釋太多。簡單反而省力。",
+    alignment: "用一句話把你的立場寫下來，必要時照著念就好。"
+  },
+  "105": {
+    synchronicMessage: "今天身體狀態會直接影響情緒，累的時候什麼都不想做是正常的。",
+    alignment: "補眠或早睡一次，把行程延後而不是硬撐。"
+  },
+  "106": {
+    synchronicMessage: "今天很適合做整理，不只是空間，也包括腦袋裡那些堆著沒處理的事。",
+    alignment: "列出待辦清單，直接刪掉其中三項不急的。"
+  },
+  "107": {
+    synchronicMessage: "今天完成一件小事，會讓整個人穩下來。不要等狀態好才動。",
+    alignment: "選一件 15 分鐘內能完成的事，現在就做完。"
+  },
+  "108": {
+    synchronicMessage: "今天對環境特別敏感，雜亂會放大煩躁，安靜會放大專注。",
+    alignment: "整理桌面或包包 10 分鐘，只留正在用的東西。"
+  },
+  "109": {
+    synchronicMessage: "今天情緒起伏可能有點快，但不用急著處理它。先讓它過去。",
+    alignment: "去走路 10 分鐘，不帶耳機，讓心慢慢靜下來。"
+  },
+  "110": {
+    synchronicMessage: "今天容易為別人的事操心，其實你不需要扛那麼多。",
+    alignment: "把注意力收回來，只處理跟你直接有關的一件事。"
+  },
+  "111": {
+    synchronicMessage: "今天事情如果覺得亂，通常是順序錯了，而不是能力不夠。",
+    alignment: "重新排一次優先順序，把最重要的放到最前面。"
+  },
+  "112": {
+    synchronicMessage: "今天適合把話講白，拖著不說反而會讓關係更緊繃。",
+    alignment: "寫一則簡短訊息，把重點說完就送出。"
+  },
+  "113": {
+    synchronicMessage: "今天腦袋轉得很快，但容易分散。抓住一個點就好。",
+    alignment: "關掉多餘分頁，只留正在用的一個畫面。"
+  },
+  "114": {
+    synchronicMessage: "今天需要一點安靜，外界太多聲音會讓你更迷惘。",
+    alignment: "安排 20 分鐘不輸入資訊的時間，不看訊息、不滑社群。"
+  },
+  "115": {
+    synchronicMessage: "今天看事情可以拉遠一點，眼前的煩躁不會一直存在。",
+    alignment: "寫下三個你希望一個月後看到的狀態。"
+  },
+  "116": {
+    synchronicMessage: "今天適合調整做事方式，而不是再加更多努力。",
+    alignment: "停用一個效果不好的方法，換一個更簡單的。"
+  },
+  "117": {
+    synchronicMessage: "今天放慢反而比較準，急只會讓判斷變模糊。",
+    alignment: "走路時刻意放慢速度，提醒自己不用趕。"
+  },
+  "118": {
+    synchronicMessage: "今天界線感很重要，太勉強自己會讓後面更難收。",
+    alignment: "拒絕一個你其實不想接的要求，用簡單理由就好。"
+  },
+  "119": {
+    synchronicMessage: "今天像是在清理舊狀態，心裡會想把一些事告一段落。",
+    alignment: "把一個拖很久的待辦正式標記為完成或取消。"
+  },
+  "120": {
+    synchronicMessage: "今天重點在穩定，不用追求突破，走穩就夠了。",
+    alignment: "照原本節奏完成該做的事，不額外加新目標。"
+  },
+  "121": {
+    synchronicMessage: "今天會想重新來過，其實不是推翻，而是修正。",
+    alignment: "替現在的計畫寫一個『修正版』，只改一個地方。"
+  },
+  "122": {
+    synchronicMessage: "今天溝通容易卡在情緒，不是對錯問題，是理解順序問題。",
+    alignment: "先確認對方在意什麼，再回應自己的想法。"
+  },
+  "123": {
+    synchronicMessage: "今天腦中靈感不少，但不一定都要馬上實現。",
+    alignment: "把想法記在備忘錄，選一個留到下週再看。"
+  },
+  "124": {
+    synchronicMessage: "今天適合建立清楚規則，模糊會讓你反覆內耗。",
+    alignment: "把一件反覆發生的事寫成固定流程。"
+  },
+  "125": {
+    synchronicMessage: "今天身體需要被顧到，不然情緒很難穩定。",
+    alignment: "吃一餐正常的飯，不邊做事邊吃。"
+  },
+  "126": {
+    synchronicMessage: "今天很適合放下一個已經不適合你的角色或期待。",
+    alignment: "對自己寫一句：這件事我做到這裡就好。"
+  },
+  "127": {
+    synchronicMessage: "今天完成感會帶來安全感，不用追求完美。",
+    alignment: "把一件事做到『夠好』就停手。"
+  },
+  "128": {
+    synchronicMessage: "今天對美感和舒適度特別敏感，亂會影響心情。",
+    alignment: "調整光線、換位置，讓工作環境更舒服。"
+  },
+  "129": {
+    synchronicMessage: "今天情緒容易被舊事勾起，那只是提醒你曾經走過。",
+    alignment: "把那件舊事寫下來，最後加一句：現在已經不一樣了。"
+  },
+  "130": {
+    synchronicMessage: "今天適合把注意力放回自己，不需要再比較或證明。",
+    alignment: "停止滑社群半天，把時間用在你正在培養的事上。"
+  },
+  "131": {
+    synchronicMessage: "今天容易被『應該』綁住，做什麼都像在交作業。你其實只是需要一點喘息，才聽得到自己。",
+    alignment: "把今天的一個「應該」改成「我選擇」：寫下來，並只做其中最小的一步。"
+  },
+  "132": {
+    synchronicMessage: "今天可能會對某個人或某件事特別在意，表面是情緒，底下其實是你在乎的價值。",
+    alignment: "寫下：我在意的是____；然後用一個具體動作保護它（拒絕/調整/說清楚）。"
+  },
+  "133": {
+    synchronicMessage: "今天的訊號是『別再撐』。你不是沒能力，是資源用光了，補回來就會順。",
+    alignment: "安排一個真正的停機：午休 20 分鐘或提早收工 1 小時，並把手機放遠。"
+  },
+  "134": {
+    synchronicMessage: "今天做事容易分岔，一下想做這個一下想做那個。不是你不專注，是你需要一個清楚的起點。",
+    alignment: "在紙上寫「我今天只完成____」並貼在看得到的地方；其他先不碰。"
+  },
+  "135": {
+    synchronicMessage: "今天很適合把混亂的資訊整理成自己的版本。你不需要全部懂，你需要抓到能用的重點。",
+    alignment: "把現在最亂的內容整理成 5 行筆記：重點/風險/下一步/需要誰/截止日。"
+  },
+  "136": {
+    synchronicMessage: "今天可能會感覺被拉扯：想前進又想保守。其實你只是在找一個更安全的走法。",
+    alignment: "把目標拆成兩段：先做一個低風險的小測試（10～20 分鐘），再決定要不要加碼。"
+  },
+  "137": {
+    synchronicMessage: "今天適合修補關係或合作的裂縫，不用講大道理，一個真誠的回應就夠了。",
+    alignment: "傳一則短訊息：「我剛剛想了想，我在意的是____，我願意____。」不超過三句。"
+  },
+  "138": {
+    synchronicMessage: "今天你會更敏感地察覺到哪些事在消耗你。這不是玻璃心，是你開始更懂得保護自己。",
+    alignment: "列出三個最耗你的來源（人/事/習慣），今天先處理其中一個：退一步、少接觸或設界線。"
+  },
+  "139": {
+    synchronicMessage: "今天像在清點內心的庫存：什麼還要留、什麼該放。你會比平常更想要俐落。",
+    alignment: "做一次小清倉：刪掉 20 張相片/5 個檔案/3 個分頁，或清空一個抽屜的角落。"
+  },
+  "140": {
+    synchronicMessage: "今天適合把步伐踩穩。你不需要加速，你需要讓自己走得久、走得舒服。",
+    alignment: "把今天的行程留出一段空白（至少 30 分鐘）；用來收尾、整理或休息。"
+  },
+  "141": {
+    synchronicMessage: "今天容易想把事情一次做到最好，但那會讓你遲遲不開始。先做出來，比做完美更重要。",
+    alignment: "用『先做草稿』模式開始：設定 15 分鐘，只求產出，不求漂亮。"
+  },
+  "142": {
+    synchronicMessage: "今天溝通的重點不是說服，是對齊。你講越多，可能越離題。",
+    alignment: "把要說的內容縮成兩點：我看到的現況＋我希望的下一步；講完就停。"
+  },
+  "143": {
+    synchronicMessage: "今天可能會冒出很多靈感或想法，但也容易被雜訊帶走。你需要一個收納盒。",
+    alignment: "開一個『想法清單』，把靈感全部丟進去；今天只挑一個去做。"
+  },
+  "144": {
+    synchronicMessage: "今天適合把生活重新排版。不是大改，是把幾個關鍵位置放對，你就會輕很多。",
+    alignment: "調整一個會每天用到的東西：桌面/行事曆/常用APP位置；讓它更順手。"
+  },
+  "145": {
+    synchronicMessage: "今天身體的疲憊會放大心理壓力。你不需要更堅強，你需要更好好過日子。",
+    alignment: "先做一個補能量行動：吃熱的/洗熱水澡/早睡；三選一，做完再處理其他事。"
+  },
+  "146": {
+    synchronicMessage: "今天適合把一段關係或一件事情『收乾淨』。拖著不處理，會一直佔著你的心。",
+    alignment: "把一件懸著的事做結案：回覆/道歉/說明/取消；選一個最簡短的方式完成。"
+  },
+  "147": {
+    synchronicMessage: "今天做事會更講求成果感。你越看得到進度，心就越安。",
+    alignment: "把任務切成三格進度：開始/做到一半/完成；每做到一格就打勾。"
+  },
+  "148": {
+    synchronicMessage: "今天適合讓自己待在舒服的狀態裡工作。你不必逼自己在不適合的環境硬撐。",
+    alignment: "換一個位置工作或整理座位；讓你坐下來不想逃就好。"
+  },
+  "149": {
+    synchronicMessage: "今天情緒可能會提醒你：有些話你忍很久了。不是要爆炸，是要更誠實。",
+    alignment: "先寫一封不寄出的訊息，把想說的寫完；再挑一句最重要的，改成能說出口的版本。"
+  },
+  "150": {
+    synchronicMessage: "今天適合把注意力放回自己的路。你不需要跟著別人的速度跑，你只要走得穩。",
+    alignment: "把今天的比較行為停掉：不看社群/不查別人進度 6 小時，專心完成你的一小步。"
+  },
+  "151": {
+    synchronicMessage: "今天的狀態像剛起床的腦：不差，但需要暖機。別逼自己立刻高效。",
+    alignment: "先做 10 分鐘低難度工作（收信/整理/回覆一封），讓節奏慢慢上來。"
+  },
+  "152": {
+    synchronicMessage: "今天容易被一句話刺到，其實是你在意的點被碰到了。這是線索，不是壞事。",
+    alignment: "把那句話寫下來，旁邊寫：它碰到我哪個需求？然後做一個補救動作（說清楚/改安排）。"
+  },
+  "153": {
+    synchronicMessage: "今天適合把想像落在手上。你不需要更多想法，你需要一個能落地的版本。",
+    alignment: "把想做的事寫成『今天完成的樣子』，越小越好；完成就關機。"
+  },
+  "154": {
+    synchronicMessage: "今天會想把事情做得很漂亮，但你可能在用漂亮逃避困難。先跨過那個點。",
+    alignment: "找出最難的一步，先做 5 分鐘；其餘美化等明天。"
+  },
+  "155": {
+    synchronicMessage: "今天身體很誠實：不舒服的，就別硬吞。你越尊重自己，越不會走歪。",
+    alignment: "做一次身體盤點：肩頸/胃/呼吸；針對最緊的地方做 3 分鐘放鬆。"
+  },
+  "156": {
+    synchronicMessage: "今天適合『清算』：把欠自己的、欠別人的，分清楚。分清楚就輕了。",
+    alignment: "列出三筆：我欠自己/我欠他人/他人欠我；今天只處理其中一筆。"
+  },
+  "157": {
+    synchronicMessage: "今天你一做完「那件小事」，整個人會回來。卡住多半是因為沒開始。",
+    alignment: "把待辦縮到只剩一個動作：開檔/打電話/走出去；做完就算開始。"
+  },
+  "158": {
+    synchronicMessage: "今天環境的噪音會直接影響心情。不是你脆弱，是你需要乾淨的場。",
+    alignment: "把視覺噪音降到最低：桌面清空、螢幕只留一個視窗；再開始工作。"
+  },
+  "159": {
+    synchronicMessage: "今天的情緒像潮水，來了就讓它走。你不必跟它辯論。",
+    alignment: "把感受用三個字寫下來（例如：悶、酸、緊）；然後做 10 次深呼吸。"
+  },
+  "160": {
+    synchronicMessage: "今天很容易把別人的期待當成自己的責任。其實你可以不接。",
+    alignment: "對一個請求先回：「我需要確認時間」；給自己 30 分鐘再決定要不要答應。"
+  },
+  "161": {
+    synchronicMessage: "今天像在重新排線：你想做的事不變，但路徑需要更順。",
+    alignment: "把流程畫成 4 步：輸入/處理/輸出/收尾；找出最卡的一步先修。"
+  },
+  "162": {
+    synchronicMessage: "今天講話若太客氣，反而容易讓事情拖。清楚一點，是善意。",
+    alignment: "把一句話改成具體請求：『請在__點前回覆/提供__』，不要加太多前言。"
+  },
+  "163": {
+    synchronicMessage: "今天靈感會跳很快，但你不需要全接。你需要挑一個最有用的。",
+    alignment: "把想到的點子列 5 個，圈出最能帶來成果的 1 個；今天只做它的第一步。"
+  },
+  "164": {
+    synchronicMessage: "今天適合把標準訂回『剛剛好』。太高，會拖；太低，會鬆散。",
+    alignment: "替一件事設定 30 分鐘完成版，時間到就交付，不再加碼。"
+  },
+  "165": {
+    synchronicMessage: "今天如果覺得煩，多半是累積的小事在吵。把一個小洞補起來就安靜。",
+    alignment: "修一個生活小洞：繳費/回訊/補貨/修理；選最煩的那個先做掉。"
+  },
+  "166": {
+    synchronicMessage: "今天很適合做交換：把多餘的拿掉，換回空間和心力。",
+    alignment: "從行事曆刪掉一個不必要的行程，或把一件事改成線上/簡化版。"
+  },
+  "167": {
+    synchronicMessage: "今天你可能會對自己不耐煩。其實你只是需要更小的步伐。",
+    alignment: "把目標拆成三段，每段只要 5 分鐘；完成一段就休息 2 分鐘。"
+  },
+  "168": {
+    synchronicMessage: "今天適合把『看起來很忙』改成『真的有進度』。重點是成果，不是忙。",
+    alignment: "挑一件能交付的東西：一封信/一頁筆記/一個檔案；做完就回報。"
+  },
+  "169": {
+    synchronicMessage: "今天情緒可能黏著舊畫面。它不是要你回去，是要你放下。",
+    alignment: "寫下那個舊畫面一句話，然後做一個切換：洗手/整理床/換衣服，讓身體先往前。"
+  },
+  "170": {
+    synchronicMessage: "今天很適合把溫柔用在自己身上。你不需要一直撐著才算厲害。",
+    alignment: "安排一個『不用表現』的時間 30 分鐘：躺著/散步/發呆，什麼都不必產出。"
+  },
+  "171": {
+    synchronicMessage: "今天的你需要一點輕鬆的空氣。太嚴肅會讓事情變重。",
+    alignment: "把一件工作用更輕鬆的方式做：用語音、用草稿、先丟初版出去。"
+  },
+  "172": {
+    synchronicMessage: "今天適合把權責講清楚。你扛太多，別人就學不會。",
+    alignment: "寫下：這件事我負責到哪裡；其餘誰負責；傳出去或留在筆記。"
+  },
+  "173": {
+    synchronicMessage: "今天想要改變，先別急著大改。小改更容易持續。",
+    alignment: "只改一個習慣：起床不滑手機 10 分鐘，或睡前收桌面 5 分鐘。"
+  },
+  "174": {
+    synchronicMessage: "今天最需要的是『停一下再說』。你的判斷在安靜後會更準。",
+    alignment: "做一個 3 分鐘暫停：離開螢幕、喝水、看窗外；回來再做決定。"
+  },
+  "175": {
+    synchronicMessage: "今天你會更清楚什麼值得。那些不值得的，會讓你心裡有聲音。",
+    alignment: "把「不值得」的那件事往後排一格，今天只做「值得」的第一步。"
+  },
+  "176": {
+    synchronicMessage: "今天適合把做事方式『變聰明』。不是更努力，是更省力。",
+    alignment: "找一個可以自動化/模板化的環節：複製上次格式、建立清單、存成快捷。"
+  },
+  "177": {
+    synchronicMessage: "今天慢不是退步，是在對準。你越對準，越不需要加速。",
+    alignment: "做一件事時把速度降下來：每 10 分鐘檢查一次方向，有偏就修。"
+  },
+  "178": {
+    synchronicMessage: "今天適合把規則立在前面，避免之後吵架。先說清楚，大家都省事。",
+    alignment: "把一條約定寫成一句：時間/費用/範圍；發給對方確認即可。"
+  },
+  "179": {
+    synchronicMessage: "今天像整理抽屜：會看到一些『早就不需要了』的東西。放掉它，你會更自由。",
+    alignment: "刪掉一個訂閱/群組/追蹤；或把一個不再用的App移出主畫面。"
+  },
+  "180": {
+    synchronicMessage: "今天適合把力量留在長線。短線的焦慮不用餵太多。",
+    alignment: "寫下你正在走的長線目標一句話；今天只做一個能累積的動作（學/存/整理）。"
+  },
+  "181": {
+    synchronicMessage: "今天很適合回到自己的中心點。外面的熱鬧不一定跟你有關。",
+    alignment: "把今天的社群/新聞輸入減半；用省下的時間整理一個重要檔案或筆記。"
+  },
+  "182": {
+    synchronicMessage: "今天溝通的關鍵是『先對齊詞』。同一句話，大家理解可能不同。",
+    alignment: "問一句確認：你說的____是指____嗎？確認後再往下談。"
+  },
+  "183": {
+    synchronicMessage: "今天會想做很多，但真正能改變你的，通常只有一件。",
+    alignment: "把清單縮到 1 件主事＋2 件小事；完成主事再處理小事。"
+  },
+  "184": {
+    synchronicMessage: "今天適合把模糊變成選項。選項一出現，壓力就會下降。",
+    alignment: "把卡住的事寫成 A/B 兩個方案，並各寫一個最小行動；先做其中一個。"
+  },
+  "185": {
+    synchronicMessage: "今天身體需要被聽見。你忽略它，它就會用情緒提醒你。",
+    alignment: "補一個基本：水＋蛋白質＋伸展；任選兩個做到。"
+  },
+  "186": {
+    synchronicMessage: "今天很適合說『到此為止』。不是放棄，是保護資源。",
+    alignment: "對一個耗能專案做結論：暫停/縮小/交接；把決定寫下來。"
+  },
+  "187": {
+    synchronicMessage: "今天你會更在意「做完」。因為做完會讓你覺得安全。",
+    alignment: "把一件事做成可交付：寄出、上傳、提交；完成後立刻關掉相關分頁。"
+  },
+  "188": {
+    synchronicMessage: "今天舒適感很重要。你待得住，才做得久。",
+    alignment: "把環境調整兩項：椅子高度/光線/香氣/溫度；調到你不想逃。"
+  },
+  "189": {
+    synchronicMessage: "今天容易被小情緒牽走，但它其實在提醒你：你需要更清楚地照顧自己。",
+    alignment: "用一句話照顧自己：我現在先做____；做完再處理其他人或其他事。"
+  },
+  "190": {
+    synchronicMessage: "今天的關心要用對方向。你一直付出不代表你更被愛。",
+    alignment: "把今天的一次付出改成一次請求：請對方幫你一件小事，練習讓愛流動。"
+  },
+  "191": {
+    synchronicMessage: "今天適合用更輕的方式看待失誤。失誤不是打臉，是校正。",
+    alignment: "把錯誤寫成一句修正：下次我會____；然後立刻調整一次就好。"
+  },
+  "192": {
+    synchronicMessage: "今天你可能會被選擇題追著跑。其實你可以先選一個暫時版。",
+    alignment: "做「暫定」決定：先選 A 試 3 天/3 次；時間到再評估。"
+  },
+  "193": {
+    synchronicMessage: "今天適合多看一眼你沒注意的角落。答案常躲在你覺得不重要的地方。",
+    alignment: "整理一個被忽略的地方：收件匣/未讀訊息/桌角；完成其中一處即可。"
+  },
+  "194": {
+    synchronicMessage: "今天越專注越省力。你一分心，時間就會被切碎。",
+    alignment: "設定 25 分鐘專注：關通知、戴耳塞或白噪音；只做一件事。"
+  },
+  "195": {
+    synchronicMessage: "今天把視野拉高，會發現很多煩惱其實是細節在吵。",
+    alignment: "寫下：這件事的核心目的是什麼？把不相關的細節先刪掉。"
+  },
+  "196": {
+    synchronicMessage: "今天適合把作品修到能見人。不是完美，是能使用。",
+    alignment: "選一份文件或內容，做一次『可發布』整理：標題/重點/下一步；就發出去。"
+  },
+  "197": {
+    synchronicMessage: "今天的節奏要慢一點才穩。你不是拖，是在避免走偏。",
+    alignment: "把今天的步調降一級：每做 1 小時休 10 分鐘；休息時不看社群。"
+  },
+  "198": {
+    synchronicMessage: "今天需要一條清楚邊界，不然你會被不必要的事綁住。",
+    alignment: "選一件事設規則：我只在__時間回覆；或我只做到__範圍。"
+  },
+  "199": {
+    synchronicMessage: "今天像在換季整理：不丟不行，但丟了會很爽。",
+    alignment: "丟掉/捐掉/回收一袋東西，或把一個資料夾刪到只剩必要檔案。"
+  },
+  "200": {
+    synchronicMessage: "今天適合把光放在你想成為的樣子上，而不是別人的速度。",
+    alignment: "寫下：我想成為____的人；今天做一個符合那個身份的小動作。"
+  },
+  "201": {
+    synchronicMessage: "今天像在重新上電，心裡會想『我其實也可以重新來』。可以的，但先從小開始。",
+    alignment: "選一個你想重啟的領域，寫下第一個最小動作，立刻做 10 分鐘。"
+  },
+  "202": {
+    synchronicMessage: "今天容易在溝通裡覺得「講了也沒用」。其實你需要換一種說法。",
+    alignment: "把抱怨改成請求：我需要你幫我____；請在__前做到____。"
+  },
+  "203": {
+    synchronicMessage: "今天你的直覺像指南針，但要配合行動才會指路。",
+    alignment: "把直覺變成行程：今天空出 30 分鐘，去做那個一直想做的事。"
+  },
+  "204": {
+    synchronicMessage: "今天適合把事情做出邊界。沒有邊界，就會一直被拖著走。",
+    alignment: "替一件事設定截止：今天__點前做到__；時間到就交付或停止。"
+  },
+  "205": {
+    synchronicMessage: "今天身體像在提醒：你不是沒力，是該補。補對了，心也會跟著穩。",
+    alignment: "補一個實際的：熱食＋水；或早睡 30 分鐘；做到其一。"
+  },
+  "206": {
+    synchronicMessage: "今天很適合做『放下』的練習。你不放，手就空不出來接新的。",
+    alignment: "關掉一個耗能窗口：退群/靜音/取消訂閱；做完就不要回頭看。"
+  },
+  "207": {
+    synchronicMessage: "今天一旦完成，你會對自己更有信任感。信任感是靠一次次交付長出來的。",
+    alignment: "完成一個小交付：回覆完所有待回訊息中的 3 則；或把一份文件定稿。"
+  },
+  "208": {
+    synchronicMessage: "今天適合把生活調得更有秩序感。秩序不是控制，是讓你安心。",
+    alignment: "做一個「歸位」：鑰匙/包包/充電線固定位置；每天只要放回去。"
+  },
+  "209": {
+    synchronicMessage: "今天情緒容易被擾動，但你可以不用跟著跑。你可以選擇穩。",
+    alignment: "先做一個穩定動作：泡茶/洗碗/整理床；讓手忙，心就會靜。"
+  },
+  "210": {
+    synchronicMessage: "今天適合把愛說得更具體。你不說清楚，對方也猜不到。",
+    alignment: "用一句具體稱讚或感謝：謝謝你做了____，我感到____；講完就好。"
+  },
+  "211": {
+    synchronicMessage: "今天需要一點玩心來鬆開你。太緊就會卡，鬆一點反而更能前進。",
+    alignment: "做 15 分鐘的「無用但開心」：聽歌/畫畫/走路；結束後再回到工作。"
+  },
+  "212": {
+    synchronicMessage: "今天你會更想掌握。掌握不是控制別人，是把自己放回方向盤。",
+    alignment: "把今天的三件事寫成：我能控制的/我能影響的/我放手的；照表做。"
+  },
+  "213": {
+    synchronicMessage: "今天很適合打開一扇小門。你不用大翻盤，只要讓新可能進來。",
+    alignment: "做一個新嘗試：換一個工具/問一個人/試一個流程；只要一次就好。"
+  },
+  "214": {
+    synchronicMessage: "今天越安靜，越聽得到自己。你其實知道要怎麼做，只是太吵。",
+    alignment: "安排 30 分鐘「完全不被打擾」：關門/耳塞/勿擾；只做一件事。"
+  },
+  "215": {
+    synchronicMessage: "今天適合把眼光放在長期。短期的起伏，別太快下結論。",
+    alignment: "寫下你正在累積的三件事（健康/技能/關係）；今天各做 5 分鐘。"
+  },
+  "216": {
+    synchronicMessage: "今天適合做一次修正，不用解釋太多。做了，就會看到差。",
+    alignment: "挑一個常出錯的地方，做一個防呆：提醒/清單/模板；今天就加上去。"
+  },
+  "217": {
+    synchronicMessage: "今天慢一點會更有效。你越急，越容易回頭補洞。",
+    alignment: "把工作切成兩輪：第一輪做完不修改；第二輪再修；不要邊做邊改。"
+  },
+  "218": {
+    synchronicMessage: "今天適合把邊界放在前面。你清楚了，別人才會跟著清楚。",
+    alignment: "練一句短句：我可以____，但我不會____；必要時直接用這句回應。"
+  },
+  "219": {
+    synchronicMessage: "今天像在大掃除前的雜亂期。別怕亂，那是整理正在發生。",
+    alignment: "把一個區域先清出『空白面』：桌面一半、地上一塊；先做到空就好。"
+  },
+  "220": {
+    synchronicMessage: "今天適合穩穩地做，不用追求被看見。你自己知道就夠。",
+    alignment: "把一件事做完但不分享：安靜完成、安靜收尾；給自己一個小獎勵。"
+  },
+  "221": {
+    synchronicMessage: "今天像在重新對齊方向：你會更敏銳地知道什麼不適合。這是進步。",
+    alignment: "把不適合的那件事做「減法」：縮小範圍/減少頻率/延後；選一種。"
+  },
+  "222": {
+    synchronicMessage: "今天說話若太多，容易走偏。你其實只需要一句清楚的話。",
+    alignment: "把你要說的先寫下來，再刪到只剩一半；用精簡版發出。"
+  },
+  "223": {
+    synchronicMessage: "今天適合把想做的事收進計畫裡，而不是放在腦袋裡。腦袋放著只會焦。",
+    alignment: "把一件想做的事排進日曆：哪天、幾點、多久；排了就算前進。"
+  },
+  "224": {
+    synchronicMessage: "今天適合把模糊的關係或合作條件整理一下。不是多疑，是保護彼此。",
+    alignment: "把合作寫成三點：做什麼/誰做/何時交；傳出去確認。"
+  },
+  "225": {
+    synchronicMessage: "今天如果覺得疲憊，別硬撐成效率。疲憊不是弱，是訊號。",
+    alignment: "做一個恢復：午睡 15 分鐘或泡熱水；讓身體先回到能運作的狀態。"
+  },
+  "226": {
+    synchronicMessage: "今天適合把舊承諾整理一下。你不必繼續扛那些已經過期的。",
+    alignment: "翻一次你的待辦/承諾清單，挑 1 件做撤回：取消、改期或交接。"
+  },
+  "227": {
+    synchronicMessage: "今天完成會比完美更重要。你越早交付，越早得到回饋。",
+    alignment: "把一件事情做成「可交付版」：先寄出/先上線/先發給一個人看。"
+  },
+  "228": {
+    synchronicMessage: "今天適合把生活弄得更好用。好用，就是最實際的美。",
+    alignment: "優化一個日常流程：把常用物放一起、建立資料夾、做快捷；只要一項。"
+  },
+  "229": {
+    synchronicMessage: "今天情緒若來，不要急著解釋人生。它可能只是累了、餓了、太吵了。",
+    alignment: "先做三選一：吃點東西/喝水/關掉聲音；再決定要不要處理事情。"
+  },
+  "230": {
+    synchronicMessage: "今天你會更想要安全感。安全感不是靠別人保證，是靠你自己有選擇。",
+    alignment: "做一個備案：把最擔心的事寫下來，旁邊寫「如果發生，我可以____」三條。"
+  },
+  "231": {
+    synchronicMessage: "今天適合用輕鬆的方式重啟你自己。你不用硬撐，換個節奏就行。",
+    alignment: "把今天最重的一件事改成「先做 10 分鐘」；做完就休息 5 分鐘再決定下一步。"
+  },
+  "232": {
+    synchronicMessage: "今天適合把選擇做乾淨。拖著不選，會一直耗電。",
+    alignment: "對一件卡住的事做二選一：做/不做；然後立刻採取對應動作（開始或刪除）。"
+  },
+  "233": {
+    synchronicMessage: "今天很適合留意你被什麼吸引。被吸引的地方，常有你需要的答案。",
+    alignment: "記下今天讓你心動的一件事，並安排一個實際接觸：查資料 10 分鐘或約個人聊聊。"
+  },
+  "234": {
+    synchronicMessage: "今天越在場越順。你只要回到『此刻這一步』，焦慮會小很多。",
+    alignment: "做一個當下練習：把注意力放在呼吸 1 分鐘；然後立刻做眼前最小的一步。"
+  },
+  "235": {
+    synchronicMessage: "今天適合把眼睛放在更大的畫面。你不是卡住，你是在調整方向。",
+    alignment: "把目前的事寫成一句目的句：我做這個是為了____；不符合就改做法。"
+  },
+  "236": {
+    synchronicMessage: "今天適合把事情修到能跑就好。先能跑，才有機會越跑越順。",
+    alignment: "替一個流程做最小修正：補一條說明/改一個順序/少一個步驟；立刻測一次。"
+  },
+  "237": {
+    synchronicMessage: "今天慢一點反而能避開錯誤。你不是慢，你是在省回頭路。",
+    alignment: "做事前先做 30 秒檢查：目標是什麼？下一步是什麼？確認後再開始。"
+  },
+  "238": {
+    synchronicMessage: "今天適合把界線放在心裡也放在嘴上。你不說，別人不會懂。",
+    alignment: "把你不想再承擔的那件事說清楚一次：我最多做到____；超過就不接。"
+  },
+  "239": {
+    synchronicMessage: "今天像在換氣：你會想把一些東西丟掉、清掉、結束掉。順著做就對了。",
+    alignment: "清掉一個看不見的負擔：退訂郵件、清空垃圾桶、整理下載資料夾；選一個完成。"
+  },
+  "240": {
+    synchronicMessage: "今天適合用穩定的方式愛自己：不誇張，不放縱，剛剛好。",
+    alignment: "替自己做一個固定照顧：固定喝水提醒、固定散步時間、固定早睡日；先選一個開始。"
+  },
+  "241": {
+    synchronicMessage: "今天你會更想把事情做對。把『做對』換成『做完』，壓力會小很多。",
+    alignment: "把一件事設定成 70 分完成版，時間到就交付；剩下 30 分明天再說。"
+  },
+  "242": {
+    synchronicMessage: "今天適合用清楚的話把誤會拆開。不是吵架，是校正。",
+    alignment: "先寫一句澄清：我剛剛的意思是____；我希望接下來____；用這句去溝通。"
+  },
+  "243": {
+    synchronicMessage: "今天容易想衝，但真正有效的是把衝動變成安排。",
+    alignment: "把你想做的事安排進兩個時段：今天 30 分鐘＋明天 30 分鐘；照表做。"
+  },
+  "244": {
+    synchronicMessage: "今天適合把規則做成你自己也能遵守的版本。太硬你會反彈。",
+    alignment: "把一個自我要求減半：原本 60 分鐘改 30 分鐘；能做到才算好規則。"
+  },
+  "245": {
+    synchronicMessage: "今天身體的電量就是你的真實進度。電量低，就先充。",
+    alignment: "做一個快速充電：曬太陽 10 分鐘或走路 15 分鐘；回來再做重要事。"
+  },
+  "246": {
+    synchronicMessage: "今天很適合把拖很久的事做個了斷。你不需要完美句子，你需要結束。",
+    alignment: "把那件拖很久的事用最短方式結案：回一句、交一份、退一步；完成就好。"
+  },
+  "247": {
+    synchronicMessage: "今天的你很適合做出成果感。成果感會讓你安心，也會讓人信任你。",
+    alignment: "做一個可見成果：整理出一份清單、完成一頁內容、交付一個檔案；交出去。"
+  },
+  "248": {
+    synchronicMessage: "今天適合把生活調到更舒服的節奏。舒服不是放縱，是能走得久。",
+    alignment: "把今天的一個流程變舒服：提早準備、減少切換、把工具放手邊；選一個做。"
+  },
+  "249": {
+    synchronicMessage: "今天情緒如果黏住，多半是你需要被理解。先理解自己。",
+    alignment: "寫三句自我理解：我其實在意____；我害怕____；我需要____；寫完再決定要不要說給人聽。"
+  },
+  "250": {
+    synchronicMessage: "今天適合把心放回你真正珍惜的人事物。你把心放對地方，就不會那麼亂。",
+    alignment: "把今天的一段時間留給最重要的一件事或一個人：30 分鐘不被打擾地陪伴或投入。"
+  },
+  "251": {
+    synchronicMessage: "今天像在整理新一輪的起點。你不需要大張旗鼓，你只要穩穩地開始。",
+    alignment: "做一個新起點動作：建立新資料夾/新筆記/新清單；然後填第一行。"
+  },
+  "252": {
+    synchronicMessage: "今天容易因為溝通而心累。你其實不是不會說，是你需要更簡潔。",
+    alignment: "把要說的濃縮成一句：我需要____；我不需要____；傳出去即可。"
+  },
+  "253": {
+    synchronicMessage: "今天適合把想像落地。落地不是把夢縮小，是把路鋪出來。",
+    alignment: "把目標拆成三個里程碑，並替第一個里程碑排一個日期。"
+  },
+  "254": {
+    synchronicMessage: "今天適合把事情變清楚、變簡單。清楚會讓你更有底氣。",
+    alignment: "把一件事寫成三句：現況是____／我想要____／下一步是____；照著做。"
+  },
+  "255": {
+    synchronicMessage: "今天身體需要被溫柔對待。你越溫柔，越能恢復。",
+    alignment: "做一個溫柔的照顧：熱敷/泡腳/伸展 5 分鐘；做完再回到工作。"
+  },
+  "256": {
+    synchronicMessage: "今天很適合放下一個舊包袱。你不放，它會一直跟著你走。",
+    alignment: "選一個你一直在忍的事，做一次結束：說清楚、退出、或停止投入。"
+  },
+  "257": {
+    synchronicMessage: "今天做完一件事，你會更相信自己。那種相信很安靜，但很強。",
+    alignment: "完成一個你一直拖的小任務（15 分鐘內）；完成後立刻記一行：我做到了____。"
+  },
+  "258": {
+    synchronicMessage: "今天適合把生活整理成更有秩序、更好呼吸的樣子。你會感覺心變大了。",
+    alignment: "整理一個『常被你看到』的地方：桌面/床頭/玄關；讓它看起來乾淨。"
+  },
+  "259": {
+    synchronicMessage: "今天情緒可能會提醒你：你其實很努力了。別再用苛刻的方式對自己。",
+    alignment: "對自己說一句中肯的話：我已經做到____；然後做一件獎勵（小點心/早睡/散步）。"
+  },
+  "260": {
+    synchronicMessage: "今天像一個完整的收束。你不需要再追趕什麼，只要把自己放回當下，就很圓滿。",
+    alignment: "做一個收束儀式：清空桌面 5 分鐘＋寫下今天最重要的收穫一句話；然後準時收工。"
   }
 };
 
@@ -0,0 +1,275 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  calculateKin,
+  getYearConstant,
+  yearConstants,
+  findDatesForKin,
+  toMoonDate,
+  fromMoonDate,
+  getOracle,
+  KinError,
+  toDateParts,
+  iterateKins,
+  getKinTable,
+  formatKinTable,
+  getKinStructure,
+  gapKins,
+  getBirthdayTimeline
+} = require('../kin-calculator.js');
+
+// 閏年：2/29 為 Hunab Ku、不佔用 Kin，3/1 緊接 2/28
+const LEAP_FIXTURES = [
+  [2016, 2, 28, 71],
+  [2016, 3, 1, 72],
+  [2016, 7, 26, 219],
+  [2016, 12, 31, 117],
+  [2017, 1, 1, 118],
+  [2024, 2, 28, 131],
+  [2024, 3, 1, 132],
+  [2024, 3, 15, 146],
+  [2024, 7, 26, 19]
+];
+
+test('年份常數推算與講義數據一致', () => {
+  for (const year of Object.keys(yearConstants)) {
+    assert.equal(getYearConstant(Number(year)), yearConstants[year], year);
+  }
+});
+
+test('閏年前後的 Kin 不額外加 1', () => {
+  for (const [year, month, day, kin] of LEAP_FIXTURES) {
+    assert.equal(calculateKin(year, month, day).kin, kin, `${year}/${month}/${day}`);
+  }
+});
+
+test('2/29 為 Hunab Ku', () => {
+  const result = calculateKin(2024, 2, 29);
+  assert.equal(result.kin, null);
+  assert.equal(result.isHunabKu, true);
+});
+
+test('跨年與跨過 2/29 時 Kin 逐日加 1', () => {
+  let previous = null;
+  for (let time = Date.UTC(2015, 0, 1); time <= Date.UTC(2025, 11, 31); time += 24 * 60 * 60 * 1000) {
+    const date = new Date(time);
+    const result = calculateKin(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    if (result.isHunabKu) {
+      continue;
+    }
+    if (previous !== null) {
+      assert.equal(result.kin, (previous % 260) + 1, date.toISOString());
+    }
+    previous = result.kin;
+  }
+});
+
+test('findDatesForKin 找出區間內的每一個日期', () => {
+  const dates = findDatesForKin(74, { from: '2026-01-01', to: '2026-12-31' });
+  assert.deepEqual(dates.map((record) => record.date), ['2026-02-21', '2026-11-08']);
+});
+
+test('findDatesForKin 從 2/29 起算時預設區間不會出錯', () => {
+  const dates = findDatesForKin(72, { from: '2016-02-29' });
+  assert.deepEqual(dates.map((record) => record.date), ['2016-03-01', '2016-11-16']);
+});
+
+test('Kin 與 13 月亮曆日期同步前進', () => {
+  // 同一個 13 月亮年內，Kin 距磁性之月第 1 天（7/26）的天數 = 月亮曆的第幾天
+  for (let time = Date.UTC(2015, 6, 26); time <= Date.UTC(2025, 6, 25); time += 24 * 60 * 60 * 1000) {
+    const date = new Date(time);
+    const result = calculateKin(date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate());
+    if (result.isHunabKu) {
+      continue;
+    }
+    const moonDate = result.moonDate;
+    const dayIndex = moonDate.isDayOutOfTime ? 13 * 28 : (moonDate.moon - 1) * 28 + (moonDate.day - 1);
+    const start = calculateKin(moonDate.year, 7, 26).kin;
+    assert.equal((result.kin - start + 260) % 260, dayIndex % 260, date.toISOString());
+  }
+  assert.equal(toMoonDate(2016, 3, 1).day, toMoonDate(2016, 2, 28).day + 1);
+});
+
+test('fromMoonDate 與 toMoonDate 互為反函數', () => {
+  assert.deepEqual(fromMoonDate({ year: 2025, moon: 6, day: 25 }), { year: 2026, month: 1, day: 6 });
+  assert.deepEqual(fromMoonDate({ year: 2025, isDayOutOfTime: true }), { year: 2026, month: 7, day: 25 });
+  assert.deepEqual(fromMoonDate({ year: 2015, moon: 8, day: 23 }), { year: 2016, month: 3, day: 1 });
+  assert.throws(() => fromMoonDate({ year: '2025', moon: 1, day: 1 }), { code: 'INVALID_YEAR' });
+  assert.throws(() => fromMoonDate({ year: 2025.5, moon: 1, day: 1 }), { code: 'INVALID_YEAR' });
+  assert.throws(() => fromMoonDate({ year: 1200, moon: 1, day: 1 }), { code: 'UNSUPPORTED_YEAR' });
+  assert.throws(() => fromMoonDate({ year: 9999, moon: 13, day: 28 }), { code: 'UNSUPPORTED_YEAR' });
+  assert.throws(() => fromMoonDate({ year: 2025, moon: 14, day: 1 }), { code: 'INVALID_MOON_DATE' });
+});
+
+function oracleKins(kin) {
+  const oracle = getOracle(kin);
+  return ['destiny', 'guide', 'analog', 'antipode', 'occult'].map((role) => oracle[role].kin);
+}
+
+test('第五力神諭：循環的頭尾 KIN 1 與 KIN 260', () => {
+  assert.deepEqual(oracleKins(1), [1, 1, 118, 131, 260]);
+  assert.deepEqual(oracleKins(74), [74, 230, 165, 204, 187]);
+  assert.deepEqual(oracleKins(260), [260, 104, 39, 130, 1]);
+});
+
+test('第五力神諭的類比、對立、隱藏互為對方', () => {
+  for (let kin = 1; kin <= 260; kin++) {
+    const { destiny, guide, analog, antipode, occult } = getOracle(kin);
+    assert.equal(guide.toneNumber, destiny.toneNumber, `KIN ${kin}`);
+    assert.equal(getOracle(analog.kin).analog.kin, kin, `KIN ${kin}`);
+    assert.equal(getOracle(antipode.kin).antipode.kin, kin, `KIN ${kin}`);
+    assert.equal(occult.toneNumber + destiny.toneNumber, 14, `KIN ${kin}`);
+    assert.equal(getOracle(occult.kin).occult.kin, kin, `KIN ${kin}`);
+  }
+});
+
+test('Hunab Ku 沒有神諭', () => {
+  assert.equal(calculateKin(2024, 2, 29).kin, null);
+  assert.throws(() => getOracle(null), { code: 'INVALID_KIN' });
+  assert.throws(() => getOracle(0), { code: 'INVALID_KIN' });
+  assert.throws(() => getOracle(261), { code: 'INVALID_KIN' });
+});
+
+test('ES module 入口與 UMD 腳本匯出同一份函式', async () => {
+  const KinCalculator = require('../kin-calculator.js');
+  const esm = await import('../kin-calculator.mjs');
+  assert.equal(esm.default, KinCalculator);
+  for (const [name, value] of Object.entries(esm)) {
+    assert.notEqual(value, undefined, name);
+  }
+  assert.equal(esm.calculateKin, KinCalculator.calculateKin);
+  assert.equal(esm.getOracle(74).guide.kin, 230);
+});
+
+test('不存在的日期拋出帶錯誤代碼的 KinError', () => {
+  const cases = [
+    [[2025.5, 1, 1], 'INVALID_YEAR'],
+    [[1200, 1, 1], 'UNSUPPORTED_YEAR'],
+    [[2026, 13, 1], 'INVALID_MONTH'],
+    [[2026, 4, 31], 'INVALID_DAY'],
+    [[2026, 2, 29], 'NOT_LEAP_YEAR'],
+    [[1900, 2, 29], 'NOT_LEAP_YEAR']
+  ];
+  for (const [args, code] of cases) {
+    assert.throws(() => calculateKin(...args), (error) => error instanceof KinError && error.code === code, args.join('/'));
+  }
+  assert.equal(calculateKin(2000, 2, 29).isHunabKu, true);
+  assert.throws(() => findDatesForKin(74, { from: '2026-1-1' }), { code: 'INVALID_DATE' });
+});
+
+test('Date 與帶時間的 ISO 字串依時區換算成當地的日曆日', () => {
+  assert.equal(calculateKin('2024-03-01').kin, 132);
+  assert.equal(calculateKin('2024-02-29T20:00:00Z', { timeZone: 'Asia/Taipei' }).kin, 132);
+  assert.equal(calculateKin('2024-02-29T20:00:00Z', { timeZone: 'America/Los_Angeles' }).isHunabKu, true);
+  assert.deepEqual(toDateParts(new Date('2026-01-06T20:00:00Z'), 'Asia/Taipei'), { year: 2026, month: 1, day: 7 });
+  assert.throws(() => calculateKin(new Date(), { timeZone: 'Mars/Base' }), { code: 'INVALID_TIME_ZONE' });
+});
+
+test('古典馬雅曆以 GMT 584283 連續計日', () => {
+  const endOfCycle = calculateKin(2012, 12, 21, { system: 'both' });
+  assert.equal(endOfCycle.kin, 207);
+  assert.equal(endOfCycle.maya.kin, 160);
+  assert.equal(endOfCycle.maya.mayaName, '4 Ajaw');
+  assert.equal(endOfCycle.maya.julianDay, 2456283);
+  assert.equal(calculateKin(2026, 1, 6, { system: 'maya' }).mayaName, "10 K'an");
+
+  // 儒略日 584283 = 4 Ajaw（KIN 160），2/29 也照常計日
+  for (let day = 27; day <= 31; day++) {
+    const [month, date] = day <= 29 ? [2, day] : [3, day - 29];
+    const maya = calculateKin(2024, month, date, { system: 'maya' });
+    assert.equal(maya.kin, ((159 + maya.julianDay - 584283) % 260) + 1, `2024/${month}/${date}`);
+    assert.equal(maya.system, 'maya');
+  }
+  assert.equal(calculateKin(2024, 2, 29, { system: 'maya' }).kin, 87);
+  assert.throws(() => calculateKin(2026, 1, 6, { system: 'aztec' }), { code: 'INVALID_SYSTEM' });
+});
+
+test('iterateKins 逐日產生紀錄，2/29 為 Hunab Ku', () => {
+  const records = [...iterateKins({ from: '2024-02-28', to: '2024-03-01' })];
+  assert.deepEqual(records.map((record) => [record.date, record.kin]), [
+    ['2024-02-28', 131],
+    ['2024-02-29', null],
+    ['2024-03-01', 132]
+  ]);
+  assert.equal(records[1].isHunabKu, true);
+  assert.equal([...iterateKins({ from: '2024-03-01', to: '2024-02-28' })].length, 0);
+});
+
+test('getKinTable 整年與指定天數的對照表跨過 2/29', () => {
+  const leapYear = getKinTable({ year: 2024 });
+  assert.equal(leapYear.length, 366);
+  assert.deepEqual(leapYear.filter((row) => row.isHunabKu).map((row) => row.date), ['2024-02-29']);
+  assert.equal(getKinTable({ year: 2026 }).length, 365);
+
+  const table = getKinTable({ from: '2024-02-27', days: 4 });
+  assert.deepEqual(table.map((row) => row.date), ['2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01']);
+  assert.equal(formatKinTable(table, 'csv').split('\n')[3], '2024-02-29,-,Hunab Ku,Hunab Ku');
+  assert.throws(() => getKinTable({ days: 0 }), { code: 'INVALID_RANGE' });
+  assert.throws(() => formatKinTable(table, 'xlsx'), { code: 'INVALID_RANGE' });
+});
+
+test('卓爾金結構：城堡、家族、和聲、色度與銀河啟動之門', () => {
+  const structure = getKinStructure(74);
+  assert.equal(structure.castle.number, 2);
+  assert.equal(structure.castle.name, '白色北方跨越城堡');
+  assert.equal(structure.earthFamily.id, 'gateway');
+  assert.equal(structure.colorFamily.id, 'truth');
+  assert.equal(structure.harmonic, 19);
+  assert.deepEqual(structure.chromatic, { number: 15, color: 'blue' });
+  assert.equal(structure.isGAP, false);
+  assert.equal(structure.isMysticColumn, false);
+
+  assert.equal(getKinStructure(260).castle.number, 5);
+  assert.equal(getKinStructure(260).harmonic, 65);
+  assert.equal(getKinStructure(121).isMysticColumn, true);
+  assert.equal(getKinStructure(140).isMysticColumn, true);
+  assert.equal(getKinStructure(141).isMysticColumn, false);
+
+  // 52 個銀河啟動之門以 KIN 261 為軸對稱
+  assert.equal(gapKins.length, 52);
+  for (const kin of gapKins) {
+    assert.ok(gapKins.includes(261 - kin), `KIN ${kin}`);
+    assert.equal(getKinStructure(kin).isGAP, true, `KIN ${kin}`);
+  }
+
+  assert.equal(calculateKin(2024, 2, 29).castle, null);
+  assert.equal(calculateKin(2026, 2, 21).harmonic, 19);
+});
+
+test('formatDate 與 addDays 以日曆日計算', () => {
+  const { formatDate, addDays } = require('../kin-calculator.js');
+  assert.equal(formatDate({ year: 2024, month: 2, day: 9 }), '2024-02-09');
+  assert.deepEqual(addDays({ year: 2024, month: 2, day: 28 }, 1), { year: 2024, month: 2, day: 29 });
+  assert.deepEqual(addDays({ year: 2024, month: 3, day: 1 }, -2), { year: 2024, month: 2, day: 28 });
+  assert.deepEqual(addDays({ year: 2026, month: 12, day: 31 }, 1), { year: 2027, month: 1, day: 1 });
+});
+
+test('生日年表以最近一次生日為目前的個人年度', () => {
+  const timeline = getBirthdayTimeline('1985-03-14', { past: 1, future: 1, from: '2026-10-18' });
+  assert.deepEqual(timeline.map((record) => [record.age, record.date, record.kin, record.moonYear, record.isCurrent]), [
+    [40, '2025-03-14', 250, '2024-2025', false],
+    [41, '2026-03-14', 95, '2025-2026', true],
+    [42, '2027-03-14', 200, '2026-2027', false]
+  ]);
+  // 生日還沒到時，目前的個人年度是去年
+  const beforeBirthday = getBirthdayTimeline('1985-03-14', { past: 0, future: 0, from: '2026-03-13' });
+  assert.equal(beforeBirthday[0].date, '2025-03-14');
+  // 不會早於出生那一年
+  assert.equal(getBirthdayTimeline('2024-01-01', { past: 5, future: 0, from: '2026-10-18' })[0].age, 0);
+});
+
+test('2/29 出生的生日年表：平年記為 2/28，每年都用 2/28 的 Kin', () => {
+  const timeline = getBirthdayTimeline('2000-02-29', { past: 2, future: 1, from: '2026-10-18' });
+  assert.deepEqual(timeline.map((record) => [record.date, record.kin]), [
+    ['2024-02-29', 131],
+    ['2025-02-28', 236],
+    ['2026-02-28', 81],
+    ['2027-02-28', 186]
+  ]);
+  assert.equal(timeline[0].kin, calculateKin(2024, 2, 28).kin);
+  assert.throws(() => getBirthdayTimeline('2001-02-29'), { code: 'NOT_LEAP_YEAR' });
+  assert.throws(() => getBirthdayTimeline('1985-03-14', { past: -1 }), { code: 'INVALID_RANGE' });
+});
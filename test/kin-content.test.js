@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+
+const {
+  compactVariants,
+  parseContentSource,
+  formatContentSource,
+  formatRedBrainScript,
+  diffMessages,
+  createMessagePatch,
+  applyMessagePatch,
+  contentErrorCodes
+} = require('../kin-content.js');
+const { errorCodes } = require('../kin-calculator.js');
+const RED_BRAIN_DATA = require('../red-room/red-brain.js');
+
+test('compactVariants：沒有為 null、一則為字串、多則為陣列', () => {
+  assert.equal(compactVariants([]), null);
+  assert.equal(compactVariants(['一則']), '一則');
+  assert.deepEqual(compactVariants(['一則', '兩則']), ['一則', '兩則']);
+});
+
+test('原稿以空行分隔變體，同一段的多行直接接起來', () => {
+  const source = [
+    '---',
+    'wavespell: 1',
+    '---',
+    '',
+    '## KIN 1 磁性的紅龍',
+    '',
+    '### 能量感應',
+    '第一則',
+    '接在同一段。',
+    '',
+    '第二則。',
+    '',
+    '### 高頻展現',
+    ''
+  ].join('\n');
+  const { messages, errors } = parseContentSource(source);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(messages[1], { synchronicMessage: ['第一則接在同一段。', '第二則。'] });
+});
+
+test('原稿格式錯誤附上行號', () => {
+  const { errors } = parseContentSource('---\nwavespell: 1\n---\n\n## KIN 14\n');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].line, 5);
+});
+
+test('每個波符的原稿來回轉換後內容不變', () => {
+  for (let wavespell = 1; wavespell <= 20; wavespell++) {
+    const { messages, errors } = parseContentSource(formatContentSource(wavespell, RED_BRAIN_DATA));
+    assert.deepEqual(errors, [], `波符 ${wavespell}`);
+    assert.deepEqual(diffMessages(RED_BRAIN_DATA, messages).filter((change) => Math.ceil(change.kin / 13) === wavespell), []);
+  }
+});
+
+test('產生的 red-brain.js 在瀏覽器與 Node 都能載入', () => {
+  const script = formatRedBrainScript(RED_BRAIN_DATA);
+
+  const browser = { window: {} };
+  browser.self = browser.window;
+  vm.runInNewContext(script, browser);
+  // 沙箱裡的陣列來自另一個 realm，以 JSON 比較內容
+  assert.equal(JSON.stringify(browser.window.RED_BRAIN_DATA[1]), JSON.stringify(RED_BRAIN_DATA[1]));
+
+  const node = { module: { exports: {} } };
+  vm.runInNewContext(script, node);
+  assert.equal(Object.keys(node.module.exports).length, 260);
+});
+
+test('diffMessages 把變體陣列當成一個值比較', () => {
+  const changes = diffMessages({ 1: { alignment: '原文。' } }, { 1: { alignment: ['原文。', '新的一則。'] } });
+  assert.deepEqual(changes, [{ kin: 1, field: 'alignment', type: 'changed', before: '原文。', after: ['原文。', '新的一則。'] }]);
+});
+
+test('JSON patch 來回套用，變體陣列整個取代', () => {
+  const before = { 1: { synchronicMessage: '原文。', alignment: '刪掉。' } };
+  const after = { 1: { synchronicMessage: ['原文。', '第二則。'] }, 2: { alignment: '新增。' } };
+  const patch = createMessagePatch(before, after);
+  assert.deepEqual(patch.map(({ op, path }) => `${op} ${path}`), [
+    'test /1/synchronicMessage',
+    'replace /1/synchronicMessage',
+    'test /1/alignment',
+    'remove /1/alignment',
+    'add /2/alignment'
+  ]);
+  const applied = applyMessagePatch(before, patch);
+  assert.deepEqual(applied[1], { synchronicMessage: ['原文。', '第二則。'] });
+  assert.deepEqual(applied[2], { alignment: '新增。' });
+  // 不修改傳入的物件
+  assert.equal(before[1].alignment, '刪掉。');
+});
+
+test('無效的 patch 拋出 INVALID_PATCH，代碼由 kin-content 定義', () => {
+  const invalid = { name: 'KinError', code: contentErrorCodes.INVALID_PATCH };
+  assert.throws(() => applyMessagePatch({}, { op: 'add' }), invalid);
+  assert.throws(() => applyMessagePatch({}, [{ op: 'move', path: '/1/alignment' }]), invalid);
+  assert.throws(() => applyMessagePatch({}, [{ op: 'add', path: '/261/alignment', value: '文字。' }]), invalid);
+  assert.throws(() => applyMessagePatch({}, [{ op: 'add', path: '/1/alignment', value: ['文字。', ' '] }]), invalid);
+  // 原文已被改過
+  assert.throws(() => applyMessagePatch({ 1: { alignment: '改過了。' } }, [{ op: 'test', path: '/1/alignment', value: '原文。' }]), invalid);
+  assert.equal(errorCodes.INVALID_PATCH, undefined);
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createKinCalendar, getCalendarFileName, escapeText, foldLine } = require('../kin-ics.js');
+
+test('長行依 RFC 5545 以 75 位元組折行，不切開多位元組字元', () => {
+  const line = `DESCRIPTION:${'共時訊息'.repeat(20)}😀${'a'.repeat(10)}`;
+  const folded = foldLine(line);
+  const parts = folded.split('\r\n');
+  assert.ok(parts.length > 1);
+  parts.forEach((part, index) => {
+    assert.ok(Buffer.byteLength(part, 'utf8') <= 75, `第 ${index + 1} 行`);
+    if (index > 0) {
+      assert.equal(part[0], ' ');
+    }
+  });
+  // 展開續行後與原文相同，沒有出現被切壞的字元
+  assert.equal(parts.map((part, index) => (index > 0 ? part.slice(1) : part)).join(''), line);
+  assert.ok(!folded.includes('�'));
+  assert.equal(foldLine('SUMMARY:KIN 28'), 'SUMMARY:KIN 28');
+});
+
+test('文字值跳脫反斜線、分號、逗號與換行', () => {
+  assert.equal(escapeText('a\\b;c,d\ne'), 'a\\\\b\\;c\\,d\\ne');
+});
+
+test('行事曆每天一個全天事件，2/29 為 Hunab Ku', () => {
+  const ics = createKinCalendar({
+    from: '2024-02-28',
+    to: '2024-03-01',
+    messages: { 131: { synchronicMessage: '今天的訊息' } },
+    now: new Date(Date.UTC(2024, 0, 1, 8, 30))
+  });
+  const lines = ics.split('\r\n');
+  assert.ok(ics.endsWith('END:VCALENDAR\r\n'));
+  assert.equal(lines.filter((line) => line === 'BEGIN:VEVENT').length, 3);
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20240229'));
+  assert.ok(lines.includes('DTEND;VALUE=DATE:20240301'));
+  assert.ok(lines.includes('SUMMARY:Hunab Ku · 宇宙中心日（2/29）'));
+  assert.ok(lines.includes('UID:kin-20240301@13moon-synchronicity'));
+  assert.ok(lines.includes('DTSTAMP:20240101T083000Z'));
+  assert.ok(lines.some((line) => line.startsWith('SUMMARY:KIN 132 ')));
+  assert.ok(ics.includes('共時訊息：今天的訊息'));
+});
+
+test('下載檔名預設涵蓋 260 天', () => {
+  assert.equal(getCalendarFileName({ from: '2026-01-01', to: '2026-12-31' }), 'kin-2026-01-01-2026-12-31.ics');
+  assert.equal(getCalendarFileName({ from: '2024-01-01' }), 'kin-2024-01-01-2024-09-16.ics');
+});
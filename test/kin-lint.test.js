@@ -0,0 +1,65 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { lintMessages } = require('../kin-lint.js');
+const RED_BRAIN_DATA = require('../red-room/red-brain.js');
+
+function errorsOf(data) {
+  return lintMessages(data).filter((item) => item.severity === 'error');
+}
+
+test('red-brain.js 沒有錯誤', () => {
+  assert.deepEqual(errorsOf(RED_BRAIN_DATA), []);
+});
+
+test('調性名稱寫錯或不存在', () => {
+  const [wrong] = errorsOf({ 47: { synchronicMessage: '太陽的藍手提醒你慢下來。' } });
+  assert.equal(wrong.code, 'WRONG_TONE');
+  assert.match(wrong.message, /銀河星系的藍手/);
+
+  const [unknown] = errorsOf({ 8: { synchronicMessage: '和諧的黃星星讓你看見美。' } });
+  assert.equal(unknown.code, 'UNKNOWN_TONE');
+
+  // 簡稱也算調性 8
+  assert.deepEqual(errorsOf({ 47: { synchronicMessage: '銀河的藍手提醒你慢下來。' } }), []);
+});
+
+test('圖騰顏色寫錯', () => {
+  const [problem] = errorsOf({ 1: { synchronicMessage: '磁性的藍龍帶你回到源頭。' } });
+  assert.equal(problem.code, 'WRONG_COLOR');
+});
+
+test('多則變體逐則檢查，訊息標出第幾則', () => {
+  const problems = errorsOf({
+    47: { synchronicMessage: ['銀河星系的藍手提醒你慢下來。', '太陽的藍手提醒你慢下來。'] }
+  });
+  assert.equal(problems.length, 1);
+  assert.equal(problems[0].code, 'WRONG_TONE');
+  assert.match(problems[0].message, /^第 2 則：/);
+});
+
+test('同一欄位的兩則相同、或有一則空白', () => {
+  const [duplicate] = errorsOf({ 1: { alignment: ['先喝一杯水。', '先喝一杯水。'] } });
+  assert.equal(duplicate.code, 'DUPLICATE_TEXT');
+  assert.match(duplicate.message, /第 2 則/);
+
+  const [empty] = errorsOf({ 1: { alignment: ['先喝一杯水。', '  '] } });
+  assert.equal(empty.code, 'EMPTY_FIELD');
+  assert.match(empty.message, /有一則是空白的/);
+});
+
+test('超過字數上限、未知的 Kin 與欄位', () => {
+  const codes = errorsOf({
+    1: { highFrequency: `${'穩'.repeat(40)}。`, mood: '開心' },
+    261: { alignment: '先喝一杯水。' }
+  }).map((item) => item.code);
+  assert.deepEqual(codes.sort(), ['TOO_LONG', 'UNKNOWN_FIELD', 'UNKNOWN_KIN']);
+});
+
+test('沒有以標點結尾的文字視為被截斷', () => {
+  const [problem] = errorsOf({ 1: { alignment: '先喝一杯水，然後' } });
+  assert.equal(problem.code, 'UNTERMINATED');
+  assert.deepEqual(errorsOf({ 1: { alignment: '先喝一杯水（溫的）' } }), []);
+});
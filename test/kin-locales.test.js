@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const CALCULATOR_PATH = require.resolve('../kin-calculator.js');
+
+// 以假的 localStorage 重新載入計算器，模擬瀏覽器記住的語系
+function loadWithStoredLocale(stored) {
+  const values = new Map(stored ? [['kinLocale', stored]] : []);
+  globalThis.localStorage = {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key)
+  };
+  delete require.cache[CALCULATOR_PATH];
+  try {
+    return { KinCalculator: require(CALCULATOR_PATH), values };
+  } finally {
+    delete globalThis.localStorage;
+    delete require.cache[CALCULATOR_PATH];
+  }
+}
+
+test('各語系的名稱', () => {
+  const { calculateKin, getKinInfo, getOracle } = require('../kin-calculator.js');
+  assert.equal(calculateKin(2026, 1, 6, { locale: 'en' }).displayText, 'Yellow Lunar Star');
+  assert.equal(getKinInfo(4, { locale: 'es' }).displayText, 'Semilla Autoexistente Amarilla');
+  assert.equal(getKinInfo(1, { locale: 'ja' }).displayText, '赤い磁気の竜');
+  assert.equal(getOracle(74, { locale: 'zh-CN' }).guide.displayText, '太阳的白狗');
+  assert.equal(getKinInfo(74).displayText, '太陽的白巫師');
+});
+
+test('沒有指定語系時使用預設語系，無效的語系拋出 INVALID_LOCALE', () => {
+  const { KinCalculator } = loadWithStoredLocale(null);
+  const { getKinInfo, getDefaultLocale, setDefaultLocale } = KinCalculator;
+  assert.equal(getDefaultLocale(), 'zh-TW');
+  assert.equal(getKinInfo(1).locale, 'zh-TW');
+
+  setDefaultLocale('en');
+  assert.equal(getKinInfo(1).displayText, 'Red Magnetic Dragon');
+  assert.throws(() => setDefaultLocale('fr'), { code: 'INVALID_LOCALE' });
+  assert.equal(getDefaultLocale(), 'en');
+  assert.throws(() => getKinInfo(1, { locale: 'fr' }), { code: 'INVALID_LOCALE' });
+
+  setDefaultLocale(null);
+  assert.equal(getDefaultLocale(), 'zh-TW');
+});
+
+test('localStorage 記住的語系無效時退回 zh-TW', () => {
+  assert.equal(loadWithStoredLocale('ja').KinCalculator.getDefaultLocale(), 'ja');
+  assert.equal(loadWithStoredLocale('fr').KinCalculator.getDefaultLocale(), 'zh-TW');
+
+  const { KinCalculator, values } = loadWithStoredLocale(null);
+  globalThis.localStorage = { setItem: (key, value) => values.set(key, value) };
+  try {
+    KinCalculator.setDefaultLocale('es');
+  } finally {
+    delete globalThis.localStorage;
+  }
+  assert.equal(values.get('kinLocale'), 'es');
+});
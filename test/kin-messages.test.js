@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const { findDatesForKin } = require('../kin-calculator.js');
+const KinMessages = require('../kin-messages.js');
+
+const { getVariants, getMessage, getCoverage, toVariants, pickMessage } = KinMessages;
+
+test('KIN 1-50 保留兩份原稿各自的能量感應與調頻建議', () => {
+  for (let kin = 1; kin <= 50; kin++) {
+    const variants = getVariants(kin);
+    assert.equal(variants.synchronicMessage.length, 2, `KIN ${kin}`);
+    assert.equal(variants.alignment.length, 2, `KIN ${kin}`);
+    assert.equal(getMessage(kin).synchronicMessage, variants.synchronicMessage[0]);
+  }
+});
+
+test('未撰寫的欄位為 null 或 []，Kin 超出範圍為 null', () => {
+  assert.equal(getMessage(51).highFrequency, null);
+  assert.deepEqual(getVariants(51).highFrequency, []);
+  assert.equal(getMessage(0), null);
+  assert.equal(getVariants(261), null);
+  assert.deepEqual(toVariants(['  a ', '', null, 'b']), ['a', 'b']);
+});
+
+test('getCoverage 計入所有變體的則數', () => {
+  const { synchronicMessage, highFrequency } = getCoverage();
+  assert.equal(synchronicMessage.written, 260);
+  assert.equal(synchronicMessage.variants, 310);
+  assert.equal(highFrequency.missing[0], 51);
+});
+
+test('kin-messages.mjs 可以在 Node 的 ES module 中載入', async () => {
+  const url = pathToFileURL(path.join(__dirname, '..', 'kin-messages.mjs')).href;
+  const KinMessages = await import(url);
+  assert.deepEqual(KinMessages.getMessage(1), getMessage(1));
+  assert.deepEqual(KinMessages.getVariants(1), getVariants(1));
+});
+
+test('同一個 Kin 每次回來都輪到下一則，跨過 2/29 也一樣', () => {
+  for (let kin = 1; kin <= 50; kin++) {
+    const dates = findDatesForKin(kin, { from: '2015-01-01', to: '2025-12-31' });
+    dates.slice(1).forEach((record, i) => {
+      const previous = pickMessage(kin, { date: dates[i].date }).variants.synchronicMessage;
+      const current = pickMessage(kin, { date: record.date }).variants.synchronicMessage;
+      assert.notEqual(current, previous, `KIN ${kin} ${record.date}`);
+    });
+  }
+});
+
+test('2/29 不計入天數：閏年 3/1 的 Kin 照常輪到下一則，2/29 與 3/1 同一則', () => {
+  // KIN 32：2027-06-14、2028-03-01、2028-11-16，中間隔著 2028-02-29
+  const pick = (date) => pickMessage(32, { date }).variants.synchronicMessage;
+  assert.notEqual(pick('2028-03-01'), pick('2027-06-14'));
+  assert.notEqual(pick('2028-11-16'), pick('2028-03-01'));
+  assert.equal(pick('2028-02-29'), pick('2028-03-01'));
+});
+
+test('換一天時跳過看過的那則，全部看過後從日期輪到的那則重新開始', () => {
+  const first = pickMessage(1, { date: '2026-09-18' });
+  const start = first.variants.synchronicMessage;
+  assert.deepEqual(first.history[1].synchronicMessage, { date: '2026-09-18', index: start, seen: [start] });
+
+  // 同一天重新整理仍是同一則
+  assert.equal(pickMessage(1, { date: '2026-09-18', history: first.history }).variants.synchronicMessage, start);
+
+  // 隔天日期輪到的仍是同一則，但已經看過，改選另一則
+  const second = pickMessage(1, { date: '2026-09-19', history: first.history });
+  assert.equal(second.variants.synchronicMessage, 1 - start);
+  assert.deepEqual(second.history[1].synchronicMessage.seen, [start, 1 - start]);
+
+  // 兩則都看過：清空紀錄，從日期輪到的那則重新開始
+  const third = pickMessage(1, { date: '2026-09-20', history: second.history });
+  assert.equal(third.variants.synchronicMessage, start);
+  assert.deepEqual(third.history[1].synchronicMessage, { date: '2026-09-20', index: start, seen: [start] });
+
+  // 不修改傳入的紀錄
+  assert.deepEqual(first.history[1].synchronicMessage.seen, [start]);
+});
+
+test('variant 指定第幾則，不記入紀錄；只有一則的欄位不留紀錄', () => {
+  const picked = pickMessage(1, { date: '2026-09-18', variant: { synchronicMessage: 2 } });
+  assert.equal(picked.variants.synchronicMessage, 0);
+  assert.equal(picked.message.synchronicMessage, getVariants(1).synchronicMessage[0]);
+  assert.deepEqual(Object.keys(picked.history[1]), ['alignment']);
+  assert.deepEqual(pickMessage(51, { date: '2026-09-18' }).history, {});
+  assert.equal(pickMessage(0), null);
+});
+
+test('readMessage 讀取並寫回本機紀錄，loadSeenVariants 忽略無效的資料', () => {
+  const store = {};
+  global.localStorage = {
+    getItem: (key) => (key in store ? store[key] : null),
+    setItem: (key, value) => { store[key] = String(value); }
+  };
+  try {
+    const message = KinMessages.readMessage(1, { date: '2026-09-18' });
+    assert.equal(message.synchronicMessage, pickMessage(1, { date: '2026-09-18' }).message.synchronicMessage);
+    assert.ok(KinMessages.loadSeenVariants()[1].synchronicMessage);
+
+    store.kinSeenVariants = '[1, 2]';
+    assert.deepEqual(KinMessages.loadSeenVariants(), {});
+    store.kinSeenVariants = '{';
+    assert.deepEqual(KinMessages.loadSeenVariants(), {});
+  } finally {
+    delete global.localStorage;
+  }
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getBirthKin,
+  getNextGalacticReturn,
+  getDailyReading,
+  saveProfile,
+  getCompositeReading,
+  profileErrorCodes
+} = require('../kin-profile.js');
+
+test('每日解讀：主印記、神諭位置與摘要', () => {
+  const reading = getDailyReading({ birthDate: '1985-03-14' }, { date: '2027-03-24' });
+  assert.equal(reading.birth.kin, 210);
+  assert.equal(reading.relationship.oracleRole, 'destiny');
+  assert.deepEqual(reading.summary, [
+    '今天就是你的主印記，銀河回歸日快樂',
+    '今天與你同在紅月波',
+    '今天與你的主印記同為調性 2'
+  ]);
+  assert.equal(getDailyReading({ birthDate: '1985-03-14' }, { date: '2028-02-29' }).relationship, null);
+});
+
+test('2/29 出生與 2/28 共用同一個 Kin', () => {
+  const birth = getBirthKin('2024-02-29');
+  assert.equal(birth.bornOnHunabKu, true);
+  assert.equal(birth.kin, getBirthKin('2024-02-28').kin);
+  assert.equal(birth.date, '2024-02-29');
+});
+
+test('下一次銀河回歸跨過 2/29 時仍找得到', () => {
+  // 1990-05-30 出生（KIN 32），從 2027-08-01 起算會跨過 2028-02-29
+  const next = getNextGalacticReturn(32, { from: '2027-08-01' });
+  assert.equal(next.date, '2028-03-01');
+  assert.equal(next.daysUntil, 213);
+  for (let kin = 1; kin <= 260; kin++) {
+    assert.ok(getNextGalacticReturn(kin, { from: '2027-08-01' }), String(kin));
+  }
+});
+
+test('今天就是主印記時 daysUntil 為 0', () => {
+  const reading = getDailyReading({ birthDate: '1990-05-30' }, { date: '2028-03-01' });
+  assert.equal(reading.relationship.oracleRole, 'destiny');
+  assert.equal(reading.nextReturn.daysUntil, 0);
+});
+
+test('無效的出生日期拋出 KinError', () => {
+  assert.throws(() => saveProfile({ birthDate: '2025-02-29' }), { name: 'KinError', code: 'NOT_LEAP_YEAR' });
+  assert.deepEqual(saveProfile({ birthDate: { year: 1985, month: 3, day: 14 }, name: ' 小明 ' }),
+    { birthDate: '1985-03-14', name: '小明' });
+});
+
+test('合盤：合盤 Kin 與兩兩之間的神諭關係', () => {
+  const reading = getCompositeReading([
+    { name: 'A', birthDate: '2000-07-01' },
+    { name: 'B', birthDate: '2000-03-19' }
+  ]);
+  assert.deepEqual(reading.people.map((person) => person.birth.kin), [74, 230]);
+  assert.equal(reading.composite.kin, 44);
+  assert.equal(reading.pairs[0].roleOfB, 'guide');
+  assert.equal(reading.pairs[0].roleOfA, null);
+  assert.deepEqual(reading.shared, { wavespell: [], castle: [], earthFamily: [] });
+
+  const twins = getCompositeReading([{ birthDate: '2000-07-01' }, { birthDate: '2000-07-01' }, { birthDate: '2000-03-19' }]);
+  assert.equal(twins.people[0].name, '第 1 人');
+  assert.deepEqual(twins.shared.wavespell.map((group) => group.members), [[0, 1]]);
+});
+
+test('合盤少於 2 人時拋出 INVALID_GROUP', () => {
+  assert.throws(() => getCompositeReading([{ birthDate: '1985-03-14' }]), {
+    name: 'KinError',
+    code: profileErrorCodes.INVALID_GROUP
+  });
+});
@@ -0,0 +1,44 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { tokenize, createSearchIndex, searchKins } = require('../kin-search.js');
+
+test('中文切成單字與相鄰兩字，英數字整個單字小寫', () => {
+  assert.deepEqual(tokenize('設界線'), ['設', '設界', '界', '界線', '線']);
+  assert.deepEqual(tokenize('KIN 47 的手'), ['kin', '47', '的', '的手', '手']);
+  // 標點把中文分成不同段，跨標點不組成 bigram
+  assert.deepEqual(tokenize('光，影'), ['光', '影']);
+});
+
+test('兩字以上的字詞要在同一則文字裡出現', () => {
+  const index = createSearchIndex({
+    1: { synchronicMessage: '今天練習設下界線。' },
+    2: { synchronicMessage: '世界很大。', alignment: '把線收好。' }
+  });
+  const results = searchKins('界線', { index });
+  assert.deepEqual(results.map((item) => item.kin), [1]);
+  assert.deepEqual(results[0].matches[0].segments.filter((part) => part.match).map((part) => part.text), ['界線']);
+});
+
+test('空白分隔的字詞都必須命中，能量感應排序較前', () => {
+  const index = createSearchIndex({
+    1: { alignment: '先喝水再休息。' },
+    2: { synchronicMessage: '先喝水再休息。' },
+    3: { synchronicMessage: '先喝水。' }
+  });
+  assert.deepEqual(searchKins('喝水 休息', { index }).map((item) => item.kin), [2, 1]);
+});
+
+test('每一則變體都會索引，matches 標出第幾則', () => {
+  const index = createSearchIndex({ 1: { alignment: ['先喝水。', '設下界線。'] } });
+  const [result] = searchKins('界線', { index });
+  assert.deepEqual(result.matches.map(({ field, variant }) => ({ field, variant })), [{ field: 'alignment', variant: 1 }]);
+});
+
+test('預設索引 red-brain.js 的訊息', () => {
+  const [first] = searchKins('界線', { limit: 1 });
+  assert.equal(first.kin, 18);
+  assert.equal(first.info.displayText, '超頻的白鏡');
+});
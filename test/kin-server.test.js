@@ -0,0 +1,62 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { handleRequest } = require('../bin/kin-server.js');
+
+function errorCode(result) {
+  return result.body.error && result.body.error.code;
+}
+
+test('有效的請求回傳 200', () => {
+  const result = handleRequest('GET', '/kin/date/2016-03-01');
+  assert.equal(result.status, 200);
+  assert.equal(result.body.kin, 72);
+  assert.ok(result.body.message);
+
+  const range = handleRequest('GET', '/range?from=2024-02-28&to=2024-03-01');
+  assert.deepEqual(range.body.map((record) => record.kin), [131, null, 132]);
+  assert.equal(range.body[1].message, null);
+  assert.equal(handleRequest('GET', '/range?from=2026-01-01&to=2026-01-01').body.length, 1);
+});
+
+test('無效的輸入回傳 400 與錯誤代碼', () => {
+  const cases = [
+    ['/kin/date/2025-02-29', 'NOT_LEAP_YEAR'],
+    ['/kin/date/2026-13-01', 'INVALID_MONTH'],
+    ['/kin/date/%E0%A4%A', 'INVALID_DATE'],
+    ['/birthday/%E0%A4%A', 'INVALID_DATE'],
+    ['/kin/0', 'INVALID_KIN'],
+    ['/wavespell/21', 'INVALID_WAVESPELL'],
+    ['/range?from=2026-01-01', 'MISSING_PARAMETER'],
+    ['/range?from=2026-02-01&to=2026-01-01', 'INVALID_RANGE'],
+    ['/range?from=2000-01-01&to=2026-01-01', 'RANGE_TOO_LARGE'],
+    ['/birthday/1985-03-14?past=500', 'RANGE_TOO_LARGE'],
+    ['/birthday/1985-03-14?future=abc', 'INVALID_RANGE']
+  ];
+  for (const [url, code] of cases) {
+    const result = handleRequest('GET', url);
+    assert.equal(result.status, 400, url);
+    assert.equal(errorCode(result), code, url);
+  }
+});
+
+test('找不到路徑回傳 404，非 GET 回傳 405', () => {
+  assert.equal(handleRequest('GET', '/nope').status, 404);
+  assert.equal(handleRequest('POST', '/kin/today').status, 405);
+});
+
+test('system=maya 不附 Dreamspell 的訊息', () => {
+  const result = handleRequest('GET', '/kin/date/2026-01-06?system=maya');
+  assert.equal(result.status, 200);
+  assert.equal(result.body.system, 'maya');
+  assert.equal(result.body.message, null);
+});
+
+test('/search 以全文搜尋找回訊息，缺少 q 時回傳 400', () => {
+  const result = handleRequest('GET', `/search?q=${encodeURIComponent('界線')}&limit=1`);
+  assert.equal(result.status, 200);
+  assert.deepEqual(result.body.map((item) => item.kin), [18]);
+  assert.equal(errorCode(handleRequest('GET', '/search')), 'MISSING_PARAMETER');
+});